@@ -5,6 +5,25 @@ const platformLoader = require('./src/scrapers/core/platform-loader');
 const { connectRedis, cache } = require('./src/config/redis');
 const { pool } = require('./src/config/database');
 const Product = require('./src/models/Products');
+const CanonicalProduct = require('./src/models/CanonicalProducts');
+const PriceHistory = require('./src/models/PriceHistory');
+const productSearch = require('./src/search/product-search');
+const embeddingIndex = require('./src/search/embedding-index');
+const { buildProductFilters, SORT_OPTIONS } = require('./src/search/product-filters');
+const productMatcher = require('./src/matching/product-matcher');
+const Alert = require('./src/models/Alerts');
+const alertEngine = require('./src/alerts/alert-engine');
+const { getNotifier, listNotifiers } = require('./src/alerts/notifiers');
+const settings = require('./src/config/settings');
+const Job = require('./src/models/Jobs');
+const jobWorker = require('./src/jobs/job-worker');
+const rateLimiter = require('./src/scrapers/core/rate-limiter');
+const browserPool = require('./src/scrapers/core/browser-pool');
+const SelectorHeal = require('./src/models/SelectorHeals');
+const SelectorHealer = require('./src/scrapers/selector-healer');
+const AIUsage = require('./src/models/AIUsage');
+const { resolveConfig } = require('./src/ai/providers');
+const AIReprocessQueue = require('./src/models/AIReprocessQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -106,27 +125,17 @@ app.get('/platforms', (req, res) => {
 
 // ==================== DYNAMIC SCRAPING ROUTES ====================
 
-// Dynamic scrape trigger for any platform
+// Queue a scrape for any platform
 app.post('/scrape/:platform', async (req, res) => {
     try {
         const { platform } = req.params;
-        const { maxProducts = 5 } = req.body;
+        const { maxProducts = 5, categories = null } = req.body;
         const platformLower = platform.toLowerCase();
         
         // Handle "all" as special case
         if (platformLower === 'all') {
             return handleScrapeAll(req, res);
         }
-        
-        // Check if scraping already running
-        const status = await cache.getScrapingStatus(platformLower);
-        if (status && status.status === 'running') {
-            return res.status(409).json({
-                status: 'error',
-                message: `Scraping already in progress for ${platform}`,
-                currentStatus: status
-            });
-        }
 
         // Validate platform exists
         const availablePlatforms = platformLoader.listPlatforms();
@@ -137,48 +146,32 @@ app.post('/scrape/:platform', async (req, res) => {
                 availablePlatforms: availablePlatforms
             });
         }
+        
+        // One scrape per platform at a time
+        const activeJob = await Job.findActive('scrape', platformLower);
+        if (activeJob) {
+            return res.status(409).json({
+                status: 'error',
+                message: `Scraping already ${activeJob.status} for ${platform}`,
+                job: activeJob
+            });
+        }
 
-        res.json({
-            status: 'started',
-            message: `Scraping ${platform} initiated`,
-            maxProducts: maxProducts
+        const job = await jobWorker.enqueue('scrape', {
+            platform: platformLower,
+            maxProducts,
+            categories
+        }, { lockKey: platformLower });
+
+        res.status(202).json({
+            status: 'queued',
+            message: `Scraping ${platform} queued`,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`,
+            maxProducts: maxProducts,
+            categories: categories || 'all enabled'
         });
 
-        // Run scraper asynchronously
-        (async () => {
-            try {
-                const scraper = platformLoader.getPlatform(platformLower);
-                await cache.setScrapingStatus(platformLower, { 
-                    status: 'running',
-                    startedAt: new Date().toISOString(),
-                    platform: platformLower 
-                });
-
-                console.log(`\n✅ Starting scrape: ${platformLower} (max ${maxProducts} products)`);
-                const startTime = Date.now();
-                const result = await scraper.scrape({ maxProducts });
-                const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-
-                await cache.setScrapingStatus(platformLower, { 
-                    status: 'completed',
-                    completedAt: new Date().toISOString(),
-                    platform: platformLower,
-                    productsScraped: result?.length || 0,
-                    duration: `${duration}s`
-                });
-
-                console.log(`✅ Scrape completed for ${platformLower} - ${result?.length || 0} products in ${duration}s`);
-            } catch (err) {
-                await cache.setScrapingStatus(platformLower, { 
-                    status: 'failed',
-                    error: err.message,
-                    failedAt: new Date().toISOString(),
-                    platform: platformLower
-                });
-                console.error(`❌ Scrape failed for ${platformLower}:`, err.message);
-            }
-        })();
-
     } catch (error) {
         res.status(500).json({
             status: 'error',
@@ -187,10 +180,10 @@ app.post('/scrape/:platform', async (req, res) => {
     }
 });
 
-// Scrape all platforms
+// Queue a scrape for every platform (platform locks keep them from overlapping)
 async function handleScrapeAll(req, res) {
     try {
-        const { maxProducts = 5 } = req.body;
+        const { maxProducts = 5, categories = null } = req.body;
         const platforms = platformLoader.listPlatforms();
 
         if (platforms.length === 0) {
@@ -200,86 +193,32 @@ async function handleScrapeAll(req, res) {
             });
         }
 
-        res.json({
-            status: 'started',
-            message: `Scraping all platforms initiated`,
-            platforms: platforms,
-            maxProducts: maxProducts
-        });
-
-        // Run all scrapers asynchronously in sequence
-        (async () => {
-            console.log('\n' + '='.repeat(60));
-            console.log('🚀 MULTI-PLATFORM SCRAPE INITIATED');
-            console.log(`📋 Platforms: ${platforms.join(', ')}`);
-            console.log(`🎯 Max products per platform: ${maxProducts}`);
-            console.log('='.repeat(60) + '\n');
+        const jobs = {};
+        const skipped = {};
 
-            const results = {};
-
-            for (const platform of platforms) {
-                try {
-                    console.log(`\n⏳ Starting scrape: ${platform.toUpperCase()}`);
-                    
-                    await cache.setScrapingStatus(platform, { 
-                        status: 'running',
-                        startedAt: new Date().toISOString()
-                    });
-
-                    const scraper = platformLoader.getPlatform(platform);
-                    const startTime = Date.now();
-                    const result = await scraper.scrape({ maxProducts });
-                    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-
-                    results[platform] = {
-                        status: 'success',
-                        products: result?.length || 0,
-                        duration: `${duration}s`
-                    };
-
-                    await cache.setScrapingStatus(platform, { 
-                        status: 'completed',
-                        completedAt: new Date().toISOString(),
-                        productsScraped: result?.length || 0,
-                        duration: `${duration}s`
-                    });
-
-                    console.log(`✅ ${platform}: ${result?.length || 0} products in ${duration}s`);
-
-                    // Respectful delay between platforms
-                    if (platforms.indexOf(platform) < platforms.length - 1) {
-                        console.log('⏳ Waiting 5 seconds before next platform...');
-                        await new Promise(r => setTimeout(r, 5000));
-                    }
-
-                } catch (err) {
-                    results[platform] = { 
-                        status: 'failed',
-                        error: err.message 
-                    };
-
-                    await cache.setScrapingStatus(platform, { 
-                        status: 'failed',
-                        error: err.message,
-                        failedAt: new Date().toISOString()
-                    });
-
-                    console.error(`❌ ${platform} failed:`, err.message);
-                }
+        for (const platform of platforms) {
+            const activeJob = await Job.findActive('scrape', platform);
+            if (activeJob) {
+                skipped[platform] = { jobId: activeJob.id, status: activeJob.status };
+                continue;
             }
 
-            console.log('\n' + '='.repeat(60));
-            console.log('📊 MULTI-PLATFORM SCRAPE SUMMARY');
-            console.log('='.repeat(60));
-            Object.entries(results).forEach(([platform, result]) => {
-                const icon = result.status === 'success' ? '✅' : '❌';
-                const info = result.status === 'success'
-                    ? `${result.products} products (${result.duration})`
-                    : result.error;
-                console.log(`${icon} ${platform}: ${info}`);
-            });
-            console.log('='.repeat(60) + '\n');
-        })();
+            const job = await jobWorker.enqueue('scrape', {
+                platform,
+                maxProducts,
+                categories
+            }, { lockKey: platform });
+            jobs[platform] = job.id;
+        }
+
+        res.status(202).json({
+            status: 'queued',
+            message: `Scraping all platforms queued`,
+            platforms: platforms,
+            jobs: jobs,
+            alreadyActive: skipped,
+            maxProducts: maxProducts
+        });
 
     } catch (error) {
         res.status(500).json({
@@ -316,6 +255,7 @@ app.get('/status/:platform', async (req, res) => {
                     status: 'idle', 
                     message: 'No scraping in progress' 
                 };
+                statuses[p].rateLimit = rateLimiter.getStatus(p.toLowerCase());
             }
             
             return res.json({
@@ -327,7 +267,8 @@ app.get('/status/:platform', async (req, res) => {
         
         res.json({
             platform: platformLower,
-            status: status || { status: 'idle', message: 'No scraping in progress' }
+            status: status || { status: 'idle', message: 'No scraping in progress' },
+            rateLimit: rateLimiter.getStatus(platformLower) // null until this server has scraped it
         });
     } catch (error) {
         res.status(500).json({
@@ -428,49 +369,70 @@ app.get('/stats', async (req, res) => {
 
 // ==================== PRODUCTS ROUTES ====================
 
-// Get products (with pagination)
-app.get('/products', async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-        const platform = req.query.platform;
+// Filter + sort params shared by /products and /products/ai:
+//   platform, category, brand (comma list), min_price, max_price, min_rating, min_discount,
+//   available (true|false|all), spec[key]=value or spec=key:value,..., sort, order
+async function listProducts(req, res, columns) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const filters = buildProductFilters(req.query);
+    if (filters.errors.length > 0) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Invalid filter parameters',
+            errors: filters.errors,
+            sortOptions: Object.keys(SORT_OPTIONS)
+        });
+    }
 
-        let query = `SELECT * FROM product_summary`;
-        let countQuery = `SELECT COUNT(*) FROM products WHERE is_available = true`;
-        const params = [limit, offset];
+    const { whereClause, params, orderBy } = filters;
 
-        if (platform) {
-            query = `
-                SELECT ps.* FROM product_summary ps
-                WHERE ps.platform ILIKE $3
-            `;
-            countQuery = `
-                SELECT COUNT(*) FROM products p
-                JOIN platforms pl ON p.platform_id = pl.id
-                WHERE p.is_available = true AND pl.name ILIKE $1
-            `;
-            params.push(platform);
-        }
+    const result = await pool.query(`
+        SELECT ${columns}
+        FROM products p
+        JOIN platforms pl ON p.platform_id = pl.id
+        ${whereClause}
+        ORDER BY ${orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
 
-        query += ` ORDER BY last_updated DESC LIMIT $1 OFFSET $2`;
+    const countResult = await pool.query(`
+        SELECT COUNT(*) FROM products p
+        JOIN platforms pl ON p.platform_id = pl.id
+        ${whereClause}
+    `, params);
 
-        const result = await pool.query(query, params);
-        
-        const countResult = platform 
-            ? await pool.query(countQuery, [platform])
-            : await pool.query(countQuery);
-        const totalCount = parseInt(countResult.rows[0].count);
+    const totalCount = parseInt(countResult.rows[0].count);
 
-        res.json({
-            products: result.rows,
-            pagination: {
-                page: page,
-                limit: limit,
-                total: totalCount,
-                pages: Math.ceil(totalCount / limit)
-            }
-        });
+    res.json({
+        products: result.rows,
+        pagination: {
+            page: page,
+            limit: limit,
+            total: totalCount,
+            pages: Math.ceil(totalCount / limit)
+        }
+    });
+}
+
+// Get products (with pagination, filters and sorting)
+app.get('/products', async (req, res) => {
+    try {
+        await listProducts(req, res, `
+            p.id,
+            p.product_id,
+            pl.name as platform,
+            p.title,
+            p.brand,
+            p.category,
+            p.current_price,
+            p.discount_percent,
+            p.rating,
+            p.is_available,
+            p.last_updated
+        `);
     } catch (error) {
         res.status(500).json({
             status: 'error',
@@ -482,79 +444,31 @@ app.get('/products', async (req, res) => {
 // Get products with AI data
 app.get('/products/ai', async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-        const platform = req.query.platform;
-        const aiProcessed = req.query.ai_processed;
-
-        let whereConditions = ['p.is_available = true'];
-        const params = [limit, offset];
-        let paramIndex = 3;
-
-        if (platform) {
-            whereConditions.push(`pl.name ILIKE $${paramIndex}`);
-            params.push(platform);
-            paramIndex++;
-        }
-
-        if (aiProcessed !== undefined) {
-            whereConditions.push(`p.ai_processed = $${paramIndex}`);
-            params.push(aiProcessed === 'true');
-            paramIndex++;
-        }
-
-        const whereClause = whereConditions.length > 0 
-            ? `WHERE ${whereConditions.join(' AND ')}` 
-            : '';
-
-        const result = await pool.query(`
-            SELECT 
-                p.id,
-                p.product_id,
-                pl.name as platform,
-                p.title,
-                p.brand,
-                p.category,
-                p.ai_category,
-                p.subcategory,
-                p.ai_tags,
-                p.current_price,
-                p.original_price,
-                p.discount_percent,
-                p.rating,
-                p.review_count,
-                p.image_url,
-                p.product_url,
-                p.is_available,
-                p.ai_processed,
-                p.last_updated
-            FROM products p
-            JOIN platforms pl ON p.platform_id = pl.id
-            ${whereClause}
-            ORDER BY p.last_updated DESC
-            LIMIT $1 OFFSET $2
-        `, params);
-
-        // Count query
-        const countParams = params.slice(2); // Remove limit and offset
-        const countResult = await pool.query(`
-            SELECT COUNT(*) FROM products p
-            JOIN platforms pl ON p.platform_id = pl.id
-            ${whereClause.replace(/\$(\d+)/g, (_, n) => `$${parseInt(n) - 2}`)}
-        `, countParams.length > 0 ? countParams : undefined);
-        
-        const totalCount = parseInt(countResult.rows[0].count);
-
-        res.json({
-            products: result.rows,
-            pagination: {
-                page: page,
-                limit: limit,
-                total: totalCount,
-                pages: Math.ceil(totalCount / limit)
-            }
-        });
+        await listProducts(req, res, `
+            p.id,
+            p.product_id,
+            pl.name as platform,
+            p.title,
+            p.brand,
+            p.category,
+            p.ai_category,
+            p.subcategory,
+            p.ai_tags,
+            p.current_price,
+            p.original_price,
+            p.discount_percent,
+            p.true_discount_30d,
+            p.true_discount_90d,
+            p.suspicious_discount,
+            p.rating,
+            p.review_count,
+            p.specifications,
+            p.image_url,
+            p.product_url,
+            p.is_available,
+            p.ai_processed,
+            p.last_updated
+        `);
     } catch (error) {
         res.status(500).json({
             status: 'error',
@@ -571,9 +485,12 @@ app.get('/products/:id', async (req, res) => {
         const result = await pool.query(`
             SELECT 
                 p.*,
-                pl.name as platform
+                pl.name as platform,
+                pm.canonical_id,
+                pm.confidence as match_confidence
             FROM products p
             JOIN platforms pl ON p.platform_id = pl.id
+            LEFT JOIN product_matches pm ON pm.product_id = p.id
             WHERE p.id = $1
         `, [id]);
         
@@ -595,6 +512,104 @@ app.get('/products/:id', async (req, res) => {
     }
 });
 
+// Price history with aggregated buckets
+app.get('/products/:id/history', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const granularity = req.query.granularity || 'daily';
+        const range = PriceHistory.parseRange(req.query);
+        const { from, to } = range;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'from/to must be valid dates (e.g. 2026-01-31)'
+            });
+        }
+
+        if (!PriceHistory.granularities.includes(granularity)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid granularity '${granularity}'`,
+                validGranularities: PriceHistory.granularities
+            });
+        }
+
+        const productResult = await pool.query(
+            'SELECT id, title, current_price FROM products WHERE id = $1',
+            [id]
+        );
+
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Product with ID ${id} not found`
+            });
+        }
+
+        const product = productResult.rows[0];
+
+        const [points, buckets, stats] = await Promise.all([
+            PriceHistory.getPoints(id, range),
+            PriceHistory.getBuckets(id, granularity, range),
+            PriceHistory.getStats(id, product.current_price)
+        ]);
+
+        res.json({
+            productId: id,
+            title: product.title,
+            range: {
+                from: from ? from.toISOString() : null,
+                to: to ? to.toISOString() : null
+            },
+            granularity: granularity,
+            stats: stats,
+            buckets: buckets,
+            points: points
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Products similar to this one (semantic embeddings), optionally filtered like /products
+app.get('/products/:id/similar', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit, ...filters } = req.query;
+        const { errors } = buildProductFilters(filters);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid filter parameters',
+                errors: errors
+            });
+        }
+
+        const result = await embeddingIndex.findSimilar(id, {
+            limit: parseInt(limit) || settings.embeddings.default_limit,
+            filters: filters
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Product with ID ${id} not found`
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(error.code === 'EMBEDDINGS_UNAVAILABLE' ? 503 : 500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
 // Refresh single product
 app.post('/products/:id/refresh', async (req, res) => {
     try {
@@ -616,36 +631,18 @@ app.post('/products/:id/refresh', async (req, res) => {
         }
 
         const product = productResult.rows[0];
+        const job = await jobWorker.enqueue('refresh_product', {
+            productId: id
+        }, { lockKey: product.platform.toLowerCase() });
         
-        res.json({
-            status: 'started',
+        res.status(202).json({
+            status: 'queued',
             message: `Refreshing product: ${product.title?.substring(0, 50)}...`,
             productId: id,
-            platform: product.platform
-        });
-
-        // Refresh asynchronously
-        (async () => {
-            try {
-                const scraper = platformLoader.getPlatform(product.platform);
-                
-                if (typeof scraper.refreshProduct === 'function') {
-                    await scraper.refreshProduct(product.product_url);
-                } else if (typeof scraper.scrapeProductDetail === 'function') {
-                    const enhancedData = await scraper.scrapeProductDetail(product.product_url, product.product_id);
-                    if (enhancedData) {
-                        await Product.updateFromDetailPage(product.id, enhancedData);
-                    }
-                } else {
-                    throw new Error(`${product.platform} scraper does not support product refresh`);
-                }
-
-                console.log(`✅ Refreshed product ${id}: ${product.title?.substring(0, 50)}...`);
-                
-            } catch (err) {
-                console.error(`❌ Failed to refresh product ${id}:`, err.message);
-            }
-        })();
+            platform: product.platform,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`
+        });
 
     } catch (error) {
         res.status(500).json({
@@ -659,7 +656,8 @@ app.post('/products/:id/refresh', async (req, res) => {
 app.post('/products/refresh/:platform', async (req, res) => {
     try {
         const { platform } = req.params;
-        const { limit = 10, olderThan = 24 } = req.body;
+        const limit = parseInt(req.body.limit) || 10;
+        const olderThan = parseInt(req.body.olderThan) || 24;
         const platformLower = platform.toLowerCase();
 
         // Validate platform
@@ -672,63 +670,629 @@ app.post('/products/refresh/:platform', async (req, res) => {
             });
         }
 
-        // Get stale products
-        const result = await pool.query(`
-            SELECT p.* FROM products p
-            JOIN platforms pl ON p.platform_id = pl.id
-            WHERE pl.name ILIKE $1
-              AND p.is_available = true
-              AND p.last_updated < NOW() - INTERVAL '${olderThan} hours'
-            ORDER BY p.last_updated ASC
-            LIMIT $2
-        `, [platformLower, limit]);
+        const job = await jobWorker.enqueue('refresh_platform', {
+            platform: platformLower,
+            limit,
+            olderThan
+        }, { lockKey: platformLower });
         
-        if (result.rows.length === 0) {
-            return res.json({
-                status: 'success',
-                message: 'No stale products found to refresh',
-                platform: platformLower
+        res.status(202).json({
+            status: 'queued',
+            message: `Refreshing up to ${limit} products from ${platformLower} older than ${olderThan}h`,
+            platform: platformLower,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== AI ROUTES ====================
+
+// Queue an AI categorisation run
+app.post('/ai/process', async (req, res) => {
+    try {
+        const limit = parseInt(req.body.limit) || 50;
+
+        const activeJob = await Job.findActive('ai_process', 'ai');
+        if (activeJob) {
+            return res.status(409).json({
+                status: 'error',
+                message: `AI processing already ${activeJob.status}`,
+                job: activeJob
             });
         }
-        
+
+        const job = await jobWorker.enqueue('ai_process', { limit }, { lockKey: 'ai' });
+
+        res.status(202).json({
+            status: 'queued',
+            message: `AI processing of up to ${limit} products queued`,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Queue an AI spec extraction run
+app.post('/ai/specs', async (req, res) => {
+    try {
+        const limit = parseInt(req.body.limit) || 50;
+
+        const activeJob = await Job.findActive('ai_specs', 'ai');
+        if (activeJob) {
+            return res.status(409).json({
+                status: 'error',
+                message: `Spec extraction already ${activeJob.status}`,
+                job: activeJob
+            });
+        }
+
+        const job = await jobWorker.enqueue('ai_specs', { limit }, { lockKey: 'ai' });
+
+        res.status(202).json({
+            status: 'queued',
+            message: `Spec extraction for up to ${limit} products queued`,
+            jobId: job.id,
+            jobUrl: `/jobs/${job.id}`
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Daily LLM usage against settings.ai.target_usage / daily_limit
+app.get('/ai/usage', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 14, 90);
+        const history = await AIUsage.getHistory(days);
+        const today = AIUsage.today();
+        // ai_usage rows are keyed by the provider actually in use (AI_PROVIDER overrides settings)
+        const ai = resolveConfig();
+
         res.json({
-            status: 'started',
-            message: `Refreshing ${result.rows.length} products from ${platformLower}`,
-            platform: platformLower,
-            productsToRefresh: result.rows.length
+            status: 'success',
+            provider: ai.name,
+            targetUsage: ai.target_usage,
+            dailyLimit: ai.daily_limit,
+            today: history.filter(row => row.usage_date === today),
+            history
         });
-        
-        // Refresh asynchronously
-        (async () => {
-            const scraper = platformLoader.getPlatform(platformLower);
-            let refreshed = 0;
-            let failed = 0;
-            
-            for (const product of result.rows) {
-                try {
-                    if (typeof scraper.refreshProduct === 'function') {
-                        await scraper.refreshProduct(product.product_url);
-                    } else if (typeof scraper.scrapeProductDetail === 'function') {
-                        const enhancedData = await scraper.scrapeProductDetail(product.product_url, product.product_id);
-                        if (enhancedData) {
-                            await Product.updateFromDetailPage(product.id, enhancedData);
-                        }
-                    }
-                    refreshed++;
-                    console.log(`✅ Refreshed: ${product.title?.substring(0, 50)}...`);
-                    
-                    // Rate limiting
-                    await new Promise(r => setTimeout(r, 2000));
-                    
-                } catch (err) {
-                    failed++;
-                    console.error(`❌ Failed to refresh ${product.id}:`, err.message);
-                }
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Products whose AI output failed taxonomy validation
+app.get('/ai/reprocess', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const [items, stats] = await Promise.all([
+            AIReprocessQueue.list({ status: req.query.status || null, limit, offset: (page - 1) * limit }),
+            AIReprocessQueue.getStats()
+        ]);
+
+        res.json({
+            status: 'success',
+            stats,
+            page,
+            count: items.length,
+            items
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Retry a rejected (or abandoned) product on the next AI run
+app.post('/ai/reprocess/:productId/retry', async (req, res) => {
+    try {
+        const entry = await AIReprocessQueue.retry(req.params.productId);
+        if (!entry) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Product is not in the reprocess queue'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            entry
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== JOB ROUTES ====================
+
+// List jobs (filter by status, type, platform)
+app.get('/jobs', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const page = parseInt(req.query.page) || 1;
+
+        const jobs = await Job.list({
+            status: req.query.status || null,
+            type: req.query.type || null,
+            lockKey: req.query.platform ? req.query.platform.toLowerCase() : null,
+            limit: limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            jobs: jobs,
+            count: jobs.length,
+            types: jobWorker.types
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Get one job
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await Job.findById(parseInt(req.params.id));
+
+        if (!job) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Job ${req.params.id} not found`
+            });
+        }
+
+        res.json({ job: job });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Cancel a queued or running job
+app.post('/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await Job.requestCancel(parseInt(req.params.id));
+
+        if (!job) {
+            return res.status(409).json({
+                status: 'error',
+                message: `Job ${req.params.id} not found or already finished`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: job.status === 'cancelled'
+                ? 'Job cancelled'
+                : 'Cancellation requested; the job stops at its next checkpoint',
+            job: job
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== SELECTOR HEAL ROUTES ====================
+
+// Audit log of AI selector heals
+app.get('/selectors/heals', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const page = parseInt(req.query.page) || 1;
+
+        const heals = await SelectorHeal.list({
+            platform: req.query.platform ? req.query.platform.toLowerCase() : null,
+            field: req.query.field || null,
+            status: req.query.status || null,
+            limit: limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            heals: heals,
+            count: heals.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Restore a field's selectors to what they were before this heal
+app.post('/selectors/heals/:id/rollback', async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id < 1) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Heal id must be a positive integer'
+            });
+        }
+
+        const healer = new SelectorHealer(null);
+        const result = await healer.rollback(id);
+
+        res.json({
+            status: 'success',
+            message: `Rolled back ${result.undone.length} heal(s)`,
+            ...result
+        });
+    } catch (error) {
+        const code = /not found/.test(error.message) ? 404 : /only applied/.test(error.message) ? 409 : 500;
+        res.status(code).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== SEARCH ROUTES ====================
+
+// Full-text product search with facets
+app.get('/search', async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        if (q.length < 2) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Query parameter q must be at least 2 characters'
+            });
+        }
+
+        const { q: _q, page, limit, ...filters } = req.query;
+        const { errors } = buildProductFilters(filters);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid filter parameters',
+                errors: errors,
+                sortOptions: Object.keys(SORT_OPTIONS)
+            });
+        }
+
+        const result = await productSearch.search(q, {
+            page: parseInt(page) || 1,
+            limit: parseInt(limit) || 20,
+            filters: filters
+        });
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Natural-language search over product embeddings ("budget 5G phone with good camera")
+app.get('/search/semantic', async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        if (q.length < 2) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Query parameter q must be at least 2 characters'
+            });
+        }
+
+        const { q: _q, limit, ...filters } = req.query;
+        const { errors } = buildProductFilters(filters);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid filter parameters',
+                errors: errors
+            });
+        }
+
+        const result = await embeddingIndex.search(q, {
+            limit: parseInt(limit) || settings.embeddings.default_limit,
+            filters: filters
+        });
+
+        res.json(result);
+    } catch (error) {
+        res.status(error.code === 'EMBEDDINGS_UNAVAILABLE' ? 503 : 500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== COMPARISON ROUTES ====================
+
+// Compare every platform's current price for one canonical product
+app.get('/compare/:canonicalId', async (req, res) => {
+    try {
+        const { canonicalId } = req.params;
+        const comparison = await CanonicalProduct.getComparison(canonicalId);
+
+        if (!comparison) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Canonical product ${canonicalId} not found`
+            });
+        }
+
+        const available = comparison.listings.filter(l => l.is_available && l.current_price !== null);
+        const prices = available.map(l => parseFloat(l.current_price));
+        const lowest = available[0] || null;
+
+        res.json({
+            canonical: comparison.canonical,
+            listings: comparison.listings,
+            summary: {
+                listings: comparison.listings.length,
+                platforms: [...new Set(comparison.listings.map(l => l.platform))],
+                lowest_price: lowest ? parseFloat(lowest.current_price) : null,
+                lowest_platform: lowest ? lowest.platform : null,
+                highest_price: prices.length ? Math.max(...prices) : null,
+                savings: prices.length ? Math.max(...prices) - Math.min(...prices) : 0
             }
-            
-            console.log(`\n📊 Bulk refresh complete: ${refreshed} success, ${failed} failed`);
-        })();
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
 
+// Manually link a listing to a canonical product (or pass canonicalId: null to keep it separate)
+app.post('/products/:id/match', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { canonicalId = null, reason = null } = req.body;
+
+        const productResult = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Product with ID ${id} not found`
+            });
+        }
+
+        if (canonicalId && !(await CanonicalProduct.findById(canonicalId))) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Canonical product ${canonicalId} not found`
+            });
+        }
+
+        const override = await CanonicalProduct.setOverride(id, canonicalId, reason);
+        if (!canonicalId) {
+            // Detach from the shared canonical so the matcher gives it its own
+            await pool.query('DELETE FROM product_matches WHERE product_id = $1', [id]);
+        }
+        const match = await productMatcher.matchProduct(id, productResult.rows[0]);
+
+        res.json({
+            status: 'success',
+            override: override,
+            match: match
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Remove a manual override and let the matcher decide again
+app.delete('/products/:id/match', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const productResult = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Product with ID ${id} not found`
+            });
+        }
+
+        await CanonicalProduct.removeOverride(id);
+        await pool.query(`DELETE FROM product_matches WHERE product_id = $1 AND method = 'manual'`, [id]);
+        const match = await productMatcher.matchProduct(id, productResult.rows[0]);
+
+        res.json({
+            status: 'success',
+            match: match
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// ==================== ALERT ROUTES ====================
+
+// Create a price alert
+app.post('/alerts', async (req, res) => {
+    try {
+        const {
+            productId,
+            type,
+            targetPrice,
+            dropPercent,
+            notifier = settings.alerts.default_notifier,
+            destination = null,
+            userRef = null
+        } = req.body;
+
+        if (!productId || !settings.alerts.types.includes(type)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'productId and a valid type are required',
+                validTypes: settings.alerts.types
+            });
+        }
+
+        if (type === 'target_price' && !(parseFloat(targetPrice) > 0)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'targetPrice must be a positive number for target_price alerts'
+            });
+        }
+
+        const drop = parseInt(dropPercent);
+        if (type === 'percent_drop' && !(drop > 0 && drop < 100)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'dropPercent must be between 1 and 99 for percent_drop alerts'
+            });
+        }
+
+        if (!listNotifiers().includes(notifier)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Notifier '${notifier}' not found`,
+                availableNotifiers: listNotifiers()
+            });
+        }
+
+        if (!await getNotifier(notifier).validateDestination(destination)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Invalid destination for ${notifier} notifier`
+            });
+        }
+
+        const productResult = await pool.query(
+            'SELECT id, title, product_url, current_price, is_available FROM products WHERE id = $1',
+            [productId]
+        );
+
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Product with ID ${productId} not found`
+            });
+        }
+
+        if (await Alert.countForProduct(productId) >= settings.alerts.max_per_product) {
+            return res.status(429).json({
+                status: 'error',
+                message: `Too many active alerts for product ${productId}`
+            });
+        }
+
+        const product = productResult.rows[0];
+        const currentPrice = product.current_price !== null ? parseFloat(product.current_price) : null;
+
+        const alert = await Alert.create({
+            product_id: productId,
+            user_ref: userRef,
+            alert_type: type,
+            target_price: type === 'target_price' ? parseFloat(targetPrice) : null,
+            drop_percent: type === 'percent_drop' ? drop : null,
+            baseline_price: currentPrice,
+            notifier: notifier,
+            destination: destination
+        });
+
+        // Fire right away if the condition already holds
+        const triggered = await alertEngine.evaluateAlert(alert, {
+            previousPrice: null,
+            currentPrice: currentPrice,
+            wasAvailable: null,
+            isAvailable: product.is_available
+        }, product);
+
+        res.status(201).json({
+            status: 'success',
+            alert: alert,
+            triggered: triggered
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// List alerts (filter by productId / userRef)
+app.get('/alerts', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const page = parseInt(req.query.page) || 1;
+
+        const alerts = await Alert.list({
+            productId: req.query.productId || null,
+            userRef: req.query.userRef || null,
+            activeOnly: req.query.all !== 'true',
+            limit: limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            alerts: alerts,
+            count: alerts.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+// Delete an alert
+app.delete('/alerts/:id', async (req, res) => {
+    try {
+        const deleted = await Alert.delete(parseInt(req.params.id));
+
+        if (!deleted) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Alert ${req.params.id} not found`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            alert: deleted
+        });
     } catch (error) {
         res.status(500).json({
             status: 'error',
@@ -739,7 +1303,7 @@ app.post('/products/refresh/:platform', async (req, res) => {
 
 // ==================== CRON JOBS ====================
 
-// Scheduled scraping job - 2 AM IST daily
+// Scheduled scraping job - 2 AM IST daily (queued, one job per platform)
 cron.schedule('30 20 * * *', async () => {
     console.log('\n' + '='.repeat(60));
     console.log('🕐 Scheduled Multi-Platform Scraping Started');
@@ -749,59 +1313,24 @@ cron.schedule('30 20 * * *', async () => {
     try {
         const platforms = platformLoader.listPlatforms();
         const limit = parseInt(process.env.SCRAPE_LIMIT) || 100;
-        const results = {};
         
         console.log(`📋 Platforms to scrape: ${platforms.join(', ')}`);
         console.log(`🎯 Product limit per platform: ${limit}\n`);
         
         for (const platform of platforms) {
-            console.log('\n' + '-'.repeat(40));
-            console.log(`🚀 Starting ${platform.toUpperCase()} scrape...`);
-            console.log('-'.repeat(40));
-            
-            try {
-                const scraper = platformLoader.getPlatform(platform);
-                const startTime = Date.now();
-                const scraped = await scraper.scrape({ maxProducts: limit });
-                const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-                
-                results[platform] = { 
-                    status: 'success', 
-                    products: scraped?.length || 0,
-                    duration: `${duration}s`
-                };
-                
-                console.log(`✅ ${platform}: ${scraped?.length || 0} products in ${duration}s`);
-                
-                // Delay between platforms to be respectful
-                if (platforms.indexOf(platform) < platforms.length - 1) {
-                    console.log('⏳ Waiting 10 seconds before next platform...');
-                    await new Promise(r => setTimeout(r, 10000));
-                }
-                
-            } catch (err) {
-                results[platform] = { 
-                    status: 'failed', 
-                    error: err.message 
-                };
-                console.error(`❌ ${platform} failed:`, err.message);
+            const activeJob = await Job.findActive('scrape', platform);
+            if (activeJob) {
+                console.log(`⏭️  ${platform}: job ${activeJob.id} already ${activeJob.status}`);
+                continue;
             }
+
+            const job = await jobWorker.enqueue('scrape', {
+                platform,
+                maxProducts: limit
+            }, { lockKey: platform });
+            console.log(`📥 ${platform}: queued as job ${job.id}`);
         }
         
-        console.log('\n' + '='.repeat(60));
-        console.log('📊 SCHEDULED SCRAPE SUMMARY');
-        console.log('='.repeat(60));
-        Object.entries(results).forEach(([platform, result]) => {
-            const icon = result.status === 'success' ? '✅' : '❌';
-            const info = result.status === 'success' 
-                ? `${result.products} products (${result.duration})`
-                : result.error;
-            console.log(`${icon} ${platform}: ${info}`);
-        });
-        console.log('='.repeat(60));
-        console.log(`⏱️  Completed at: ${new Date().toISOString()}`);
-        console.log('='.repeat(60) + '\n');
-        
     } catch (error) {
         console.error('\n' + '='.repeat(60));
         console.error('❌ SCHEDULED SCRAPING FAILED');
@@ -837,8 +1366,28 @@ app.use((req, res) => {
             'GET  /products',
             'GET  /products/ai',
             'GET  /products/:id',
+            'GET  /products/:id/history',
+            'GET  /products/:id/similar',
+            'GET  /search',
+            'GET  /search/semantic',
             'POST /products/:id/refresh',
-            'POST /products/refresh/:platform'
+            'POST /products/refresh/:platform',
+            'POST /products/:id/match',
+            'DELETE /products/:id/match',
+            'GET  /compare/:canonicalId',
+            'POST /alerts',
+            'GET  /alerts',
+            'DELETE /alerts/:id',
+            'POST /ai/process',
+            'POST /ai/specs',
+            'GET /ai/usage',
+            'GET /ai/reprocess',
+            'POST /ai/reprocess/:productId/retry',
+            'GET  /jobs',
+            'GET  /jobs/:id',
+            'POST /jobs/:id/cancel',
+            'GET  /selectors/heals',
+            'POST /selectors/heals/:id/rollback'
         ]
     });
 });
@@ -866,6 +1415,10 @@ async function startServer() {
         await connectRedis();
         console.log('✅ Redis connected');
 
+        // Start background job worker
+        console.log('🔌 Starting job worker...');
+        await jobWorker.start();
+
         // Load platforms
         console.log('🔌 Loading platform scrapers...');
         const loadedPlatforms = platformLoader.listPlatforms();
@@ -890,8 +1443,13 @@ async function startServer() {
             console.log('   POST /scrape/all    - Scrape all platforms');
             console.log('   GET  /status/:platform - Scrape status');
             console.log('   POST /products/:id/refresh - Refresh product');
+            console.log('   GET  /jobs          - Background jobs');
             console.log('   GET  /products      - List products');
+            console.log('   GET  /products/:id/history - Price history');
+            console.log('   GET  /search?q=     - Search products');
             console.log('   GET  /stats         - Statistics');
+            console.log('   GET  /compare/:canonicalId - Cross-platform prices');
+            console.log('   POST /alerts        - Create price alert');
             console.log('='.repeat(60) + '\n');
         });
 
@@ -904,12 +1462,16 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('👋 Shutting down gracefully...');
+    await jobWorker.stop();
+    await browserPool.close();
     await pool.end();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('\n👋 Shutting down gracefully...');
+    await jobWorker.stop();
+    await browserPool.close();
     await pool.end();
     process.exit(0);
 });
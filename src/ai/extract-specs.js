@@ -0,0 +1,41 @@
+/**
+ * AI spec extraction: typed, category-specific specs from titles and detail pages
+ * Run via: npm run ai:specs (AI_SPECS_LIMIT=200 for more products)
+ */
+
+require('dotenv').config();
+const SpecExtractor = require('./spec-extractor');
+const { getProvider } = require('./providers');
+const { pool } = require('../config/database');
+
+async function main() {
+    console.log('\n' + '='.repeat(50));
+    console.log('📐 Starting AI Spec Extraction');
+    console.log('='.repeat(50) + '\n');
+
+    try {
+        // Test database connection
+        console.log('1️⃣ Testing database connection...');
+        await pool.query('SELECT NOW()');
+        console.log('✅ Database connected\n');
+
+        // Resolve the provider from settings.ai / AI_PROVIDER (throws if its API key is missing)
+        const provider = getProvider();
+        console.log(`✅ AI provider: ${provider.name} (${provider.model})\n`);
+
+        const extractor = new SpecExtractor(provider);
+        await extractor.processProducts(parseInt(process.env.AI_SPECS_LIMIT) || 100);
+
+        console.log('✅ Spec extraction completed successfully\n');
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Spec extraction failed:', error.message);
+        console.error('Full error:', error, '\n');
+        process.exit(1);
+    }
+}
+
+main();
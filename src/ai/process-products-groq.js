@@ -1,25 +1,26 @@
 /**
- * AI Product Processor using Groq
+ * AI Product Processor (provider from settings.ai; Groq by default)
  * Processes up to 2000 unprocessed products
  * Run via: npm run ai:process OR GitHub Actions
  */
 
 require('dotenv').config();
-const GroqProcessor = require('./groq-processor');
+const ProductCategorizer = require('./product-categorizer');
+const { getProvider } = require('./providers');
 const { pool } = require('../config/database');
 
 // Configuration
 const CONFIG = {
     batchSize: parseInt(process.env.AI_BATCH_SIZE) || 100,
-    maxProducts: parseInt(process.env.AI_MAX_PRODUCTS) || 2000,
-    delayBetweenBatches: 3000 // 3 seconds
+    maxProducts: parseInt(process.env.AI_MAX_PRODUCTS) || 2000
+    // Per-request pacing and the daily budget come from settings.ai
 };
 
 async function main() {
     const startTime = Date.now();
     
     console.log('\n' + '='.repeat(70));
-    console.log('🤖 AI PRODUCT PROCESSOR (Groq)');
+    console.log('🤖 AI PRODUCT PROCESSOR');
     console.log('='.repeat(70));
     console.log(`📅 Started: ${new Date().toISOString()}`);
     console.log(`🎯 Max Products: ${CONFIG.maxProducts}`);
@@ -32,20 +33,27 @@ async function main() {
         await pool.query('SELECT NOW()');
         console.log('✅ Database connected\n');
 
-        // Check if API key exists
-        if (!process.env.GROQ_API_KEY) {
-            throw new Error('GROQ_API_KEY not found in environment variables');
+        // Resolve the provider (throws if its API key is missing)
+        const provider = getProvider();
+        console.log(`2️⃣ AI provider: ${provider.name} (${provider.model}) ✅`);
+        if (provider.budget) {
+            const budget = await provider.budget.getStatus();
+            console.log(`   Today's usage: ${budget.requests}/${budget.limit} requests (${budget.remaining} left)`);
         }
-        console.log('2️⃣ Groq API key found ✅\n');
+        console.log('');
 
         // Check unprocessed products count
         console.log('3️⃣ Checking unprocessed products...');
         const countResult = await pool.query(`
             SELECT COUNT(*) as count 
-            FROM products 
+            FROM products p
             WHERE ai_processed = false 
               AND is_available = true
               AND title IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM ai_reprocess_queue q
+                  WHERE q.product_id = p.id AND (q.status = 'abandoned' OR q.next_attempt_at > NOW())
+              )
         `);
         const unprocessedCount = parseInt(countResult.rows[0].count);
         console.log(`📦 Found ${unprocessedCount} unprocessed products\n`);
@@ -57,7 +65,7 @@ async function main() {
         }
 
         // Initialize processor
-        const processor = new GroqProcessor(process.env.GROQ_API_KEY);
+        const processor = new ProductCategorizer(provider);
 
         // Calculate batches
         const productsToProcess = Math.min(unprocessedCount, CONFIG.maxProducts);
@@ -67,6 +75,9 @@ async function main() {
 
         let totalProcessed = 0;
         let totalErrors = 0;
+        let totalTokens = 0;
+        let totalRequests = 0;
+        let totalRequeued = 0;
 
         // Process in batches
         for (let batch = 1; batch <= totalBatches; batch++) {
@@ -78,17 +89,19 @@ async function main() {
                 const result = await processor.processUnprocessedProducts(CONFIG.batchSize);
                 
                 if (result) {
-                    totalProcessed += result.processed || CONFIG.batchSize;
+                    totalProcessed += result.processed || 0;
                     totalErrors += result.errors || 0;
+                    totalTokens += result.tokens || 0;
+                    totalRequests += result.requests || 0;
+                    totalRequeued += result.requeued || 0;
                 }
 
                 const progress = ((batch / totalBatches) * 100).toFixed(1);
                 console.log(`📊 Progress: ${progress}% complete\n`);
 
-                // Delay between batches (rate limiting)
-                if (batch < totalBatches) {
-                    console.log(`⏳ Waiting ${CONFIG.delayBetweenBatches / 1000}s before next batch...`);
-                    await sleep(CONFIG.delayBetweenBatches);
+                if (result && result.budgetExhausted) {
+                    console.log('⏸️  Daily AI budget reached; remaining products wait for the next run\n');
+                    break;
                 }
 
             } catch (batchError) {
@@ -108,6 +121,8 @@ async function main() {
         console.log('='.repeat(70));
         console.log(`✅ Products Processed: ~${totalProcessed}`);
         console.log(`❌ Errors: ~${totalErrors}`);
+        console.log(`🔁 Queued for reprocessing: ${totalRequeued}`);
+        console.log(`🔢 Requests: ${totalRequests}, tokens: ${totalTokens}`);
         console.log(`⏱️  Duration: ${totalDuration} minutes`);
         console.log(`📅 Completed: ${new Date().toISOString()}`);
         console.log('='.repeat(70) + '\n');
@@ -130,6 +145,8 @@ async function main() {
             fs.appendFileSync(process.env.GITHUB_OUTPUT, `ai_processed=${totalProcessed}\n`);
             fs.appendFileSync(process.env.GITHUB_OUTPUT, `ai_errors=${totalErrors}\n`);
             fs.appendFileSync(process.env.GITHUB_OUTPUT, `ai_duration=${totalDuration}\n`);
+            fs.appendFileSync(process.env.GITHUB_OUTPUT, `ai_requests=${totalRequests}\n`);
+            fs.appendFileSync(process.env.GITHUB_OUTPUT, `ai_tokens=${totalTokens}\n`);
         }
 
         console.log('✅ AI processing completed successfully\n');
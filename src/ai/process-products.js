@@ -1,5 +1,6 @@
 require('dotenv').config();
-const GeminiProcessor = require('./gemini-processor');
+const ProductCategorizer = require('./product-categorizer');
+const { getProvider } = require('./providers');
 const { pool } = require('../config/database');
 
 async function main() {
@@ -13,14 +14,12 @@ async function main() {
         await pool.query('SELECT NOW()');
         console.log('✅ Database connected\n');
 
-        // Check if API key exists
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY not found in environment variables');
-        }
-        console.log('✅ Gemini API key found\n');
+        // Resolve the provider from settings.ai / AI_PROVIDER (throws if its API key is missing)
+        const provider = getProvider();
+        console.log(`✅ AI provider: ${provider.name} (${provider.model})\n`);
 
         // Initialize processor
-        const processor = new GeminiProcessor(process.env.GEMINI_API_KEY);
+        const processor = new ProductCategorizer(provider);
 
         // Process products (100 at a time)
         await processor.processUnprocessedProducts(100);
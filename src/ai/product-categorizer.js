@@ -0,0 +1,260 @@
+const { query } = require('../config/database');
+const settings = require('../config/settings');
+const AIReprocessQueue = require('../models/AIReprocessQueue');
+const { getProvider } = require('./providers');
+const taxonomy = require('./taxonomy');
+
+// Categorises products with whichever LLM provider settings.ai selects,
+// settings.ai.batch_size products per request, validated against the taxonomy
+class ProductCategorizer {
+    constructor(provider = getProvider(), config = settings.ai) {
+        this.provider = provider;
+        this.batchSize = config.batch_size || 5;
+        this.batchRetries = config.batch_retries ?? 2;
+        this.reprocess = {
+            maxAttempts: config.reprocess_max_attempts || 3,
+            delayMinutes: config.reprocess_delay_minutes || 360
+        };
+    }
+
+    buildPrompt(products) {
+        const items = products.map(p => ({
+            id: String(p.id),
+            title: p.title,
+            brand: p.brand,
+            category: p.category,
+            // Tell the model why its last answer for this product was rejected
+            ...(p.previous_reasons ? { previous_answer_rejected: p.previous_reasons.join('; ') } : {})
+        }));
+
+        return `Analyze these ${items.length} products and categorize each one.
+
+Products:
+${JSON.stringify(items, null, 1)}
+
+Return ONLY a JSON object with one entry per product, using the product's id exactly as given:
+{"items": [{"id": "product id", "refined_category": "category name", "subcategory": "specific type", "tags": ["feature1", "feature2", "feature3", "feature4", "feature5"]}]}
+
+Use ONLY these categories, their subcategories and their tags (spelled exactly as listed):
+${taxonomy.describe()}
+
+Pick up to 5 tags that describe the product's key features.`;
+    }
+
+    // One request for a batch. Returns { results: Map(id -> categorisation), rejected: Map(id -> { output, reasons }),
+    // failed: [products] }; items that don't map back to an input id or repeat an id are ignored,
+    // and items outside the taxonomy are rejected.
+    async categorizeBatch(products) {
+        const byId = new Map(products.map(p => [String(p.id), p]));
+        const results = new Map();
+        const rejected = new Map();
+
+        try {
+            const response = await this.provider.chatJSON([
+                {
+                    role: 'system',
+                    content: 'You are a product categorization expert. Always return valid JSON only, no explanations.'
+                },
+                {
+                    role: 'user',
+                    content: this.buildPrompt(products)
+                }
+            ], { temperature: 0.3, maxTokens: 100 + 120 * products.length });
+
+            const items = Array.isArray(response) ? response : response.items;
+            if (!Array.isArray(items)) {
+                console.warn(`   ⚠️  No "items" array in ${this.provider.name} response`);
+            }
+
+            for (const item of items || []) {
+                const id = item && item.id != null ? String(item.id) : null;
+
+                if (!id || !byId.has(id)) {
+                    console.warn(`   ⚠️  Ignoring result for unknown id ${id}`);
+                } else if (results.has(id)) {
+                    console.warn(`   ⚠️  Ignoring duplicate result for id ${id}`);
+                } else {
+                    const check = taxonomy.validate(item);
+                    if (check.valid) {
+                        results.set(id, check.value);
+                        if (check.droppedTags.length > 0) {
+                            console.log(`   ✂️  Dropped tags outside the vocabulary: ${check.droppedTags.join(', ')}`);
+                        }
+                    } else {
+                        const { id: _id, ...output } = item;
+                        rejected.set(id, { output, reasons: check.reasons });
+                        console.warn(`   ⚠️  Rejected result for id ${id}: ${check.reasons.join('; ')}`);
+                    }
+                }
+            }
+
+        } catch (error) {
+            if (error.code === 'AI_BUDGET_EXHAUSTED') throw error;
+            console.error(`   ❌ ${error.message}`);
+        }
+
+        return {
+            results,
+            rejected,
+            failed: products.filter(p => !results.has(String(p.id)))
+        };
+    }
+
+    // Categorise any number of products: split into batches, then retry only the products
+    // each batch failed on (up to settings.ai.batch_retries more requests per batch).
+    // `rejected` keeps the last rejected output of each product that still failed.
+    async categorizeProducts(products) {
+        const results = new Map();
+        const rejected = new Map();
+        const failed = [];
+
+        for (let i = 0; i < products.length; i += this.batchSize) {
+            let pending = products.slice(i, i + this.batchSize);
+
+            for (let round = 0; round <= this.batchRetries && pending.length > 0; round++) {
+                if (round > 0) console.log(`   🔁 Retrying ${pending.length} product(s) (${round}/${this.batchRetries})`);
+
+                const batch = await this.categorizeBatch(pending);
+                batch.results.forEach((result, id) => results.set(id, result));
+                batch.rejected.forEach((rejection, id) => rejected.set(id, rejection));
+                // Retries tell the model what was wrong with its answer
+                pending = batch.failed.map(p => {
+                    const rejection = batch.rejected.get(String(p.id));
+                    return rejection ? { ...p, previous_reasons: rejection.reasons } : p;
+                });
+            }
+
+            failed.push(...pending);
+        }
+
+        results.forEach((result, id) => rejected.delete(id));
+        return { results, rejected, failed };
+    }
+
+    async saveResult(productId, aiResult) {
+        await query(`
+            UPDATE products
+            SET
+                ai_category = $1,
+                subcategory = $2,
+                ai_tags = $3,
+                ai_processed = true
+            WHERE id = $4
+        `, [
+            aiResult.refined_category,
+            aiResult.subcategory,
+            aiResult.tags,
+            productId
+        ]);
+    }
+
+    // Output failed taxonomy validation: retry in a later run instead of storing nothing
+    async queueForReprocess(product, { output, reasons }) {
+        try {
+            const entry = await AIReprocessQueue.enqueue(product.id, { output, reasons, ...this.reprocess });
+            const verdict = entry.status === 'abandoned'
+                ? `abandoned after ${entry.attempts} attempts`
+                : `queued for reprocessing (attempt ${entry.attempts}/${this.reprocess.maxAttempts})`;
+            console.log(`   🔁 ${product.title.substring(0, 60)}... ${verdict}: ${reasons.join('; ')}`);
+        } catch (error) {
+            console.error(`   ❌ Could not queue ${product.id} for reprocessing: ${error.message}`);
+        }
+    }
+
+    async processUnprocessedProducts(limit = 50) {
+        try {
+            // Get unprocessed products, plus rejected ones whose retry is due
+            const result = await query(`
+                SELECT p.id, p.title, p.brand, p.category, q.reasons AS previous_reasons
+                FROM products p
+                LEFT JOIN ai_reprocess_queue q ON q.product_id = p.id
+                WHERE p.ai_processed = false
+                  AND (q.product_id IS NULL OR (q.status = 'queued' AND q.next_attempt_at <= NOW()))
+                ORDER BY p.first_seen DESC
+                LIMIT $1
+            `, [limit]);
+
+            const totalProducts = result.rows.length;
+
+            console.log(`\n📊 Processing ${totalProducts} products with ${this.provider.name} (${this.provider.model}), ${this.batchSize} per request...\n`);
+
+            if (totalProducts === 0) {
+                console.log('ℹ️  No unprocessed products found.\n');
+                return { processed: 0, errors: 0, requeued: 0, requests: 0, tokens: 0 };
+            }
+
+            let processed = 0;
+            let errors = 0;
+            let requeued = 0;
+            let budgetExhausted = false;
+            const usageBefore = this.provider.getUsage();
+
+            // Pacing between requests is the provider's job (settings.ai.min_interval_ms)
+            for (let i = 0; i < totalProducts; i += this.batchSize) {
+                const products = result.rows.slice(i, i + this.batchSize);
+                console.log(`🤖 [${i + 1}-${i + products.length}/${totalProducts}]`);
+
+                let batch;
+                try {
+                    batch = await this.categorizeProducts(products);
+                } catch (error) {
+                    if (error.code !== 'AI_BUDGET_EXHAUSTED') throw error;
+                    console.warn(`   ⏸️  ${error.message}; stopping until tomorrow\n`);
+                    budgetExhausted = true;
+                    break;
+                }
+
+                for (const product of products) {
+                    const aiResult = batch.results.get(String(product.id));
+
+                    if (!aiResult) {
+                        errors++;
+                        const rejection = batch.rejected.get(String(product.id));
+                        if (rejection) {
+                            await this.queueForReprocess(product, rejection);
+                            requeued++;
+                        } else {
+                            console.log(`   ⚠️  ${product.title.substring(0, 60)}... failed to categorize`);
+                        }
+                        continue;
+                    }
+
+                    try {
+                        await this.saveResult(product.id, aiResult);
+                        if (product.previous_reasons) await AIReprocessQueue.resolve([product.id]);
+                        processed++;
+                        console.log(`   ✅ ${product.title.substring(0, 40)}... → ${aiResult.refined_category} > ${aiResult.subcategory}`);
+                    } catch (error) {
+                        errors++;
+                        console.error(`   ❌ Error saving ${product.id}: ${error.message}`);
+                    }
+                }
+                console.log('');
+            }
+
+            const usageAfter = this.provider.getUsage();
+            const requests = usageAfter.requests - usageBefore.requests;
+            const tokens = usageAfter.total_tokens - usageBefore.total_tokens;
+
+            console.log('\n' + '='.repeat(60));
+            console.log('🎉 AI PROCESSING COMPLETE');
+            console.log('='.repeat(60));
+            console.log(`✅ Successfully processed: ${processed}`);
+            console.log(`❌ Errors: ${errors}`);
+            console.log(`🔁 Queued for reprocessing: ${requeued}`);
+            console.log(`📊 Total: ${totalProducts}`);
+            console.log(`📈 Success rate: ${totalProducts > 0 ? Math.round((processed / totalProducts) * 100) : 0}%`);
+            console.log(`🔢 Requests: ${requests}, tokens: ${tokens}`);
+            if (budgetExhausted) console.log('⏸️  Stopped early: daily AI budget reached');
+            console.log('='.repeat(60) + '\n');
+
+            return { processed, errors, requeued, requests, tokens, budgetExhausted };
+
+        } catch (error) {
+            console.error('❌ AI processing failed:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = ProductCategorizer;
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const LLMProvider = require('./llm-provider');
+
+// Google Gemini generateContent API
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.apiKey = config.api_key;
+        this.baseUrl = config.base_url || 'https://generativelanguage.googleapis.com/v1beta';
+    }
+
+    async request(messages, { temperature, maxTokens, json, model }) {
+        // Gemini takes the system prompt separately and calls the assistant "model"
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const contents = messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+        const body = {
+            contents,
+            generationConfig: {
+                temperature,
+                maxOutputTokens: maxTokens,
+                ...(json ? { responseMimeType: 'application/json' } : {})
+            }
+        };
+        if (system) body.systemInstruction = { parts: [{ text: system }] };
+
+        const response = await axios.post(
+            `${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`,
+            body,
+            {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: this.timeoutMs
+            }
+        );
+
+        const parts = response.data.candidates?.[0]?.content?.parts;
+        if (!parts) throw new Error(`Empty ${this.name} response`);
+
+        const usage = response.data.usageMetadata || {};
+        return {
+            text: parts.map(p => p.text || '').join('').trim(),
+            usage: {
+                prompt_tokens: usage.promptTokenCount || 0,
+                completion_tokens: usage.candidatesTokenCount || 0,
+                total_tokens: usage.totalTokenCount || 0
+            }
+        };
+    }
+}
+
+module.exports = GeminiProvider;
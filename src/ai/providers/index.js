@@ -0,0 +1,116 @@
+// LLM provider registry. Everything that talks to a model (categoriser, selector healer)
+// goes through getProvider(), so switching backends is a settings.ai / env change.
+//
+//   AI_PROVIDER=groq|gemini|openai|stub   overrides settings.ai.provider
+//   AI_MODEL=...                          overrides the model
+//   OPENAI_BASE_URL=...                   any OpenAI-compatible endpoint (Ollama, vLLM, ...)
+
+const settings = require('../../config/settings');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const GeminiProvider = require('./gemini');
+const StubProvider = require('./stub');
+const LLMProvider = require('./llm-provider');
+const UsageBudget = require('../usage-budget');
+
+const PROVIDERS = {
+    groq: {
+        defaultModel: 'llama-3.3-70b-versatile',
+        apiKeyEnv: 'GROQ_API_KEY',
+        create: config => new OpenAICompatibleProvider({ ...config, base_url: 'https://api.groq.com/openai/v1' })
+    },
+    gemini: {
+        defaultModel: 'gemini-1.5-flash',
+        apiKeyEnv: 'GEMINI_API_KEY',
+        create: config => new GeminiProvider(config)
+    },
+    openai: {
+        defaultModel: 'gpt-4o-mini',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        keyOptional: true, // Local OpenAI-compatible servers usually take no key
+        create: config => new OpenAICompatibleProvider({
+            ...config,
+            base_url: process.env.OPENAI_BASE_URL || config.base_url || 'https://api.openai.com/v1'
+        })
+    },
+    stub: {
+        defaultModel: 'stub',
+        keyOptional: true,
+        unmetered: true,
+        create: config => new StubProvider(config)
+    }
+};
+
+// Resolve provider name, model and API key from settings.ai plus env overrides
+function resolveConfig(overrides = {}) {
+    const base = settings.ai || {};
+    const name = overrides.provider || process.env.AI_PROVIDER || base.provider || 'groq';
+    const spec = PROVIDERS[name];
+
+    if (!spec) {
+        throw new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    // settings.ai.model belongs to settings.ai.provider; don't send a Groq model name to Gemini
+    const settingsModel = name === base.provider ? base.model : null;
+
+    return {
+        ...base,
+        ...overrides,
+        name,
+        model: overrides.model || process.env.AI_MODEL || settingsModel || spec.defaultModel,
+        api_key: overrides.api_key || (spec.apiKeyEnv ? process.env[spec.apiKeyEnv] : null)
+    };
+}
+
+// Is the configured provider usable (known, and has a key when it needs one)?
+function isConfigured(overrides = {}) {
+    try {
+        const config = resolveConfig(overrides);
+        return Boolean(config.api_key || PROVIDERS[config.name].keyOptional);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Build a fresh provider; throws when the API key is missing
+function createProvider(overrides = {}) {
+    const config = resolveConfig(overrides);
+    const spec = PROVIDERS[config.name];
+
+    if (!config.api_key && !spec.keyOptional) {
+        throw new Error(`${spec.apiKeyEnv} not found in environment variables (AI provider: ${config.name})`);
+    }
+
+    // Real providers share a persisted daily budget; pass budget: null to opt out
+    if (config.budget === undefined && !spec.unmetered) {
+        config.budget = new UsageBudget(config.name, config);
+    }
+
+    return spec.create(config);
+}
+
+// Shared instance so token accounting covers the whole process
+let shared = null;
+
+function getProvider() {
+    if (!shared) shared = createProvider();
+    return shared;
+}
+
+// Swap the shared instance (tests use this with a StubProvider)
+function setProvider(provider) {
+    shared = provider;
+}
+
+module.exports = {
+    createProvider,
+    getProvider,
+    setProvider,
+    isConfigured,
+    resolveConfig,
+    LLMProvider,
+    UsageBudget,
+    OpenAICompatibleProvider,
+    GeminiProvider,
+    StubProvider
+};
@@ -0,0 +1,129 @@
+// Base class for LLM providers. Subclasses implement request(); everything else
+// (retries, timeouts, pacing, JSON parsing, token accounting) lives here so the
+// categoriser and the selector healer behave the same whichever backend is configured.
+
+class LLMProvider {
+    constructor(config = {}) {
+        this.name = config.name || 'llm';
+        this.model = config.model;
+        this.timeoutMs = config.timeout_ms || 15000;
+        this.retryAttempts = config.retry_attempts || 3;
+        this.minIntervalMs = config.min_interval_ms || 0;
+        this.budget = config.budget || null; // Optional UsageBudget; see src/ai/usage-budget.js
+        this.lastRequestAt = 0;
+        this.usage = { requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    }
+
+    // Subclasses: (messages, options) => Promise<{ text, usage: { prompt_tokens, completion_tokens, total_tokens } }>
+    async request(messages, options) {
+        throw new Error(`${this.name} provider must implement request()`);
+    }
+
+    // ========== CHAT ==========
+
+    // messages: [{ role: 'system' | 'user' | 'assistant', content }]
+    // options: { temperature, maxTokens, json, model }
+    async chat(messages, options = {}) {
+        const opts = { temperature: 0.2, maxTokens: 512, json: false, ...options, model: options.model || this.model };
+
+        for (let attempt = 1; ; attempt++) {
+            // Throws AI_BUDGET_EXHAUSTED (not retried) once today's quota is spent
+            if (this.budget) await this.budget.check();
+            await this.pace();
+
+            try {
+                const result = await this.request(messages, opts);
+                this.recordUsage(result.usage);
+                if (this.budget) await this.budget.record(result.usage);
+                return result;
+
+            } catch (error) {
+                this.usage.errors++;
+                // Rejected calls still count against the provider's daily quota
+                if (this.budget && error.response) await this.budget.record();
+                const status = this.getStatus(error);
+
+                if (attempt >= this.retryAttempts || !this.isRetryable(error)) {
+                    const wrapped = new Error(`${this.name} API error${status ? ` (${status})` : ''}: ${this.getErrorMessage(error)}`);
+                    wrapped.status = status;
+                    wrapped.provider = this.name;
+                    throw wrapped;
+                }
+
+                const waitMs = this.getRetryDelay(error, attempt);
+                console.warn(`⚠️  ${this.name} ${status || error.code || 'error'}; retrying in ${(waitMs / 1000).toFixed(1)}s (${attempt}/${this.retryAttempts})`);
+                await new Promise(r => setTimeout(r, waitMs));
+            }
+        }
+    }
+
+    // Chat in JSON mode and parse the reply; throws if no JSON comes back
+    async chatJSON(messages, options = {}) {
+        const { text } = await this.chat(messages, { ...options, json: true });
+        return this.parseJSON(text);
+    }
+
+    // Models wrap JSON in ```json fences or prose often enough that we look for it
+    parseJSON(text) {
+        const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+        try {
+            return JSON.parse(cleaned);
+        } catch (error) {
+            const match = cleaned.match(/[\[{][\s\S]*[\]}]/);
+            if (match) {
+                try {
+                    return JSON.parse(match[0]);
+                } catch (innerError) {
+                    // Fall through
+                }
+            }
+            throw new Error(`No valid JSON in ${this.name} response`);
+        }
+    }
+
+    // ========== RETRIES & PACING ==========
+
+    getStatus(error) {
+        return error.response?.status || error.status || null;
+    }
+
+    getErrorMessage(error) {
+        const data = error.response?.data;
+        return data?.error?.message || data?.message || error.message;
+    }
+
+    isRetryable(error) {
+        const status = this.getStatus(error);
+        if (status) return status === 429 || status >= 500;
+        return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code);
+    }
+
+    // Retry-After when the API sends one, otherwise 2s, 4s, 8s...
+    getRetryDelay(error, attempt) {
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+        if (!isNaN(retryAfter)) return Math.min(retryAfter * 1000, 60000);
+        return 1000 * Math.pow(2, attempt);
+    }
+
+    // Free tiers cap requests per minute; keep at least min_interval_ms between calls
+    async pace() {
+        const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+        if (wait > 0) await new Promise(r => setTimeout(r, wait));
+        this.lastRequestAt = Date.now();
+    }
+
+    // ========== TOKEN ACCOUNTING ==========
+
+    recordUsage(usage = {}) {
+        this.usage.requests++;
+        this.usage.prompt_tokens += usage.prompt_tokens || 0;
+        this.usage.completion_tokens += usage.completion_tokens || 0;
+        this.usage.total_tokens += usage.total_tokens || ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0));
+    }
+
+    getUsage() {
+        return { provider: this.name, model: this.model, ...this.usage };
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const LLMProvider = require('./llm-provider');
+
+// Any /chat/completions endpoint: Groq, OpenAI, or a local server (Ollama, vLLM, LM Studio)
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = (config.base_url || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = config.api_key || null;
+    }
+
+    async request(messages, { temperature, maxTokens, json, model }) {
+        const body = {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: false
+        };
+        if (json) body.response_format = { type: 'json_object' };
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: {
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeoutMs
+        });
+
+        const choice = response.data.choices?.[0];
+        if (!choice) throw new Error(`Empty ${this.name} response`);
+
+        return {
+            text: (choice.message?.content || '').trim(),
+            usage: response.data.usage || {}
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
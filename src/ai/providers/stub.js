@@ -0,0 +1,32 @@
+const LLMProvider = require('./llm-provider');
+
+// Offline provider for tests and dry runs. Replies come from a responder function
+// (messages, options) => string | object, or a fixed reply; objects are sent back as JSON text.
+// Every call is kept in `calls` so tests can assert on the prompts.
+class StubProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ name: 'stub', model: 'stub', min_interval_ms: 0, ...config });
+        this.respondWith(config.responder || {});
+        this.calls = [];
+    }
+
+    respondWith(responder) {
+        this.responder = typeof responder === 'function' ? responder : () => responder;
+        return this;
+    }
+
+    async request(messages, options) {
+        this.calls.push({ messages, options });
+        const reply = await this.responder(messages, options);
+        const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+
+        // Rough token estimate (~4 characters per token) so usage accounting has numbers
+        const promptChars = messages.reduce((sum, m) => sum + m.content.length, 0);
+        const prompt_tokens = Math.ceil(promptChars / 4);
+        const completion_tokens = Math.ceil(text.length / 4);
+
+        return { text, usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens } };
+    }
+}
+
+module.exports = StubProvider;
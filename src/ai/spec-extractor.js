@@ -0,0 +1,322 @@
+const { query } = require('../config/database');
+const settings = require('../config/settings');
+const specSchemas = require('../config/spec-schemas');
+const Product = require('../models/Products');
+const { extractSpecsFromTitle } = require('../scrapers/core/title-specs');
+const { getProvider } = require('./providers');
+const taxonomy = require('./taxonomy');
+
+// Units written with a space ("15.6 inch", "1.5 ton"); the rest are glued on ("16GB", "65W")
+const SPACED_UNITS = new Set(['inch', 'hours', 'days', 'kg', 'ton', 'L', 'mm', 'ms', 'star']);
+
+const EMPTY_VALUES = new Set(['', 'n/a', 'na', 'none', 'unknown', 'not specified', 'null']);
+
+// Turns title + detail text into the typed spec schema of the product's category
+// (src/config/spec-schemas.js), with a confidence per field, and merges the result into
+// products.specifications without overwriting detail-page specs.
+class SpecExtractor {
+    constructor(provider = getProvider(), config = settings.ai.spec_extraction) {
+        this.provider = provider;
+        this.batchSize = config.batch_size || 3;
+        this.minConfidence = config.min_confidence ?? 0.7;
+        this.maxDetailChars = config.max_detail_chars || 1500;
+    }
+
+    // ========== SCHEMA ==========
+
+    // Taxonomy key of the product's category when it has a spec schema, else null
+    schemaKey(product) {
+        const category = taxonomy.resolveCategory(product.ai_category) || taxonomy.resolveCategory(product.category);
+        return category && specSchemas[category.key] ? category.key : null;
+    }
+
+    describeSchema(schema) {
+        return Object.entries(schema).map(([field, def]) => {
+            const type = def.type === 'enum'
+                ? `one of ${def.values.join(' | ')}`
+                : `${def.type}${def.unit ? ` (${def.unit})` : ''}${def.unit_field ? ` (unit in ${def.unit_field})` : ''}`;
+            return `- ${field}: ${type}: ${def.description}`;
+        }).join('\n');
+    }
+
+    // Typed value for `def`, or null when the model's answer doesn't fit
+    coerceValue(def, raw) {
+        if (raw === null || raw === undefined) return null;
+        if (typeof raw === 'string' && EMPTY_VALUES.has(raw.trim().toLowerCase())) return null;
+
+        switch (def.type) {
+            case 'number': {
+                let value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/,/g, ''));
+                if (typeof raw === 'string' && def.unit === 'GB' && /\bTB\b|\dTB/i.test(raw)) value *= 1024;
+                if (!Number.isFinite(value)) return null;
+                if ((def.min !== undefined && value < def.min) || (def.max !== undefined && value > def.max)) return null;
+                return Math.round(value * 100) / 100;
+            }
+            case 'boolean':
+                if (typeof raw === 'boolean') return raw;
+                if (/^(yes|true)$/i.test(String(raw).trim())) return true;
+                if (/^(no|false)$/i.test(String(raw).trim())) return false;
+                return null;
+            case 'enum': {
+                const wanted = String(raw).toLowerCase().replace(/[^a-z0-9]/g, '');
+                return def.values.find(v => v.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted) || null;
+            }
+            default: {
+                const text = String(raw).replace(/\s+/g, ' ').trim();
+                return text && text.length <= 100 ? text : null;
+            }
+        }
+    }
+
+    // Display string stored in products.specifications (same style as the scrapers write)
+    formatValue(def, value, unit) {
+        if (def.type === 'boolean') return value ? 'Yes' : 'No';
+        if (def.type !== 'number' || !unit) return String(value);
+        if (unit === 'GB' && value >= 1024 && value % 1024 === 0) return `${value / 1024}TB`;
+        return SPACED_UNITS.has(unit) ? `${value} ${unit}` : `${value}${unit}`;
+    }
+
+    // { field: { value, confidence } } from the model → validated fields at or above min_confidence
+    validateSpecs(schema, rawSpecs) {
+        const fields = {};
+        const rejected = [];
+
+        for (const [field, answer] of Object.entries(rawSpecs || {})) {
+            const def = schema[field];
+            if (!def) {
+                rejected.push(`${field}: not in schema`);
+                continue;
+            }
+
+            const raw = answer && typeof answer === 'object' && !Array.isArray(answer) ? answer.value : answer;
+            let confidence = answer && typeof answer === 'object' ? parseFloat(answer.confidence) : NaN;
+            if (confidence > 1 && confidence <= 100) confidence /= 100; // "95" meaning 95%
+            if (!Number.isFinite(confidence)) confidence = 0;
+
+            const value = this.coerceValue(def, raw);
+            if (value === null) {
+                if (raw !== null && raw !== undefined) rejected.push(`${field}: invalid value ${JSON.stringify(raw)}`);
+                continue;
+            }
+            if (confidence < this.minConfidence) {
+                rejected.push(`${field}: confidence ${confidence}`);
+                continue;
+            }
+
+            fields[field] = { value, confidence: Math.round(Math.min(confidence, 1) * 100) / 100 };
+        }
+
+        // Formatting needs the whole set (unit_field)
+        for (const [field, extracted] of Object.entries(fields)) {
+            const def = schema[field];
+            const unit = def.unit_field ? fields[def.unit_field]?.value : def.unit;
+            extracted.text = this.formatValue(def, extracted.value, unit);
+        }
+
+        return { fields, rejected };
+    }
+
+    // ========== MERGE ==========
+
+    // Which extracted fields to write. Detail-page specs always stay; earlier AI values stay
+    // unless this one is more confident; listing specs stay unless they're just the title regex
+    // (that's what the extractor is here to correct).
+    planMerge(product, fields) {
+        const specs = product.specifications || {};
+        const meta = product.spec_meta || {};
+        const titleSpecs = extractSpecsFromTitle(product.title || '');
+
+        const specifications = {};
+        const specMeta = {};
+        const kept = [];
+
+        for (const [field, extracted] of Object.entries(fields)) {
+            const current = meta[field];
+            const existing = specs[field];
+
+            if (current && current.source === 'detail') {
+                kept.push(`${field} (detail page)`);
+                continue;
+            }
+            if (current && current.source === 'ai' && current.confidence > extracted.confidence) {
+                kept.push(`${field} (earlier AI, ${current.confidence})`);
+                continue;
+            }
+            if (!current && existing !== undefined && existing !== titleSpecs[field]) {
+                kept.push(`${field} (scraped)`);
+                continue;
+            }
+
+            specifications[field] = extracted.text;
+            specMeta[field] = {
+                source: 'ai',
+                confidence: extracted.confidence,
+                value: extracted.value,
+                model: this.provider.model
+            };
+        }
+
+        return { specifications, specMeta, kept };
+    }
+
+    // ========== EXTRACTION ==========
+
+    // Title, detail specs (not the title-regex ones) and highlights, capped at max_detail_chars
+    buildDetailText(product) {
+        const titleSpecs = extractSpecsFromTitle(product.title || '');
+        const specs = Object.entries(product.specifications || {})
+            .filter(([key, value]) => titleSpecs[key] !== value)
+            .map(([key, value]) => `${key}: ${value}`);
+        const highlights = product.highlights || [];
+
+        return [...specs, ...highlights].join('\n').substring(0, this.maxDetailChars);
+    }
+
+    buildPrompt(schemaKey, products) {
+        const items = products.map(p => ({
+            id: String(p.id),
+            title: p.title,
+            brand: p.brand,
+            details: this.buildDetailText(p) || undefined
+        }));
+
+        return `Extract specifications for these ${settings.categories[schemaKey].name} products.
+
+Fields:
+${this.describeSchema(specSchemas[schemaKey])}
+
+Rules:
+- Use only what the title or details state; don't fill in specs from memory of the model
+- Numbers in the unit shown (1TB storage = 1024), without the unit
+- Watch for accessories and numbers that belong to something else (a "65W" charger is not the battery; the first "GB" may be RAM)
+- Give each field a confidence from 0 to 1; leave out fields you can't determine
+
+Products:
+${JSON.stringify(items, null, 1)}
+
+Return ONLY a JSON object:
+{"items": [{"id": "product id", "specs": {"field": {"value": ..., "confidence": 0.9}}}]}`;
+    }
+
+    // One request for products sharing a schema → Map(id -> { fields, rejected })
+    async extractBatch(schemaKey, products) {
+        const byId = new Set(products.map(p => String(p.id)));
+        const results = new Map();
+
+        try {
+            const response = await this.provider.chatJSON([
+                {
+                    role: 'system',
+                    content: 'You extract product specifications into a fixed schema. Always return valid JSON only, no explanations.'
+                },
+                {
+                    role: 'user',
+                    content: this.buildPrompt(schemaKey, products)
+                }
+            ], { temperature: 0.1, maxTokens: 150 + 250 * products.length });
+
+            const items = Array.isArray(response) ? response : response.items;
+            for (const item of items || []) {
+                const id = item && item.id != null ? String(item.id) : null;
+                if (!id || !byId.has(id) || results.has(id)) continue;
+                results.set(id, this.validateSpecs(specSchemas[schemaKey], item.specs));
+            }
+
+        } catch (error) {
+            if (error.code === 'AI_BUDGET_EXHAUSTED') throw error;
+            console.error(`   ❌ ${error.message}`);
+        }
+
+        return results;
+    }
+
+    async processProducts(limit = 50) {
+        const categoryNames = Object.keys(specSchemas).map(key => settings.categories[key].name);
+
+        const result = await query(`
+            SELECT id, title, brand, category, ai_category, specifications, spec_meta, highlights
+            FROM products
+            WHERE specs_extracted_at IS NULL
+              AND (ai_category = ANY($1) OR category = ANY($1))
+            ORDER BY detail_scraped_at DESC NULLS LAST, first_seen DESC
+            LIMIT $2
+        `, [categoryNames, limit]);
+
+        console.log(`\n📐 Extracting specs for ${result.rows.length} products with ${this.provider.name} (${this.provider.model})...\n`);
+
+        // Prompts carry one schema, so batch within a category
+        const groups = {};
+        for (const product of result.rows) {
+            const key = this.schemaKey(product);
+            if (key) (groups[key] = groups[key] || []).push(product);
+        }
+
+        let updated = 0;
+        let fieldsWritten = 0;
+        let errors = 0;
+        let budgetExhausted = false;
+        const usageBefore = this.provider.getUsage();
+
+        for (const [schemaKey, products] of Object.entries(groups)) {
+            if (budgetExhausted) break;
+
+            for (let i = 0; i < products.length; i += this.batchSize) {
+                const batch = products.slice(i, i + this.batchSize);
+
+                let extracted;
+                try {
+                    extracted = await this.extractBatch(schemaKey, batch);
+                } catch (error) {
+                    if (error.code !== 'AI_BUDGET_EXHAUSTED') throw error;
+                    console.warn(`   ⏸️  ${error.message}; stopping until tomorrow\n`);
+                    budgetExhausted = true;
+                    break;
+                }
+
+                for (const product of batch) {
+                    const answer = extracted.get(String(product.id));
+                    if (!answer) {
+                        errors++; // Left for the next run
+                        continue;
+                    }
+
+                    const plan = this.planMerge(product, answer.fields);
+                    try {
+                        await Product.updateExtractedSpecs(product.id, plan.specifications, plan.specMeta);
+                        const written = Object.keys(plan.specifications);
+                        fieldsWritten += written.length;
+                        if (written.length) updated++;
+                        console.log(`   📐 ${product.title.substring(0, 50)}... → ${written.length ? written.map(f => `${f}=${plan.specifications[f]}`).join(', ') : 'nothing new'}`);
+                        if (plan.kept.length) console.log(`      kept: ${plan.kept.join(', ')}`);
+                    } catch (error) {
+                        errors++;
+                        console.error(`   ❌ Error saving specs for ${product.id}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        const usageAfter = this.provider.getUsage();
+
+        console.log('\n' + '='.repeat(60));
+        console.log('📐 SPEC EXTRACTION COMPLETE');
+        console.log('='.repeat(60));
+        console.log(`✅ Products updated: ${updated} (${fieldsWritten} fields)`);
+        console.log(`❌ Errors: ${errors}`);
+        console.log(`🔢 Requests: ${usageAfter.requests - usageBefore.requests}, tokens: ${usageAfter.total_tokens - usageBefore.total_tokens}`);
+        if (budgetExhausted) console.log('⏸️  Stopped early: daily AI budget reached');
+        console.log('='.repeat(60) + '\n');
+
+        return {
+            checked: result.rows.length,
+            updated,
+            fields: fieldsWritten,
+            errors,
+            requests: usageAfter.requests - usageBefore.requests,
+            tokens: usageAfter.total_tokens - usageBefore.total_tokens,
+            budgetExhausted
+        };
+    }
+}
+
+module.exports = SpecExtractor;
@@ -0,0 +1,123 @@
+const settings = require('../config/settings');
+const taxonomyConfig = require('../config/taxonomy');
+
+// Lookup key: case, punctuation and "&"/"and" differences don't matter
+function normalize(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Strict validation of AI categorisation against src/config/taxonomy.js,
+// mapping aliases and synonyms onto the canonical names
+class Taxonomy {
+    constructor(config = taxonomyConfig, categories = settings.categories) {
+        this.categories = {};
+        this.categoryIndex = new Map();
+        this.tagSynonyms = new Map();
+
+        for (const [from, to] of Object.entries(config.tag_synonyms || {})) {
+            this.tagSynonyms.set(normalize(from), to);
+        }
+
+        for (const [key, node] of Object.entries(config.categories)) {
+            if (!categories[key]) {
+                throw new Error(`Taxonomy category "${key}" is not in settings.categories`);
+            }
+
+            const name = categories[key].name;
+            const subcategoryIndex = new Map();
+            for (const [subcategory, aliases] of Object.entries(node.subcategories)) {
+                [subcategory, ...aliases].forEach(alias => subcategoryIndex.set(normalize(alias), subcategory));
+            }
+
+            const tagIndex = new Map();
+            [...(config.common_tags || []), ...node.tags].forEach(tag => tagIndex.set(normalize(tag), tag));
+
+            this.categories[key] = { key, name, subcategories: Object.keys(node.subcategories), subcategoryIndex, tagIndex };
+            [key, name, ...(node.aliases || [])].forEach(alias => this.categoryIndex.set(normalize(alias), key));
+        }
+    }
+
+    // Exact normalised match, then without a trailing plural "s"
+    lookup(index, value) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        const key = normalize(value);
+        return index.get(key) || index.get(key.replace(/s$/, '')) || index.get(`${key}s`) || null;
+    }
+
+    resolveCategory(value) {
+        const key = this.lookup(this.categoryIndex, value);
+        return key ? this.categories[key] : null;
+    }
+
+    resolveSubcategory(category, value) {
+        return this.lookup(category.subcategoryIndex, value);
+    }
+
+    resolveTag(category, value) {
+        if (typeof value !== 'string') return null;
+        const synonym = this.tagSynonyms.get(normalize(value));
+        return this.lookup(category.tagIndex, synonym || value);
+    }
+
+    // Check one model output ({ refined_category, subcategory, tags }).
+    // Returns { valid, value, reasons, droppedTags }: category and subcategory must be in the
+    // taxonomy; tags outside the category's vocabulary are dropped rather than failing the item.
+    validate(output) {
+        const reasons = [];
+        const droppedTags = [];
+
+        const category = this.resolveCategory(output && output.refined_category);
+        if (!category) {
+            reasons.push(`unknown category "${output && output.refined_category}"`);
+            return { valid: false, value: null, reasons, droppedTags };
+        }
+
+        const subcategory = this.resolveSubcategory(category, output.subcategory);
+        if (!subcategory) {
+            reasons.push(`unknown subcategory "${output.subcategory}" for ${category.name}`);
+        }
+
+        const tags = [];
+        if (!Array.isArray(output.tags)) {
+            reasons.push('tags must be an array');
+        } else {
+            for (const tag of output.tags) {
+                const canonical = this.resolveTag(category, tag);
+                if (!canonical) droppedTags.push(tag);
+                else if (!tags.includes(canonical)) tags.push(canonical);
+            }
+        }
+
+        if (reasons.length > 0) {
+            return { valid: false, value: null, reasons, droppedTags };
+        }
+
+        return {
+            valid: true,
+            value: {
+                category_key: category.key,
+                refined_category: category.name,
+                subcategory,
+                tags: tags.slice(0, 5)
+            },
+            reasons,
+            droppedTags
+        };
+    }
+
+    // Compact listing for the categorisation prompt
+    describe() {
+        return Object.values(this.categories).map(category =>
+            `- ${category.name}: subcategories [${category.subcategories.join(', ')}]; tags [${[...new Set(category.tagIndex.values())].join(', ')}]`
+        ).join('\n');
+    }
+}
+
+module.exports = new Taxonomy(); // Singleton
+module.exports.Taxonomy = Taxonomy;
+module.exports.normalize = normalize;
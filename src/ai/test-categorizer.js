@@ -0,0 +1,157 @@
+const { pool } = require('../config/database');
+const ProductCategorizer = require('./product-categorizer');
+const { StubProvider, UsageBudget } = require('./providers');
+const taxonomy = require('./taxonomy');
+
+// Taxonomy validation, batch categorisation against a StubProvider, and the daily request budget. The ai_usage
+// queries go to a stand-in pool, so no database or API key is needed.
+//
+//   node src/ai/test-categorizer.js
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+    console.log(`✅ ${message}`);
+}
+
+// Ids of the products a categorisation prompt asked about
+function promptIds(call) {
+    const prompt = call.messages.find(m => m.role === 'user').content;
+    const listed = prompt.match(/Products:\n([\s\S]*?)\n\nReturn/)[1];
+    return JSON.parse(listed).map(item => item.id);
+}
+
+async function testTaxonomy() {
+    // Aliases, case, "&"/"and" and plurals all resolve to the canonical names
+    const aliased = taxonomy.validate({ refined_category: 'mobile phones', subcategory: 'android', tags: ['5G'] });
+    check(aliased.valid && aliased.value.refined_category === 'Smartphones', 'Category alias resolves to the settings.categories name');
+    check(aliased.value.category_key === 'smartphones', 'Result carries the settings.categories key');
+    check(aliased.value.subcategory === 'Android Phones', 'Subcategory alias resolves to the canonical subcategory');
+
+    const spelled = taxonomy.validate({ refined_category: 'LAPTOP', subcategory: 'Ultrabook', tags: ['thin and light', 'SSD storage'] });
+    check(spelled.valid && spelled.value.subcategory === 'Ultrabooks', 'Singular and uppercase spellings resolve');
+
+    // Tag synonyms map onto the vocabulary; duplicates collapse; unknown tags are dropped, not fatal
+    const tagged = taxonomy.validate({
+        refined_category: 'Smartphones',
+        subcategory: 'Android Phones',
+        tags: ['5G enabled', 'Super AMOLED', 'quick charging', 'Fast Charging', 'Holographic Display', 'flagship']
+    });
+    check(tagged.valid, 'Unknown tags do not reject the item');
+    check(tagged.value.tags.join(',') === '5G,AMOLED,Fast Charging,Premium', 'Tag synonyms and common tags resolve to canonical tags, once each');
+    check(tagged.droppedTags.join(',') === 'Holographic Display', 'Tags outside the vocabulary are reported as dropped');
+
+    // Tags from another category's vocabulary aren't borrowed
+    const borrowed = taxonomy.validate({ refined_category: 'Smartphones', subcategory: 'iPhones', tags: ['Denim'] });
+    check(borrowed.valid && borrowed.value.tags.length === 0, "Another category's tags are dropped");
+
+    // Rejections
+    const unknownCategory = taxonomy.validate({ refined_category: 'Gadgets', subcategory: 'Android Phones', tags: [] });
+    check(!unknownCategory.valid && /unknown category "Gadgets"/.test(unknownCategory.reasons[0]), 'Unknown category is rejected');
+
+    const wrongParent = taxonomy.validate({ refined_category: 'Laptops', subcategory: 'Android Phones', tags: [] });
+    check(!wrongParent.valid && /unknown subcategory "Android Phones" for Laptops/.test(wrongParent.reasons[0]), "Another category's subcategory is rejected");
+
+    const noTags = taxonomy.validate({ refined_category: 'Smartphones', subcategory: 'iPhones', tags: '5G' });
+    check(!noTags.valid && noTags.reasons.includes('tags must be an array'), 'Non-array tags are rejected');
+
+    check(!taxonomy.validate(null).valid, 'Missing output is rejected');
+}
+
+const phone = id => ({ id, refined_category: 'Smartphones', subcategory: 'Android Phones', tags: ['5G', 'AMOLED'] });
+
+async function testBatches() {
+    const products = ['1', '2', '3', '4', '5'].map(id => ({ id, title: `Phone ${id}`, brand: 'Redmi', category: 'smartphones' }));
+
+    // Round 1: a duplicate for 2, an id nobody asked about, nothing for 3, a malformed 4.
+    // Round 2: only 3 comes back. Round 3: nothing.
+    const replies = [
+        { items: [phone('1'), phone('2'), { ...phone('2'), subcategory: 'Foldable Phones' }, phone('99'), { ...phone('4'), subcategory: '' }, phone('5')] },
+        { items: [phone('3')] },
+        { items: [] }
+    ];
+    const provider = new StubProvider({ responder: () => replies.shift() });
+    const categorizer = new ProductCategorizer(provider, { batch_size: 5, batch_retries: 2 });
+
+    const { results, failed } = await categorizer.categorizeProducts(products);
+
+    check(provider.calls.length === 3, 'One request per round while products are still failing');
+    check(promptIds(provider.calls[0]).join(',') === '1,2,3,4,5', 'First request carries the whole batch');
+    check(promptIds(provider.calls[1]).join(',') === '3,4', 'Retry re-sends only the missing and malformed products');
+    check(promptIds(provider.calls[2]).join(',') === '4', 'Second retry re-sends only what is still failing');
+
+    check([...results.keys()].sort().join(',') === '1,2,3,5', 'Every answered product has a result');
+    check(results.get('2').subcategory === 'Android Phones', 'A duplicate id keeps the first answer');
+    check(!results.has('99'), 'Results for unknown ids are ignored');
+    check(failed.map(p => p.id).join(',') === '4', 'Products still failing after the retries are reported');
+
+    // Taxonomy rejections are retried with the reason, and the last rejected output is kept
+    const rejecting = new StubProvider({ responder: () => ({ items: [{ ...phone('1'), refined_category: 'Gadgets' }] }) });
+    const rejected = await new ProductCategorizer(rejecting, { batch_size: 5, batch_retries: 1 }).categorizeProducts(products.slice(0, 1));
+    const retryPrompt = rejecting.calls[1].messages.find(m => m.role === 'user').content;
+    check(/"previous_answer_rejected": "unknown category \\"Gadgets\\""/.test(retryPrompt), 'Retry tells the model why its answer was rejected');
+    check(rejected.failed.length === 1 && rejected.rejected.get('1').output.refined_category === 'Gadgets', 'Rejected output is returned for the reprocess queue');
+
+    // A batch whose request fails outright fails every product in it
+    const broken = new StubProvider({ responder: () => 'not json', retry_attempts: 1 });
+    const batch = await new ProductCategorizer(broken, { batch_size: 5, batch_retries: 0 }).categorizeBatch(products.slice(0, 2));
+    check(batch.results.size === 0 && batch.failed.length === 2, 'An unparseable reply fails the whole batch');
+}
+
+async function testBudget() {
+    // Stand-in ai_usage table: 398 requests already spent today
+    let spent = 398;
+    pool.query = async sql => {
+        if (/INSERT INTO ai_usage/.test(sql)) spent++;
+        return { rows: [{ requests: spent, prompt_tokens: 0, completion_tokens: 0 }], rowCount: 1 };
+    };
+
+    const budget = new UsageBudget('groq', { target_usage: 400, daily_limit: 14400 });
+    await budget.check();
+    check(budget.limit === 400, 'Limit is the lower of target_usage and daily_limit');
+
+    await budget.record();
+    await budget.check();
+    check(budget.requests === 399, 'record() counts the request');
+
+    await budget.record();
+    let exhausted = null;
+    try {
+        await budget.check();
+    } catch (error) {
+        exhausted = error;
+    }
+    check(exhausted && exhausted.code === 'AI_BUDGET_EXHAUSTED', 'check() throws AI_BUDGET_EXHAUSTED at the limit');
+
+    // The categoriser stops instead of treating it as a failed batch
+    spent = 399;
+    const provider = new StubProvider({ budget: new UsageBudget('groq', { target_usage: 400 }), responder: { items: [] } });
+    const categorizer = new ProductCategorizer(provider, { batch_size: 1, batch_retries: 2 });
+    let stopped = null;
+    try {
+        await categorizer.categorizeProducts([{ id: '1', title: 'Phone 1' }, { id: '2', title: 'Phone 2' }]);
+    } catch (error) {
+        stopped = error;
+    }
+    check(stopped && stopped.code === 'AI_BUDGET_EXHAUSTED', 'categorizeProducts() rethrows AI_BUDGET_EXHAUSTED');
+    check(provider.calls.length === 1, 'Requests stop once the budget is spent');
+}
+
+async function testCategorizer() {
+    console.log('🧪 Testing taxonomy validation...\n');
+    await testTaxonomy();
+
+    console.log('\n🧪 Testing AI batch categorisation...\n');
+    await testBatches();
+
+    console.log('\n🧪 Testing AI usage budget...\n');
+    await testBudget();
+
+    console.log('\n🎉 AI tests passed!');
+}
+
+testCategorizer()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    });
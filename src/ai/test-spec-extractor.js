@@ -0,0 +1,100 @@
+const SpecExtractor = require('./spec-extractor');
+const { StubProvider } = require('./providers');
+const specSchemas = require('../config/spec-schemas');
+
+// Validation of extracted specs against the category schemas, and the merge rules that
+// decide which of them may replace what's already in products.specifications. No database needed.
+//
+//   node src/ai/test-spec-extractor.js
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+    console.log(`✅ ${message}`);
+}
+
+function testValidateSpecs(extractor) {
+    const laptop = extractor.validateSpecs(specSchemas.laptops, {
+        storage: { value: '1TB', confidence: 0.9 },
+        ram: { value: 16, confidence: '95' },
+        storage_type: { value: 'ssd', confidence: 0.9 },
+        weight: { value: 1.45, confidence: 0.8 },
+        dedicated_gpu: { value: 'no', confidence: 0.9 }
+    });
+    check(laptop.fields.storage.value === 1024 && laptop.fields.storage.text === '1TB', 'TB is converted to GB and displayed back as TB');
+    check(laptop.fields.ram.confidence === 0.95 && laptop.fields.ram.text === '16GB', 'Percent confidence is scaled to 0-1');
+    check(laptop.fields.storage_type.value === 'SSD', 'Enum values resolve case-insensitively');
+    check(laptop.fields.weight.text === '1.45 kg', 'Spaced units are formatted with a space');
+    check(laptop.fields.dedicated_gpu.value === false && laptop.fields.dedicated_gpu.text === 'No', 'Yes/no answers become booleans');
+
+    const spaced = extractor.validateSpecs(specSchemas.smartphones, { storage: { value: '1 TB', confidence: 0.9 } });
+    check(spaced.fields.storage.value === 1024, '"1 TB" is converted to GB too');
+
+    const phone = extractor.validateSpecs(specSchemas.smartphones, {
+        ram: { value: 64, confidence: 0.9 },
+        battery: { value: 5000, confidence: 0.5 },
+        connectivity: { value: '3G', confidence: 0.9 },
+        warranty: { value: '1 year', confidence: 0.9 }
+    });
+    check(Object.keys(phone.fields).length === 0, 'Nothing invalid or unsure gets through');
+    check(phone.rejected.includes('ram: invalid value 64'), 'Values outside the schema range are rejected');
+    check(phone.rejected.includes('battery: confidence 0.5'), 'Values below min_confidence are rejected');
+    check(phone.rejected.includes('connectivity: invalid value "3G"'), 'Values outside an enum are rejected');
+    check(phone.rejected.includes('warranty: not in schema'), 'Fields outside the schema are rejected');
+}
+
+function testPlanMerge(extractor) {
+    const product = {
+        title: 'Redmi Note 13 5G (Arctic White, 6GB RAM, 128GB Storage)',
+        specifications: {
+            ram: '6GB',                   // From the title regex
+            storage: '128GB',             // From the title regex
+            battery: '5000mAh',           // Detail page
+            processor: 'Dimensity 6080',  // Earlier AI run, more confident
+            camera: '50MP',               // Earlier AI run, less confident
+            display_size: '6.67 inch'     // Listing page, no spec_meta
+        },
+        spec_meta: {
+            battery: { source: 'detail' },
+            processor: { source: 'ai', confidence: 0.95, value: 'Dimensity 6080' },
+            camera: { source: 'ai', confidence: 0.75, value: 50 }
+        }
+    };
+
+    const { fields } = extractor.validateSpecs(specSchemas.smartphones, {
+        ram: { value: 8, confidence: 0.9 },
+        storage: { value: 256, confidence: 0.9 },
+        battery: { value: 5100, confidence: 0.99 },
+        processor: { value: 'Helio G99', confidence: 0.8 },
+        camera: { value: 108, confidence: 0.85 },
+        display_size: { value: 6.5, confidence: 0.9 },
+        refresh_rate: { value: 120, confidence: 0.9 }
+    });
+    const plan = extractor.planMerge(product, fields);
+
+    check(!('battery' in plan.specifications), 'Detail-page specs are kept, whatever the confidence');
+    check(!('processor' in plan.specifications), 'A less confident AI value does not replace a more confident one');
+    check(plan.specifications.camera === '108MP', 'A more confident AI value replaces an earlier one');
+    check(plan.specifications.ram === '8GB' && plan.specifications.storage === '256GB', 'Title-regex values are replaced');
+    check(!('display_size' in plan.specifications), 'Other scraped specs are kept');
+    check(plan.specifications.refresh_rate === '120Hz', 'New fields are added');
+    check(plan.specMeta.ram.source === 'ai' && plan.specMeta.ram.confidence === 0.9 && plan.specMeta.ram.value === 8, 'Written fields record source, confidence and typed value');
+    check(plan.kept.length === 3, 'Kept fields are reported');
+}
+
+function testSpecExtractor() {
+    console.log('🧪 Testing spec validation and merge...\n');
+
+    const extractor = new SpecExtractor(new StubProvider(), { min_confidence: 0.7 });
+    testValidateSpecs(extractor);
+    testPlanMerge(extractor);
+
+    console.log('\n🎉 Spec extractor tests passed!');
+}
+
+try {
+    testSpecExtractor();
+    process.exit(0);
+} catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+}
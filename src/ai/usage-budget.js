@@ -0,0 +1,69 @@
+const AIUsage = require('../models/AIUsage');
+
+// Daily request budget for one provider, persisted in ai_usage so separate runs
+// (nightly workflow, job worker, scrapers healing selectors) share the same count.
+// Stops at target_usage, and never goes past the provider's daily_limit.
+class UsageBudget {
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.limit = Math.min(config.target_usage || Infinity, config.daily_limit || Infinity);
+        this.date = null;
+        this.requests = 0;
+    }
+
+    // Load today's count (once per day; record() keeps it current after that)
+    async refresh() {
+        const today = AIUsage.today();
+        if (this.date === today) return;
+
+        try {
+            const row = await AIUsage.getForDate(this.provider, today);
+            this.requests = row.requests;
+        } catch (error) {
+            console.warn(`⚠️  Could not load AI usage for ${this.provider}: ${error.message}`);
+            this.requests = 0;
+        }
+        this.date = today;
+    }
+
+    // Throws AI_BUDGET_EXHAUSTED when `requests` more calls would cross the limit
+    async check(requests = 1) {
+        await this.refresh();
+
+        if (this.requests + requests > this.limit) {
+            const error = new Error(`Daily AI budget reached for ${this.provider} (${this.requests}/${this.limit} requests on ${this.date})`);
+            error.code = 'AI_BUDGET_EXHAUSTED';
+            throw error;
+        }
+    }
+
+    async record(usage = {}) {
+        await this.refresh();
+        this.requests++;
+
+        try {
+            const row = await AIUsage.increment(this.provider, {
+                requests: 1,
+                prompt_tokens: usage.prompt_tokens || 0,
+                completion_tokens: usage.completion_tokens || 0
+            }, this.date);
+            // Other processes may have spent some too
+            this.requests = row.requests;
+        } catch (error) {
+            console.warn(`⚠️  Could not persist AI usage for ${this.provider}: ${error.message}`);
+        }
+    }
+
+    async getStatus() {
+        await this.refresh();
+        return {
+            provider: this.provider,
+            date: this.date,
+            requests: this.requests,
+            limit: this.limit === Infinity ? null : this.limit,
+            remaining: this.limit === Infinity ? null : Math.max(0, this.limit - this.requests)
+        };
+    }
+}
+
+module.exports = UsageBudget;
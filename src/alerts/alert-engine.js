@@ -0,0 +1,90 @@
+// src/alerts/alert-engine.js
+const Alert = require('../models/Alerts');
+const { getNotifier } = require('./notifiers');
+
+class AlertEngine {
+
+  // ========== TRIGGER RULES ==========
+
+  getThreshold(alert) {
+    if (alert.alert_type === 'target_price') {
+      return parseFloat(alert.target_price);
+    }
+    if (alert.alert_type === 'percent_drop') {
+      return parseFloat(alert.baseline_price) * (1 - alert.drop_percent / 100);
+    }
+    return null;
+  }
+
+  // Price alerts fire when the price crosses the threshold, not on every scrape below it
+  shouldTrigger(alert, change) {
+    if (alert.alert_type === 'back_in_stock') {
+      return change.wasAvailable === false && change.isAvailable === true;
+    }
+
+    const threshold = this.getThreshold(alert);
+    if (threshold === null || isNaN(threshold) || !change.isAvailable) return false;
+
+    const isMet = change.currentPrice !== null && change.currentPrice <= threshold;
+    const wasMet = change.previousPrice !== null && change.previousPrice !== undefined
+      && change.wasAvailable !== false && change.previousPrice <= threshold;
+
+    return isMet && !wasMet;
+  }
+
+  buildEvent(alert, change, product) {
+    const price = `₹${change.currentPrice.toLocaleString()}`;
+    const messages = {
+      target_price: `${product.title} is now ${price} (target ₹${parseFloat(alert.target_price).toLocaleString()})`,
+      percent_drop: `${product.title} dropped ${alert.drop_percent}%+ to ${price}`,
+      back_in_stock: `${product.title} is back in stock at ${price}`
+    };
+
+    return {
+      type: alert.alert_type,
+      message: messages[alert.alert_type],
+      product: {
+        id: product.id,
+        title: product.title,
+        url: product.product_url
+      },
+      previous_price: change.previousPrice ?? null,
+      current_price: change.currentPrice,
+      triggered_at: new Date().toISOString()
+    };
+  }
+
+  // ========== EVALUATION ==========
+
+  // Check every active alert on a product after its price/availability changed
+  async evaluate(productId, change, product) {
+    const alerts = await Alert.getActiveForProduct(productId);
+    let sent = 0;
+
+    for (const alert of alerts) {
+      if (await this.evaluateAlert(alert, change, { id: productId, ...product })) sent++;
+    }
+
+    return { checked: alerts.length, sent };
+  }
+
+  async evaluateAlert(alert, change, product) {
+    if (!this.shouldTrigger(alert, change)) return false;
+
+    const event = this.buildEvent(alert, change, product);
+
+    try {
+      await getNotifier(alert.notifier).send(alert, event);
+      await Alert.markTriggered(alert.id);
+      await Alert.logNotification(alert.id, product.id, change.currentPrice, 'sent');
+      console.log(`🔔 Alert ${alert.id} sent via ${alert.notifier}: ${event.message.substring(0, 80)}`);
+      return true;
+    } catch (error) {
+      await Alert.logNotification(alert.id, product.id, change.currentPrice, 'failed', error.message);
+      console.error(`❌ Alert ${alert.id} (${alert.notifier}) failed: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = new AlertEngine(); // Singleton
@@ -0,0 +1,50 @@
+// src/alerts/notifiers/file.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// A bare file name: no directories, no leading dot
+const FILE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,99}$/;
+
+// Appends one JSON line per alert to a file inside settings.alerts.notifiers.file.dir;
+// "stdout" prints instead. Meant for local testing. The destination is never a path,
+// so API callers can't make the server write outside that directory.
+class FileNotifier {
+  constructor(config = {}) {
+    this.dir = path.resolve(config.dir || 'logs');
+    this.defaultFile = config.default_file || 'alerts.log';
+  }
+
+  // Absolute path for a destination, 'stdout', or null when it isn't allowed
+  resolveTarget(destination) {
+    const name = destination || this.defaultFile;
+    if (name === 'stdout') return name;
+    if (!FILE_NAME.test(name)) return null;
+
+    const filePath = path.resolve(this.dir, name);
+    return path.dirname(filePath) === this.dir ? filePath : null;
+  }
+
+  validateDestination(destination) {
+    return this.resolveTarget(destination) !== null;
+  }
+
+  async send(alert, event) {
+    const target = this.resolveTarget(alert.destination);
+    if (!target) {
+      throw new Error(`File destination must be "stdout" or a file name inside ${this.dir}`);
+    }
+
+    const line = JSON.stringify({ alert_id: alert.id, user_ref: alert.user_ref, ...event });
+
+    if (target === 'stdout') {
+      console.log(`🔔 ${line}`);
+      return { target };
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(target, line + '\n', 'utf8');
+    return { target };
+  }
+}
+
+module.exports = FileNotifier;
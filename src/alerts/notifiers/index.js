@@ -0,0 +1,32 @@
+// src/alerts/notifiers/index.js
+const settings = require('../../config/settings');
+
+const registry = new Map();
+
+// Register a notifier backend. NotifierClass needs send(alert, event) and validateDestination(destination)
+// (a boolean or a promise of one).
+function register(name, NotifierClass) {
+  registry.set(name, { NotifierClass, instance: null });
+}
+
+function getNotifier(name) {
+  const entry = registry.get(name);
+  if (!entry) {
+    const available = Array.from(registry.keys()).join(', ');
+    throw new Error(`Notifier "${name}" not found. Available: ${available || 'none'}`);
+  }
+  if (!entry.instance) {
+    entry.instance = new entry.NotifierClass(settings.alerts.notifiers[name] || {});
+  }
+  return entry.instance;
+}
+
+function listNotifiers() {
+  return Array.from(registry.keys());
+}
+
+register('webhook', require('./webhook'));
+register('smtp', require('./smtp'));
+register('file', require('./file'));
+
+module.exports = { register, getNotifier, listNotifiers };
@@ -0,0 +1,101 @@
+// src/alerts/notifiers/webhook.js
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges: a webhook must not
+// make the server call into its own network (SSRF)
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that refuses blocked addresses. Used for the actual connection too, so a host
+// that resolves differently after validation (DNS rebinding) is still refused.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POSTs the alert event as JSON to alert.destination. Only public hosts are allowed, or
+// only settings.alerts.notifiers.webhook.allowed_hosts when that list is set.
+class WebhookNotifier {
+  constructor(config = {}) {
+    this.timeout = config.timeout_ms || 10000;
+    this.allowedHosts = (config.allowed_hosts || []).map(host => host.toLowerCase());
+    this.httpAgent = new http.Agent({ lookup: safeLookup });
+    this.httpsAgent = new https.Agent({ lookup: safeLookup });
+  }
+
+  // Rejects with the reason when the URL may not be called
+  async checkUrl(destination) {
+    const url = new URL(destination);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Webhook URL must be http or https');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.allowedHosts.length > 0) {
+      if (!this.allowedHosts.includes(host)) throw new Error(`Webhook host ${host} is not in the allowed hosts`);
+      return url;
+    }
+
+    if (net.isIP(host)) {
+      if (isBlockedAddress(host)) throw new Error(`Webhook host ${host} is a private address`);
+      return url;
+    }
+
+    await new Promise((resolve, reject) => safeLookup(host, {}, error => (error ? reject(error) : resolve())));
+    return url;
+  }
+
+  async validateDestination(destination) {
+    try {
+      await this.checkUrl(destination);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async send(alert, event) {
+    await this.checkUrl(alert.destination);
+
+    const res = await axios.post(alert.destination, {
+      alert_id: alert.id,
+      user_ref: alert.user_ref,
+      ...event
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout,
+      maxRedirects: 0,
+      // Allowed hosts may be internal on purpose; everything else is checked again on connect
+      ...(this.allowedHosts.length > 0 ? {} : { httpAgent: this.httpAgent, httpsAgent: this.httpsAgent }),
+      validateStatus: status => status < 400
+    });
+    return { status: res.status };
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,17 @@
+-- Optional: semantic search / similar products (GET /search/semantic, GET /products/:id/similar).
+-- Needs the pgvector extension, so it is kept out of schema.sql. Safe to run again.
+-- `npm run test:db` applies it when product_embeddings is missing; without it those routes return 503.
+
+-- Vector similarity (pgvector)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Product embeddings (one per product)
+CREATE TABLE IF NOT EXISTS product_embeddings (
+    product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    model VARCHAR(50) NOT NULL,                -- settings.embeddings.model; vectors of different models aren't compared
+    embedding vector(384) NOT NULL,            -- settings.embeddings.dimensions
+    content_hash VARCHAR(32) NOT NULL,         -- MD5 of the embedded text; unchanged text isn't re-embedded
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_embeddings_hnsw ON product_embeddings USING hnsw (embedding vector_cosine_ops);
@@ -0,0 +1,12 @@
+-- Brings a database created from an older schema.sql up to date. Every statement is
+-- idempotent; `npm run test:db` runs this file on every existing database.
+
+-- Platforms added after the first release (platforms.name is UNIQUE)
+INSERT INTO platforms (name, base_url) VALUES
+    ('Croma', 'https://www.croma.com')
+ON CONFLICT (name) DO NOTHING;
+
+-- Typed spec extraction (Product.upsert and updateFromDetailPage read spec_meta)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS spec_meta JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS specs_extracted_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS highlights TEXT[];
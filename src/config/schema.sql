@@ -1,6 +1,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Platforms table
 CREATE TABLE platforms (
     id SERIAL PRIMARY KEY,
@@ -15,7 +18,8 @@ INSERT INTO platforms (name, base_url) VALUES
     ('Amazon', 'https://www.amazon.in'),
     ('Flipkart', 'https://www.flipkart.com'),
     ('Myntra', 'https://www.myntra.com'),
-    ('Ajio', 'https://www.ajio.com');
+    ('Ajio', 'https://www.ajio.com'),
+    ('Croma', 'https://www.croma.com');
 
 -- Products table (master)
 CREATE TABLE products (
@@ -37,11 +41,29 @@ CREATE TABLE products (
     rating DECIMAL(2, 1),
     review_count INTEGER,
     specifications JSONB,
+    spec_meta JSONB,                -- Per spec key: { source: 'detail' | 'ai', confidence, value }
+    specs_extracted_at TIMESTAMP,   -- Last AI spec extraction
+    highlights TEXT[],              -- Feature bullets from the detail page
     
     ai_category VARCHAR(100),
     ai_tags TEXT[],
     ai_processed BOOLEAN DEFAULT false,
     
+    true_discount_30d INTEGER,
+    true_discount_90d INTEGER,
+    suspicious_discount BOOLEAN DEFAULT false,
+    discount_analysis JSONB,
+    discount_checked_at TIMESTAMP,
+    
+    search_vector TSVECTOR,
+    
+    seller VARCHAR(255),
+    delivery_estimate TEXT,
+    stock_status VARCHAR(20),
+    offers JSONB,
+    rating_breakdown JSONB,
+    detail_scraped_at TIMESTAMP,
+    
     first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     scrape_count INTEGER DEFAULT 1,
@@ -75,6 +97,135 @@ CREATE TABLE scrape_logs (
     duration_seconds INTEGER
 );
 
+-- Canonical products (same item across platforms)
+CREATE TABLE canonical_products (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    brand VARCHAR(100) NOT NULL,
+    title TEXT NOT NULL,
+    category VARCHAR(100),
+    model_tokens TEXT[] NOT NULL DEFAULT '{}',
+    ram VARCHAR(20),
+    storage VARCHAR(20),
+    color VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Listing -> canonical product links
+CREATE TABLE product_matches (
+    product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    canonical_id UUID NOT NULL REFERENCES canonical_products(id) ON DELETE CASCADE,
+    confidence DECIMAL(4, 3) NOT NULL,
+    method VARCHAR(20) NOT NULL DEFAULT 'auto',
+    matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Manual match overrides (canonical_id NULL = never auto-match this listing)
+CREATE TABLE match_overrides (
+    product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    canonical_id UUID REFERENCES canonical_products(id) ON DELETE CASCADE,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Price alerts (the user watchlist)
+CREATE TABLE alerts (
+    id SERIAL PRIMARY KEY,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_ref VARCHAR(255),
+    alert_type VARCHAR(20) NOT NULL,
+    target_price DECIMAL(10, 2),
+    drop_percent INTEGER,
+    baseline_price DECIMAL(10, 2),
+    notifier VARCHAR(20) NOT NULL,
+    destination TEXT,
+    is_active BOOLEAN DEFAULT true,
+    trigger_count INTEGER DEFAULT 0,
+    last_triggered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_alert_type CHECK (alert_type IN ('target_price', 'percent_drop', 'back_in_stock')),
+    CONSTRAINT valid_drop_percent CHECK (drop_percent IS NULL OR (drop_percent > 0 AND drop_percent < 100))
+);
+
+-- Alert delivery log
+CREATE TABLE alert_notifications (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER REFERENCES alerts(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    price DECIMAL(10, 2),
+    status VARCHAR(20),
+    error TEXT,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background job queue (scrapes, refreshes, AI runs)
+CREATE TABLE jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(30) NOT NULL,
+    lock_key VARCHAR(50),
+    payload JSONB DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    result JSONB,
+    error TEXT,
+    cancel_requested BOOLEAN DEFAULT false,
+    locked_by VARCHAR(100),
+    heartbeat_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+
+    CONSTRAINT valid_job_status CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled'))
+);
+
+-- AI selector heals: every attempt, applied or rejected, plus rollbacks
+CREATE TABLE selector_heals (
+    id SERIAL PRIMARY KEY,
+    platform VARCHAR(50) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    old_selectors JSONB,
+    new_selectors JSONB,
+    sample_hash VARCHAR(64),
+    explanation TEXT,
+    model VARCHAR(100),
+    validation JSONB,
+    pattern_version INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rolled_back_at TIMESTAMP,
+
+    CONSTRAINT valid_heal_status CHECK (status IN ('applied', 'rejected', 'rolled_back', 'rollback'))
+);
+
+-- LLM usage per provider per day (UTC), checked against settings.ai.target_usage / daily_limit
+CREATE TABLE ai_usage (
+    usage_date DATE NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    requests INTEGER DEFAULT 0,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (usage_date, provider)
+);
+
+-- Products whose AI categorisation failed taxonomy validation, waiting to be retried
+CREATE TABLE ai_reprocess_queue (
+    product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER DEFAULT 1,
+    last_output JSONB,
+    reasons TEXT[],
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_reprocess_status CHECK (status IN ('queued', 'abandoned'))
+);
+
 -- Indexes for performance
 CREATE INDEX idx_products_platform ON products(platform_id);
 CREATE INDEX idx_products_category ON products(category);
@@ -83,6 +234,16 @@ CREATE INDEX idx_products_price ON products(current_price);
 CREATE INDEX idx_products_updated ON products(last_updated DESC);
 CREATE INDEX idx_price_history_product ON price_history(product_id, recorded_at DESC);
 CREATE INDEX idx_scrape_logs_platform ON scrape_logs(platform_id, started_at DESC);
+CREATE INDEX idx_canonical_brand ON canonical_products(LOWER(brand), category);
+CREATE INDEX idx_product_matches_canonical ON product_matches(canonical_id);
+CREATE INDEX idx_products_search ON products USING GIN(search_vector);
+CREATE INDEX idx_products_title_trgm ON products USING GIN(title gin_trgm_ops);
+CREATE INDEX idx_products_suspicious ON products(suspicious_discount) WHERE suspicious_discount = true;
+CREATE INDEX idx_jobs_queued ON jobs(run_at, id) WHERE status = 'queued';
+CREATE UNIQUE INDEX idx_jobs_lock_running ON jobs(lock_key) WHERE status = 'running' AND lock_key IS NOT NULL;
+CREATE INDEX idx_selector_heals_field ON selector_heals(platform, field, created_at DESC);
+CREATE INDEX idx_ai_reprocess_due ON ai_reprocess_queue(next_attempt_at) WHERE status = 'queued';
+CREATE INDEX idx_alerts_product ON alerts(product_id) WHERE is_active = true;
 
 -- Auto-update timestamp function
 CREATE OR REPLACE FUNCTION update_last_updated()
@@ -99,6 +260,27 @@ CREATE TRIGGER update_products_timestamp
     FOR EACH ROW
     EXECUTE FUNCTION update_last_updated();
 
+-- Full-text search vector: title/brand > AI tags > spec values
+CREATE OR REPLACE FUNCTION update_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector =
+        setweight(to_tsvector('simple', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.brand, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(array_to_string(NEW.ai_tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(
+            CASE WHEN jsonb_typeof(NEW.specifications) = 'object'
+                THEN (SELECT string_agg(value, ' ') FROM jsonb_each_text(NEW.specifications))
+            END, '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_products_search_vector
+    BEFORE INSERT OR UPDATE ON products
+    FOR EACH ROW
+    EXECUTE FUNCTION update_search_vector();
+
 -- View for quick queries
 CREATE VIEW product_summary AS
 SELECT 
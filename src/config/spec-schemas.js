@@ -0,0 +1,83 @@
+// ============================================
+// SPEC SCHEMAS
+// Typed, category-specific specifications for AI spec extraction (src/ai/spec-extractor.js).
+// Keys are taxonomy/settings category keys; field names reuse the keys the scrapers and
+// /products?spec= filters already use (ram, storage, display_size, battery, ...).
+//
+// type: number (with unit, min, max) | boolean | enum (values) | string
+// unit_field: take the unit from another field of the same product instead of `unit`
+// ============================================
+
+module.exports = {
+  smartphones: {
+    ram: { type: 'number', unit: 'GB', min: 1, max: 32, description: 'RAM' },
+    storage: { type: 'number', unit: 'GB', min: 4, max: 2048, description: 'Internal storage (ROM), not RAM' },
+    display_size: { type: 'number', unit: 'inch', min: 3, max: 9, description: 'Screen diagonal' },
+    battery: { type: 'number', unit: 'mAh', min: 1000, max: 10000, description: 'Battery capacity' },
+    refresh_rate: { type: 'number', unit: 'Hz', min: 60, max: 240, description: 'Display refresh rate' },
+    fast_charging: { type: 'number', unit: 'W', min: 5, max: 240, description: 'Max wired charging power' },
+    camera: { type: 'number', unit: 'MP', min: 2, max: 250, description: 'Main rear camera resolution' },
+    processor: { type: 'string', description: 'Chipset, e.g. "Snapdragon 8 Gen 3", "Dimensity 7200", "A17 Pro"' },
+    connectivity: { type: 'enum', values: ['5G', '4G'], description: 'Best cellular network supported' },
+    os: { type: 'string', description: 'Operating system, e.g. "Android 14", "iOS"' },
+    color: { type: 'string', description: 'Colour variant' },
+  },
+
+  laptops: {
+    processor: { type: 'string', description: 'CPU model, e.g. "Intel Core i5-1335U", "AMD Ryzen 7 7735HS", "Apple M3"' },
+    processor_brand: { type: 'enum', values: ['Intel', 'AMD', 'Apple', 'Qualcomm', 'MediaTek'], description: 'CPU vendor' },
+    gpu: { type: 'string', description: 'Graphics, e.g. "NVIDIA RTX 4050", "Intel Iris Xe"' },
+    dedicated_gpu: { type: 'boolean', description: 'Has a discrete graphics card' },
+    ram: { type: 'number', unit: 'GB', min: 2, max: 128, description: 'RAM' },
+    storage: { type: 'number', unit: 'GB', min: 32, max: 8192, description: 'Primary storage capacity (1TB = 1024)' },
+    storage_type: { type: 'enum', values: ['SSD', 'HDD', 'eMMC'], description: 'Primary storage type' },
+    display_size: { type: 'number', unit: 'inch', min: 10, max: 18.5, description: 'Screen diagonal' },
+    resolution: { type: 'string', description: 'Screen resolution, e.g. "1920x1080", "2.8K"' },
+    refresh_rate: { type: 'number', unit: 'Hz', min: 60, max: 360, description: 'Display refresh rate' },
+    weight: { type: 'number', unit: 'kg', min: 0.5, max: 5, description: 'Weight' },
+    os: { type: 'string', description: 'Operating system, e.g. "Windows 11 Home", "macOS"' },
+  },
+
+  tablets: {
+    ram: { type: 'number', unit: 'GB', min: 1, max: 16, description: 'RAM' },
+    storage: { type: 'number', unit: 'GB', min: 16, max: 2048, description: 'Internal storage' },
+    display_size: { type: 'number', unit: 'inch', min: 7, max: 15, description: 'Screen diagonal' },
+    battery: { type: 'number', unit: 'mAh', min: 2000, max: 15000, description: 'Battery capacity' },
+    connectivity: { type: 'enum', values: ['Wi-Fi', '4G', '5G'], description: 'Best connectivity (Wi-Fi only, 4G or 5G)' },
+    processor: { type: 'string', description: 'Chipset' },
+    stylus_support: { type: 'boolean', description: 'Supports a stylus/pen' },
+    os: { type: 'string', description: 'Operating system' },
+  },
+
+  headphones: {
+    form_factor: { type: 'enum', values: ['TWS', 'Neckband', 'Over-Ear', 'On-Ear', 'Wired In-Ear', 'Speaker'], description: 'Type' },
+    driver_size: { type: 'number', unit: 'mm', min: 5, max: 60, description: 'Driver diameter' },
+    anc: { type: 'boolean', description: 'Active noise cancellation (not just ENC for calls)' },
+    battery_life: { type: 'number', unit: 'hours', min: 1, max: 150, description: 'Total playback time incl. case' },
+    bluetooth_version: { type: 'string', description: 'e.g. "5.3"' },
+    water_resistance: { type: 'string', description: 'IP rating, e.g. "IPX4"' },
+    latency: { type: 'number', unit: 'ms', min: 20, max: 300, description: 'Low-latency / gaming mode latency' },
+    microphone: { type: 'boolean', description: 'Has a built-in microphone' },
+  },
+
+  watches: {
+    display_size: { type: 'number', unit: 'inch', min: 0.8, max: 2.5, description: 'Screen diagonal (smartwatches)' },
+    display_type: { type: 'string', description: 'e.g. "AMOLED", "TFT LCD"' },
+    battery_life: { type: 'number', unit: 'days', min: 1, max: 60, description: 'Typical battery life' },
+    bluetooth_calling: { type: 'boolean', description: 'Can take calls over Bluetooth' },
+    gps: { type: 'boolean', description: 'Built-in GPS' },
+    water_resistance: { type: 'string', description: 'e.g. "IP68", "5 ATM"' },
+    strap_material: { type: 'string', description: 'Strap/band material' },
+  },
+
+  home_appliances: {
+    appliance_type: { type: 'string', description: 'e.g. "Split AC", "Double Door Refrigerator", "Front Load Washing Machine", "Smart TV"' },
+    capacity: { type: 'number', unit_field: 'capacity_unit', min: 0.5, max: 1000, description: 'Capacity in the unit given by capacity_unit' },
+    capacity_unit: { type: 'enum', values: ['ton', 'L', 'kg'], description: 'ton for ACs, L for refrigerators/microwaves/coolers, kg for washing machines' },
+    star_rating: { type: 'number', unit: 'star', min: 1, max: 5, description: 'BEE energy star rating' },
+    inverter: { type: 'boolean', description: 'Inverter compressor/motor' },
+    screen_size: { type: 'number', unit: 'inch', min: 15, max: 120, description: 'TV screen diagonal' },
+    resolution: { type: 'enum', values: ['HD Ready', 'Full HD', '4K', '8K'], description: 'TV resolution' },
+    power_consumption: { type: 'number', unit: 'W', min: 5, max: 5000, description: 'Rated power' },
+  },
+};
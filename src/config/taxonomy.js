@@ -0,0 +1,230 @@
+// ============================================
+// PRODUCT TAXONOMY
+// Category → subcategory → allowed tags, used to validate and normalise AI categorisation.
+// Keys must match settings.categories (checked by src/config/test-settings.js).
+// aliases: other names the model (or an older prompt) may use; matched case-insensitively.
+// ============================================
+
+module.exports = {
+
+  // Tags allowed in every category
+  common_tags: ['Budget', 'Mid-Range', 'Premium', 'Combo Pack'],
+
+  // Spellings the model likes → canonical tag
+  tag_synonyms: {
+    '5g enabled': '5G',
+    '5g ready': '5G',
+    '4g lte': '4G',
+    'super amoled': 'AMOLED',
+    'amoled display': 'AMOLED',
+    'oled display': 'OLED',
+    'fast charge': 'Fast Charging',
+    'quick charging': 'Fast Charging',
+    'turbo charging': 'Fast Charging',
+    'wireless charge': 'Wireless Charging',
+    'dual-sim': 'Dual SIM',
+    '120hz': 'High Refresh Rate',
+    '144hz': 'High Refresh Rate',
+    '90hz': 'High Refresh Rate',
+    'high refresh rate display': 'High Refresh Rate',
+    'waterproof': 'Water Resistant',
+    'ip68': 'Water Resistant',
+    'ip67': 'Water Resistant',
+    'anc': 'Active Noise Cancellation',
+    'noise cancelling': 'Active Noise Cancellation',
+    'noise cancellation': 'Active Noise Cancellation',
+    'bt': 'Bluetooth',
+    'wireless': 'Bluetooth',
+    'ssd storage': 'SSD',
+    'gaming laptop': 'Gaming',
+    'backlit': 'Backlit Keyboard',
+    'thin and light': 'Thin & Light',
+    'lightweight': 'Thin & Light',
+    'pure cotton': 'Cotton',
+    '100% cotton': 'Cotton',
+    'slim-fit': 'Slim Fit',
+    'regular-fit': 'Regular Fit',
+    'energy efficient': 'Energy Saving',
+    '5 star': '5 Star Rated',
+    '5-star': '5 Star Rated',
+    'inverter technology': 'Inverter',
+    'cruelty-free': 'Cruelty Free',
+    'paraben-free': 'Paraben Free',
+    'solid wood': 'Solid Wood',
+    'value for money': 'Budget',
+    'affordable': 'Budget',
+    'flagship': 'Premium',
+    'luxury': 'Premium',
+  },
+
+  categories: {
+    smartphones: {
+      aliases: ['mobile phones', 'mobiles', 'phones', 'smartphone', 'cell phones'],
+      subcategories: {
+        'Android Phones': ['android', 'android smartphones'],
+        'iPhones': ['iphone', 'apple iphone', 'ios phones'],
+        'Foldable Phones': ['foldables', 'flip phones'],
+        'Feature Phones': ['basic phones', 'keypad phones'],
+      },
+      tags: ['5G', '4G', 'AMOLED', 'OLED', 'High Refresh Rate', 'Fast Charging', 'Wireless Charging', 'Dual SIM',
+        'Large Battery', 'Triple Camera', 'Water Resistant', 'Expandable Storage', 'NFC', 'Gaming', 'Compact'],
+    },
+
+    laptops: {
+      aliases: ['laptop', 'notebooks', 'computers'],
+      subcategories: {
+        'Everyday Laptops': ['home laptops', 'student laptops', 'general purpose'],
+        'Gaming Laptops': ['gaming'],
+        'Business Laptops': ['office laptops', 'work laptops'],
+        'Ultrabooks': ['thin and light laptops', 'ultrabook'],
+        'MacBooks': ['macbook', 'apple laptops'],
+        'Chromebooks': ['chromebook'],
+        '2-in-1 Laptops': ['convertibles', '2 in 1', 'touchscreen laptops'],
+      },
+      tags: ['SSD', 'Gaming', 'Thin & Light', 'Backlit Keyboard', 'Touchscreen', 'Dedicated Graphics', 'Intel', 'AMD',
+        'Apple Silicon', 'OLED', 'High Refresh Rate', 'Long Battery Life', 'Windows', 'macOS', 'Fingerprint Reader'],
+    },
+
+    fashion_men: {
+      aliases: ["men's fashion", 'mens fashion', 'men clothing', "men's clothing", 'menswear'],
+      subcategories: {
+        'T-Shirts': ['tshirts', 't shirts', 'tees', 'polos', 'polo t-shirts'],
+        'Shirts': ['casual shirts', 'formal shirts'],
+        'Jeans': ['denims', 'denim'],
+        'Trousers': ['pants', 'chinos', 'joggers', 'track pants'],
+        'Jackets & Sweatshirts': ['jackets', 'sweatshirts', 'hoodies', 'sweaters'],
+        'Ethnic Wear': ['kurtas', 'kurta sets', 'sherwanis'],
+        'Footwear': ['shoes', 'sneakers', 'sandals', 'sports shoes'],
+        'Innerwear': ['underwear', 'vests', 'briefs', 'boxers'],
+      },
+      tags: ['Cotton', 'Linen', 'Denim', 'Polyester', 'Slim Fit', 'Regular Fit', 'Oversized', 'Casual', 'Formal',
+        'Sports', 'Printed', 'Solid', 'Striped', 'Full Sleeve', 'Half Sleeve'],
+    },
+
+    fashion_women: {
+      aliases: ["women's fashion", 'womens fashion', 'women clothing', "women's clothing", 'womenswear'],
+      subcategories: {
+        'Kurtas & Suits': ['kurtas', 'kurtis', 'salwar suits', 'kurta sets'],
+        'Sarees': ['saree', 'sari'],
+        'Dresses': ['dress', 'gowns'],
+        'Tops & T-Shirts': ['tops', 't-shirts', 'tshirts', 'shirts'],
+        'Jeans & Trousers': ['jeans', 'trousers', 'pants', 'leggings', 'palazzos'],
+        'Ethnic Wear': ['lehengas', 'ethnic sets', 'dupattas'],
+        'Footwear': ['heels', 'flats', 'sandals', 'shoes', 'sneakers'],
+        'Handbags': ['bags', 'purses', 'clutches', 'totes'],
+      },
+      tags: ['Cotton', 'Rayon', 'Silk', 'Georgette', 'Denim', 'Polyester', 'Slim Fit', 'Regular Fit', 'Oversized',
+        'Casual', 'Formal', 'Festive', 'Printed', 'Embroidered', 'Solid'],
+    },
+
+    home_appliances: {
+      aliases: ['appliances', 'home appliance', 'smart home', 'kitchen appliances', 'large appliances'],
+      subcategories: {
+        'Air Conditioners': ['ac', 'split ac', 'window ac'],
+        'Refrigerators': ['fridge', 'fridges'],
+        'Washing Machines': ['washer', 'washers'],
+        'Televisions': ['tv', 'tvs', 'smart tv', 'led tv'],
+        'Kitchen Appliances': ['mixer grinders', 'microwaves', 'air fryers', 'induction cooktops'],
+        'Air Purifiers & Fans': ['air purifiers', 'fans', 'coolers', 'air coolers'],
+        'Water Purifiers': ['ro purifiers', 'water purifier'],
+        'Vacuum Cleaners': ['vacuum', 'robot vacuums'],
+      },
+      tags: ['Inverter', 'Energy Saving', '5 Star Rated', '3 Star Rated', 'Smart', 'Wi-Fi', 'Front Load', 'Top Load',
+        'Fully Automatic', 'Semi Automatic', 'Frost Free', '4K', 'Smart TV', 'Convertible', 'Copper Condenser'],
+    },
+
+    headphones: {
+      aliases: ['audio', 'earphones', 'headset', 'headsets'],
+      subcategories: {
+        'True Wireless Earbuds': ['tws', 'earbuds', 'wireless earbuds', 'true wireless'],
+        'Neckbands': ['neckband', 'wireless neckbands'],
+        'Over-Ear Headphones': ['over ear', 'over-ear', 'on-ear headphones', 'on ear'],
+        'Wired Earphones': ['wired', 'in-ear wired'],
+        'Speakers': ['bluetooth speakers', 'soundbars', 'party speakers'],
+        'Gaming Headsets': ['gaming headphones'],
+      },
+      tags: ['Bluetooth', 'Wired', 'Active Noise Cancellation', 'Environmental Noise Cancellation', 'Long Battery Life',
+        'Fast Charging', 'Water Resistant', 'Low Latency', 'Deep Bass', 'Dual Pairing', 'Touch Controls', 'Built-in Mic'],
+    },
+
+    watches: {
+      aliases: ['wearables', 'smartwatches', 'watch', 'wristwatches'],
+      subcategories: {
+        'Smartwatches': ['smart watches', 'smart watch', 'smartwatch'],
+        'Fitness Bands': ['fitness trackers', 'bands'],
+        'Analog Watches': ['analog', 'analogue watches'],
+        'Digital Watches': ['digital'],
+        'Chronographs': ['chronograph'],
+      },
+      tags: ['AMOLED', 'Bluetooth Calling', 'Heart Rate Monitor', 'SpO2', 'GPS', 'Water Resistant', 'Long Battery Life',
+        'Metal Strap', 'Leather Strap', 'Silicone Strap', 'Always On Display', 'Sports', 'Formal', 'Casual'],
+    },
+
+    tablets: {
+      aliases: ['tablet', 'ipads', 'tabs'],
+      subcategories: {
+        'Android Tablets': ['android tablet', 'android tabs'],
+        'iPads': ['ipad', 'apple tablets'],
+        'Kids Tablets': ['kids tablet'],
+        'E-Readers': ['kindle', 'ereaders'],
+      },
+      tags: ['Wi-Fi', '5G', '4G', 'LTE', 'Stylus Support', 'Keyboard Support', 'High Refresh Rate', 'AMOLED',
+        'Large Battery', 'Expandable Storage', 'Quad Speakers'],
+    },
+
+    beauty: {
+      aliases: ['beauty & personal care', 'personal care', 'cosmetics', 'grooming', 'skincare'],
+      subcategories: {
+        'Skincare': ['skin care', 'moisturizers', 'serums', 'sunscreens', 'face wash'],
+        'Makeup': ['cosmetics', 'lipsticks', 'foundation'],
+        'Haircare': ['hair care', 'shampoo', 'conditioner', 'hair oil'],
+        'Fragrances': ['perfumes', 'deodorants', 'perfume'],
+        'Grooming Devices': ['trimmers', 'hair dryers', 'straighteners', 'shavers'],
+        'Bath & Body': ['body wash', 'soaps', 'body lotion'],
+      },
+      tags: ['Cruelty Free', 'Paraben Free', 'Vegan', 'Organic', 'Natural', 'For Oily Skin', 'For Dry Skin',
+        'SPF', 'Long Lasting', 'Fragrance Free', 'Unisex', 'For Men', 'For Women'],
+    },
+
+    books: {
+      aliases: ['book', 'novels'],
+      subcategories: {
+        'Fiction': ['novels', 'literature'],
+        'Non-Fiction': ['nonfiction', 'biographies', 'self help', 'self-help'],
+        'Academic & Exam Prep': ['textbooks', 'exam preparation', 'competitive exams'],
+        "Children's Books": ['kids books', 'children books'],
+        'Comics & Manga': ['comics', 'manga', 'graphic novels'],
+      },
+      tags: ['Paperback', 'Hardcover', 'Bestseller', 'English', 'Hindi', 'Box Set', 'Illustrated', 'New Release'],
+    },
+
+    cameras: {
+      aliases: ['camera', 'photography'],
+      subcategories: {
+        'Mirrorless Cameras': ['mirrorless'],
+        'DSLR Cameras': ['dslr', 'dslrs'],
+        'Action Cameras': ['action cams', 'gopro'],
+        'Point & Shoot': ['compact cameras', 'point and shoot'],
+        'Instant Cameras': ['instax', 'instant'],
+        'Lenses': ['lens', 'camera lenses'],
+        'Security Cameras': ['cctv', 'wifi cameras', 'home security cameras'],
+      },
+      tags: ['4K', 'Full Frame', 'APS-C', 'Image Stabilization', 'Wi-Fi', 'Bluetooth', 'Interchangeable Lens',
+        'Kit Lens', 'Waterproof Housing', 'Night Vision', 'Vlogging'],
+    },
+
+    furniture: {
+      aliases: ['home furniture', 'home & furniture', 'home decor'],
+      subcategories: {
+        'Beds': ['bed', 'beds & mattresses'],
+        'Mattresses': ['mattress'],
+        'Sofas': ['sofa', 'sofa beds', 'recliners'],
+        'Chairs': ['office chairs', 'gaming chairs', 'chair'],
+        'Tables': ['dining tables', 'study tables', 'coffee tables', 'desks'],
+        'Storage': ['wardrobes', 'shelves', 'cabinets', 'bookshelves'],
+      },
+      tags: ['Solid Wood', 'Engineered Wood', 'Metal', 'Fabric', 'Leatherette', 'DIY Assembly', 'Foldable',
+        'With Storage', 'Ergonomic', 'Memory Foam', 'Orthopedic'],
+    },
+  },
+};
@@ -34,6 +34,23 @@ async function testDatabase() {
             tableCheck.rows.forEach(row => {
                 console.log(`   - ${row.table_name}`);
             });
+
+            // Existing database: apply what newer schema.sql versions added
+            const upgrades = fs.readFileSync(path.join(__dirname, 'schema-upgrades.sql'), 'utf8');
+            await pool.query(upgrades);
+            console.log('✅ Schema upgrades applied');
+        }
+
+        // Optional embeddings table (needs pgvector); semantic search stays off without it
+        const embeddings = await pool.query(`SELECT to_regclass('product_embeddings') IS NOT NULL AS present`);
+        if (!embeddings.rows[0].present) {
+            try {
+                const embeddingsSchema = fs.readFileSync(path.join(__dirname, 'schema-embeddings.sql'), 'utf8');
+                await pool.query(embeddingsSchema);
+                console.log('✅ Embeddings schema created');
+            } catch (error) {
+                console.warn(`⚠️  Embeddings schema skipped (${error.message}); semantic search is unavailable`);
+            }
         }
 
         // Check platforms
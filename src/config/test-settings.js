@@ -13,4 +13,14 @@ console.log('📊 Smartphones Quota:', settings.getTodayQuota('smartphones'));
 console.log('📊 Amazon + Smartphones Search:', settings.getSearchTerm('amazon', 'smartphones'));
 console.log('📊 Total Daily Quota:', settings.getTotalDailyQuota());
 
+
+// Taxonomy must cover exactly settings.categories (the constructor throws on unknown keys)
+const { Taxonomy } = require('../ai/taxonomy');
+const taxonomy = new Taxonomy();
+const missing = Object.keys(settings.categories).filter(key => !taxonomy.categories[key]);
+console.log('📊 Taxonomy Categories:', Object.keys(taxonomy.categories).length);
+if (missing.length > 0) {
+  console.error('\n❌ Categories without a taxonomy entry (src/config/taxonomy.js must cover exactly settings.categories):', missing);
+  process.exit(1);
+}
 console.log('\n✅ Settings test complete!');
\ No newline at end of file
@@ -0,0 +1,128 @@
+// src/jobs/job-handlers.js
+const platformLoader = require('../scrapers/core/platform-loader');
+const { pool } = require('../config/database');
+const { cache } = require('../config/redis');
+
+function cancelledError() {
+  const error = new Error('Job cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+// Refresh one stored product from its detail page
+async function refreshOne(scraper, product) {
+  if (typeof scraper.refreshProduct !== 'function') {
+    throw new Error(`${product.platform} scraper does not support product refresh`);
+  }
+  return scraper.refreshProduct(product);
+}
+
+// ========== HANDLERS ==========
+// Each handler gets (payload, ctx) and returns a JSON-serialisable result.
+// ctx.checkCancelled() throws once POST /jobs/:id/cancel was called.
+
+const handlers = {
+  async scrape({ platform, maxProducts = 5, categories = null }, ctx) {
+    await ctx.checkCancelled();
+
+    await cache.setScrapingStatus(platform, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      platform: platform,
+      jobId: ctx.job.id
+    });
+
+    try {
+      const scraper = platformLoader.getPlatform(platform);
+      const startTime = Date.now();
+      // Checked between pages, so POST /jobs/:id/cancel stops a running scrape
+      const stats = await scraper.scrape({ maxProducts, categories, checkpoint: ctx.checkCancelled });
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+      await cache.setScrapingStatus(platform, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        platform: platform,
+        productsScraped: stats?.scraped || 0,
+        duration: `${duration}s`,
+        jobId: ctx.job.id
+      });
+
+      return { ...stats, duration: `${duration}s` };
+    } catch (error) {
+      await cache.setScrapingStatus(platform, {
+        status: error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed',
+        error: error.message,
+        failedAt: new Date().toISOString(),
+        platform: platform,
+        jobId: ctx.job.id
+      });
+      throw error;
+    }
+  },
+
+  async refresh_product({ productId }) {
+    const result = await pool.query(`
+      SELECT p.*, pl.name as platform
+      FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE p.id = $1
+    `, [productId]);
+
+    const product = result.rows[0];
+    if (!product) throw new Error(`Product with ID ${productId} not found`);
+
+    await refreshOne(platformLoader.getPlatform(product.platform), product);
+    console.log(`✅ Refreshed product ${productId}: ${product.title?.substring(0, 50)}...`);
+    return { productId, platform: product.platform };
+  },
+
+  async refresh_platform({ platform, limit = 10, olderThan = 24 }, ctx) {
+    const result = await pool.query(`
+      SELECT p.*, pl.name as platform FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE pl.name ILIKE $1
+        AND p.is_available = true
+        AND p.last_updated < NOW() - make_interval(hours => $3)
+      ORDER BY p.last_updated ASC
+      LIMIT $2
+    `, [platform, limit, olderThan]);
+
+    const scraper = platformLoader.getPlatform(platform);
+    let refreshed = 0;
+    let failed = 0;
+
+    for (const product of result.rows) {
+      await ctx.checkCancelled();
+
+      try {
+        await refreshOne(scraper, product);
+        refreshed++;
+        console.log(`✅ Refreshed: ${product.title?.substring(0, 50)}...`);
+      } catch (err) {
+        failed++;
+        console.error(`❌ Failed to refresh ${product.id}:`, err.message);
+      }
+    }
+
+    console.log(`\n📊 Bulk refresh complete: ${refreshed} success, ${failed} failed`);
+    return { total: result.rows.length, refreshed, failed };
+  },
+
+  async ai_process({ limit = 50 }) {
+    // getProvider() throws if the configured provider has no API key
+    const ProductCategorizer = require('../ai/product-categorizer');
+    const { getProvider } = require('../ai/providers');
+    const processor = new ProductCategorizer(getProvider());
+    return processor.processUnprocessedProducts(limit);
+  },
+
+  async ai_specs({ limit = 50 }) {
+    const SpecExtractor = require('../ai/spec-extractor');
+    const { getProvider } = require('../ai/providers');
+    const extractor = new SpecExtractor(getProvider());
+    return extractor.processProducts(limit);
+  }
+};
+
+module.exports = { handlers, cancelledError };
@@ -0,0 +1,147 @@
+// src/jobs/job-worker.js
+const os = require('os');
+const settings = require('../config/settings');
+const Job = require('../models/Jobs');
+const { handlers, cancelledError } = require('./job-handlers');
+
+class JobWorker {
+  constructor(config = settings.jobs) {
+    this.config = config;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = new Map(); // jobId -> promise
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+    this.stopped = true;
+  }
+
+  // ========== ENQUEUE ==========
+
+  get types() {
+    return Object.keys(handlers);
+  }
+
+  // Jobs sharing a lock key (the platform, or "ai") never run at the same time
+  async enqueue(type, payload = {}, { lockKey = null } = {}) {
+    if (!handlers[type]) {
+      throw new Error(`Unknown job type "${type}". Available: ${this.types.join(', ')}`);
+    }
+
+    const job = await Job.create({
+      type,
+      lockKey,
+      payload,
+      maxAttempts: this.config.max_attempts
+    });
+
+    console.log(`📥 Queued job ${job.id}: ${type}${lockKey ? ` (${lockKey})` : ''}`);
+    this.poll();
+    return job;
+  }
+
+  // ========== LIFECYCLE ==========
+
+  async start() {
+    this.stopped = false;
+
+    const requeued = await Job.requeueStale(this.config.stale_after_ms);
+    if (requeued.length > 0) {
+      console.log(`🔁 Requeued ${requeued.length} stale jobs: ${requeued.join(', ')}`);
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      Job.heartbeat(Array.from(this.running.keys()))
+        .then(() => Job.requeueStale(this.config.stale_after_ms))
+        .catch(err => console.error('❌ Job heartbeat error:', err.message));
+    }, this.config.heartbeat_ms);
+
+    console.log(`✅ Job worker ${this.workerId} started (concurrency ${this.config.concurrency})`);
+    this.schedulePoll();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+  }
+
+  schedulePoll() {
+    if (this.stopped) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), this.config.poll_interval_ms);
+  }
+
+  // Fill free slots with due jobs
+  async poll() {
+    if (this.stopped || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.config.concurrency) {
+        const job = await Job.claimNext(this.workerId);
+        if (!job) break;
+
+        const promise = this.run(job).catch(error => {
+          // Marking the job failed can itself fail (DB outage); the stale-job sweep requeues it
+          console.error(`❌ Job ${job.id} (${job.type}) could not be finalised: ${error.message}`);
+        }).finally(() => {
+          this.running.delete(job.id);
+          this.poll();
+        });
+        this.running.set(job.id, promise);
+      }
+    } catch (error) {
+      console.error('❌ Job poll error:', error.message);
+    } finally {
+      this.polling = false;
+      this.schedulePoll();
+    }
+  }
+
+  // ========== EXECUTION ==========
+
+  async run(job) {
+    const startTime = Date.now();
+    console.log(`\n▶️  Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    const ctx = {
+      job,
+      checkCancelled: async () => {
+        if (await Job.isCancelRequested(job.id)) throw cancelledError();
+      }
+    };
+
+    try {
+      const result = await handlers[job.type](job.payload || {}, ctx);
+      const finished = await Job.markSucceeded(job.id, result);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      if (finished?.status === 'cancelled') {
+        console.log(`🛑 Job ${job.id} (${job.type}) cancelled after finishing in ${duration}s`);
+      } else {
+        console.log(`✅ Job ${job.id} (${job.type}) succeeded in ${duration}s`);
+      }
+
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        await Job.markCancelled(job.id);
+        console.log(`🛑 Job ${job.id} (${job.type}) cancelled`);
+        return;
+      }
+
+      // Exponential backoff: base, 2x base, 4x base...
+      const delayMs = this.config.backoff_base_ms * Math.pow(2, job.attempts - 1);
+      const updated = await Job.markFailed(job, error.message, delayMs);
+
+      if (updated.status === 'queued') {
+        console.warn(`⚠️ Job ${job.id} (${job.type}) failed: ${error.message}. Retrying in ${delayMs / 1000}s`);
+      } else if (updated.status === 'cancelled') {
+        console.log(`🛑 Job ${job.id} (${job.type}) cancelled: ${error.message}`);
+      } else {
+        console.error(`❌ Job ${job.id} (${job.type}) failed permanently: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new JobWorker(); // Singleton
@@ -0,0 +1,150 @@
+// src/matching/product-matcher.js
+const settings = require('../config/settings');
+const CanonicalProduct = require('../models/CanonicalProducts');
+
+// Words that describe the listing rather than the model
+const STOPWORDS = new Set([
+  'with', 'and', 'the', 'new', 'for', 'smartphone', 'smartphones', 'mobile', 'phone',
+  'dual', 'sim', 'ram', 'rom', 'storage', 'gb', 'tb', 'inch', 'display', 'camera',
+  'battery', 'edition', 'variant', 'latest', 'model', 'unlocked', 'renewed'
+]);
+
+// Tokens that make a different model when present on only one side ("Note 13" vs "Note 13 Pro")
+const VARIANT_WORDS = new Set(['pro', 'plus', '+', 'max', 'ultra', 'lite', 'mini', 'prime', 'neo', 'fe', 'power']);
+
+// Connectivity, not part of the model name ("Nord CE 3 5G")
+const NETWORK_TOKEN = /^[2-5]g$/;
+
+const COLORS = /\b(black|white|blue|green|red|gold|silver|purple|pink|grey|gray|orange|yellow|titanium|bronze)\b/gi;
+
+class ProductMatcher {
+  constructor(config = settings.matching) {
+    this.minConfidence = config.min_confidence;
+    this.weights = config.weights;
+    this.brandAliases = config.brand_aliases || {};
+  }
+
+  // ========== SIGNATURE BUILDING ==========
+
+  normalizeBrand(brand) {
+    const key = (brand || '').toLowerCase().replace(/[^a-z0-9+]/g, '');
+    return this.brandAliases[key] || key || 'unknown';
+  }
+
+  // "Redmi Note 13 5G (Arctic White, 6GB RAM, 128GB Storage) | 108MP..." → ['13', '5g', 'note', 'redmi']
+  extractModelTokens(title, brand) {
+    const head = title.split(/[(|,\[]/)[0].toLowerCase();
+    const brandKey = this.normalizeBrand(brand);
+
+    const tokens = head
+      .replace(COLORS, ' ')
+      .replace(/\b\d+\s*(gb|tb|mah|mp|hz|w)\b/g, ' ')
+      .split(/[^a-z0-9+]+/)
+      .filter(t => t && !STOPWORDS.has(t))
+      .filter(t => t !== brandKey && this.normalizeBrand(t) !== brandKey);
+
+    return [...new Set(tokens)].sort();
+  }
+
+  buildSignature(product) {
+    const specs = product.specifications || {};
+    return {
+      brand: this.normalizeBrand(product.brand),
+      title: product.title,
+      category: product.category || null,
+      model_tokens: this.extractModelTokens(product.title, product.brand),
+      // "8 GB" (spec tables) and "8GB" (titles) are the same variant
+      ram: specs.ram ? specs.ram.replace(/\s+/g, '').toUpperCase() : null,
+      storage: specs.storage ? specs.storage.replace(/\s+/g, '').toUpperCase() : null,
+      color: specs.color ? specs.color.toLowerCase().replace('gray', 'grey') : null
+    };
+  }
+
+  // ========== SCORING ==========
+
+  // Returns 0..1. Conflicting RAM/storage means a different variant, so it is a hard reject.
+  score(a, b) {
+    if (a.brand !== b.brand) return 0;
+
+    const tokensA = new Set(a.model_tokens);
+    const tokensB = new Set(b.model_tokens);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    const shared = [...tokensA].filter(t => tokensB.has(t)).length;
+    const union = new Set([...tokensA, ...tokensB]).size;
+    const modelScore = shared / union;
+
+    // Model numbers must agree ("note 13" is not "note 12"); network tokens like "5g" aren't model numbers
+    const numbersA = [...tokensA].filter(t => /\d/.test(t) && !NETWORK_TOKEN.test(t));
+    const numbersB = [...tokensB].filter(t => /\d/.test(t) && !NETWORK_TOKEN.test(t));
+    if (numbersA.join(' ') !== numbersB.join(' ')) return 0;
+
+    const unshared = [...tokensA, ...tokensB].filter(t => !(tokensA.has(t) && tokensB.has(t)));
+    if (unshared.some(t => VARIANT_WORDS.has(t))) return 0;
+
+    let total = modelScore * this.weights.model;
+
+    for (const field of ['storage', 'ram', 'color']) {
+      const weight = this.weights[field];
+      if (a[field] && b[field]) {
+        if (a[field] !== b[field]) {
+          if (field !== 'color') return 0;
+          continue;
+        }
+        total += weight;
+      } else {
+        // Unknown on one side: neutral, half credit
+        total += weight / 2;
+      }
+    }
+
+    return Math.round(total * 1000) / 1000;
+  }
+
+  // ========== MATCHING ==========
+
+  // Link a stored listing (products.id) to its canonical product, creating one if needed
+  async matchProduct(productId, product) {
+    const override = await CanonicalProduct.getOverride(productId);
+    if (override && override.canonical_id) {
+      await CanonicalProduct.linkProduct(productId, override.canonical_id, 1, 'manual');
+      return { canonicalId: override.canonical_id, confidence: 1, method: 'manual' };
+    }
+
+    const existing = await CanonicalProduct.getMatch(productId);
+    if (existing && existing.method === 'manual') {
+      return { canonicalId: existing.canonical_id, confidence: 1, method: 'manual' };
+    }
+
+    const signature = this.buildSignature(product);
+
+    if (!override) {
+      const candidates = await CanonicalProduct.findCandidates(signature.brand, signature.category);
+      let best = null;
+
+      for (const candidate of candidates) {
+        const confidence = this.score(signature, candidate);
+        if (!best || confidence > best.confidence) {
+          best = { canonicalId: candidate.id, confidence };
+        }
+      }
+
+      if (best && best.confidence >= this.minConfidence) {
+        await CanonicalProduct.linkProduct(productId, best.canonicalId, best.confidence, 'auto');
+        return { ...best, method: 'auto' };
+      }
+
+      // Keep the current canonical if nothing better turned up
+      if (existing) {
+        return { canonicalId: existing.canonical_id, confidence: parseFloat(existing.confidence), method: existing.method };
+      }
+    }
+
+    const canonical = await CanonicalProduct.create(signature);
+    await CanonicalProduct.linkProduct(productId, canonical.id, 1, override ? 'manual' : 'auto');
+    return { canonicalId: canonical.id, confidence: 1, method: 'new' };
+  }
+}
+
+module.exports = new ProductMatcher(); // Singleton
+module.exports.ProductMatcher = ProductMatcher;
@@ -0,0 +1,49 @@
+const { ProductMatcher } = require('./product-matcher');
+
+// Scores listing pairs that must / must not be linked to one canonical product. No database needed.
+//
+//   node src/matching/test-matcher.js
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+}
+
+function testMatcher() {
+  console.log('🧪 Testing product matcher scoring...\n');
+
+  const matcher = new ProductMatcher();
+  const signature = (title, brand, specifications = {}) => matcher.buildSignature({ title, brand, specifications });
+  const specs = { ram: '8GB', storage: '128GB', color: 'Black' };
+
+  const amazon = signature('Redmi Note 13 5G (Arctic White, 6GB RAM, 128GB Storage)', 'Redmi', { ram: '6GB', storage: '128GB' });
+  const flipkart = signature('REDMI Note 13 5G (Arctic White, 128 GB)', 'REDMI', { ram: '6GB', storage: '128GB' });
+  const score = matcher.score(amazon, flipkart);
+  check(score >= matcher.minConfidence, `Same phone on two platforms is linked (${score})`);
+
+  const nord3 = signature('OnePlus Nord CE 3 5G (Aqua Surge, 8GB RAM, 128GB Storage)', 'OnePlus', specs);
+  const nord4 = signature('OnePlus Nord CE 4 5G (Celadon Marble, 8GB RAM, 128GB Storage)', 'OnePlus', specs);
+  check(matcher.score(nord3, nord4) === 0, 'Nord CE 3 5G and Nord CE 4 5G are different models (shared "5g" is not a model number)');
+
+  const note13 = signature('Redmi Note 13 (6GB RAM, 128GB)', 'Redmi', { ram: '6GB', storage: '128GB' });
+  const note13pro = signature('Redmi Note 13 Pro (6GB RAM, 128GB)', 'Redmi', { ram: '6GB', storage: '128GB' });
+  check(matcher.score(note13, note13pro) === 0, 'Note 13 and Note 13 Pro are different models');
+
+  const s24 = signature('Samsung Galaxy S24 Ultra 5G (12GB, 256GB)', 'Samsung', { ram: '12GB', storage: '256GB' });
+  const s24_4g = signature('Samsung Galaxy S24 Ultra (12GB, 256GB)', 'Samsung', { ram: '12GB', storage: '256GB' });
+  check(matcher.score(s24, s24_4g) > 0, 'A "5G" suffix on one listing only does not block the match');
+
+  const storageA = signature('Apple iPhone 15 (128 GB) - Black', 'Apple', { storage: '128GB' });
+  const storageB = signature('Apple iPhone 15 (256 GB) - Black', 'Apple', { storage: '256GB' });
+  check(matcher.score(storageA, storageB) === 0, 'Different storage variants are not linked');
+
+  console.log('\n🎉 Matcher tests passed!');
+}
+
+try {
+  testMatcher();
+  process.exit(0);
+} catch (error) {
+  console.error(`\n❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,65 @@
+const { query } = require('../config/database');
+
+// Products whose AI output failed taxonomy validation. One row per product; a product
+// is retried after `delayMinutes` and abandoned after `maxAttempts` rejections.
+class AIReprocessQueue {
+
+  static async enqueue(productId, { output = null, reasons = [], maxAttempts = 3, delayMinutes = 360 } = {}) {
+    const result = await query(`
+      INSERT INTO ai_reprocess_queue (product_id, attempts, last_output, reasons, next_attempt_at, status)
+      VALUES ($1, 1, $2, $3, NOW() + ($4 || ' minutes')::interval, CASE WHEN $5 <= 1 THEN 'abandoned' ELSE 'queued' END)
+      ON CONFLICT (product_id) DO UPDATE SET
+        attempts = ai_reprocess_queue.attempts + 1,
+        last_output = EXCLUDED.last_output,
+        reasons = EXCLUDED.reasons,
+        next_attempt_at = EXCLUDED.next_attempt_at,
+        status = CASE WHEN ai_reprocess_queue.attempts + 1 >= $5 THEN 'abandoned' ELSE 'queued' END,
+        updated_at = NOW()
+      RETURNING *
+    `, [productId, output ? JSON.stringify(output) : null, reasons, String(delayMinutes), maxAttempts]);
+    return result.rows[0];
+  }
+
+  // Categorised successfully; drop from the queue
+  static async resolve(productIds) {
+    if (!productIds.length) return 0;
+    const result = await query('DELETE FROM ai_reprocess_queue WHERE product_id = ANY($1::uuid[])', [productIds]);
+    return result.rowCount;
+  }
+
+  // Put an entry back in line now with a fresh attempt count (e.g. after a taxonomy change)
+  static async retry(productId) {
+    const result = await query(`
+      UPDATE ai_reprocess_queue
+      SET status = 'queued', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+      WHERE product_id = $1
+      RETURNING *
+    `, [productId]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const result = await query(`
+      SELECT q.*, p.title, p.brand, p.category
+      FROM ai_reprocess_queue q
+      JOIN products p ON p.id = q.product_id
+      WHERE ($1::text IS NULL OR q.status = $1)
+      ORDER BY q.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+    return result.rows;
+  }
+
+  static async getStats() {
+    const result = await query(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'queued') as queued,
+        COUNT(*) FILTER (WHERE status = 'queued' AND next_attempt_at <= NOW()) as due,
+        COUNT(*) FILTER (WHERE status = 'abandoned') as abandoned
+      FROM ai_reprocess_queue
+    `);
+    return result.rows[0];
+  }
+}
+
+module.exports = AIReprocessQueue;
@@ -0,0 +1,46 @@
+const { query } = require('../config/database');
+
+// usage_date as 'YYYY-MM-DD' text, so it doesn't shift with the server's timezone
+const COLUMNS = "to_char(usage_date, 'YYYY-MM-DD') AS usage_date, provider, requests, prompt_tokens, completion_tokens, updated_at";
+
+// Daily LLM request/token counters, one row per provider per UTC day
+class AIUsage {
+
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // Add to today's counters and return the updated row
+  static async increment(provider, { requests = 1, prompt_tokens = 0, completion_tokens = 0 } = {}, date = AIUsage.today()) {
+    const result = await query(`
+      INSERT INTO ai_usage (usage_date, provider, requests, prompt_tokens, completion_tokens)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (usage_date, provider) DO UPDATE SET
+        requests = ai_usage.requests + EXCLUDED.requests,
+        prompt_tokens = ai_usage.prompt_tokens + EXCLUDED.prompt_tokens,
+        completion_tokens = ai_usage.completion_tokens + EXCLUDED.completion_tokens,
+        updated_at = NOW()
+      RETURNING ${COLUMNS}
+    `, [date, provider, requests, prompt_tokens, completion_tokens]);
+    return result.rows[0];
+  }
+
+  static async getForDate(provider, date = AIUsage.today()) {
+    const result = await query(
+      `SELECT ${COLUMNS} FROM ai_usage WHERE usage_date = $1 AND provider = $2`,
+      [date, provider]
+    );
+    return result.rows[0] || { usage_date: date, provider, requests: 0, prompt_tokens: 0, completion_tokens: 0 };
+  }
+
+  static async getHistory(days = 14) {
+    const result = await query(`
+      SELECT ${COLUMNS} FROM ai_usage
+      WHERE usage_date > CURRENT_DATE - $1::int
+      ORDER BY usage_date DESC, provider
+    `, [days]);
+    return result.rows;
+  }
+}
+
+module.exports = AIUsage;
@@ -0,0 +1,104 @@
+const { query } = require('../config/database');
+
+class Alert {
+
+  // ========== CREATE ALERT ==========
+
+  static async create(alertData) {
+    const sql = `
+      INSERT INTO alerts (
+        product_id, user_ref, alert_type, target_price, drop_percent,
+        baseline_price, notifier, destination
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(sql, [
+        alertData.product_id,
+        alertData.user_ref,
+        alertData.alert_type,
+        alertData.target_price,
+        alertData.drop_percent,
+        alertData.baseline_price,
+        alertData.notifier,
+        alertData.destination
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Alert create error:', error.message);
+      throw error;
+    }
+  }
+
+  // ========== LIST / FIND ==========
+
+  static async list({ productId = null, userRef = null, activeOnly = true, limit = 50, offset = 0 } = {}) {
+    const sql = `
+      SELECT a.*, p.title, p.current_price, p.is_available, pl.name as platform
+      FROM alerts a
+      JOIN products p ON a.product_id = p.id
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE ($1::uuid IS NULL OR a.product_id = $1)
+        AND ($2::text IS NULL OR a.user_ref = $2)
+        AND (NOT $3 OR a.is_active = true)
+      ORDER BY a.created_at DESC
+      LIMIT $4 OFFSET $5
+    `;
+
+    const result = await query(sql, [productId, userRef, activeOnly, limit, offset]);
+    return result.rows;
+  }
+
+  static async findById(alertId) {
+    const result = await query('SELECT * FROM alerts WHERE id = $1', [alertId]);
+    return result.rows[0] || null;
+  }
+
+  static async countForProduct(productId) {
+    const result = await query(
+      'SELECT COUNT(*) FROM alerts WHERE product_id = $1 AND is_active = true',
+      [productId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  static async getActiveForProduct(productId) {
+    const result = await query(
+      'SELECT * FROM alerts WHERE product_id = $1 AND is_active = true',
+      [productId]
+    );
+    return result.rows;
+  }
+
+  // ========== DELETE ALERT ==========
+
+  static async delete(alertId) {
+    const result = await query('DELETE FROM alerts WHERE id = $1 RETURNING *', [alertId]);
+    return result.rows[0] || null;
+  }
+
+  // ========== TRIGGER TRACKING ==========
+
+  static async markTriggered(alertId) {
+    await query(`
+      UPDATE alerts SET
+        trigger_count = trigger_count + 1,
+        last_triggered_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [alertId]);
+  }
+
+  static async logNotification(alertId, productId, price, status, error = null) {
+    try {
+      await query(`
+        INSERT INTO alert_notifications (alert_id, product_id, price, status, error)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [alertId, productId, price, status, error]);
+    } catch (err) {
+      console.error('❌ Alert notification log error:', err.message);
+    }
+  }
+}
+
+module.exports = Alert;
@@ -0,0 +1,142 @@
+const { query } = require('../config/database');
+
+class CanonicalProduct {
+
+  // ========== CREATE CANONICAL PRODUCT ==========
+
+  static async create(signature) {
+    const sql = `
+      INSERT INTO canonical_products (
+        brand, title, category, model_tokens, ram, storage, color
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      signature.brand,
+      signature.title,
+      signature.category,
+      signature.model_tokens,
+      signature.ram,
+      signature.storage,
+      signature.color
+    ]);
+    return result.rows[0];
+  }
+
+  // ========== FIND BY ID ==========
+
+  static async findById(canonicalId) {
+    const result = await query('SELECT * FROM canonical_products WHERE id = $1', [canonicalId]);
+    return result.rows[0] || null;
+  }
+
+  // ========== CANDIDATES FOR MATCHING ==========
+
+  static async findCandidates(brand, category, limit = 200) {
+    const sql = `
+      SELECT * FROM canonical_products
+      WHERE LOWER(brand) = LOWER($1)
+        AND ($2::text IS NULL OR category IS NULL OR LOWER(category) = LOWER($2))
+      ORDER BY updated_at DESC
+      LIMIT $3
+    `;
+
+    const result = await query(sql, [brand, category || null, limit]);
+    return result.rows;
+  }
+
+  // ========== LINK LISTING TO CANONICAL PRODUCT ==========
+
+  static async linkProduct(productId, canonicalId, confidence, method = 'auto') {
+    const sql = `
+      INSERT INTO product_matches (product_id, canonical_id, confidence, method)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (product_id)
+      DO UPDATE SET
+        canonical_id = EXCLUDED.canonical_id,
+        confidence = EXCLUDED.confidence,
+        method = EXCLUDED.method,
+        matched_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(sql, [productId, canonicalId, confidence, method]);
+      await query('UPDATE canonical_products SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [canonicalId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Product match error:', error.message);
+      throw error;
+    }
+  }
+
+  static async getMatch(productId) {
+    const result = await query('SELECT * FROM product_matches WHERE product_id = $1', [productId]);
+    return result.rows[0] || null;
+  }
+
+  // ========== MANUAL OVERRIDES ==========
+
+  static async getOverride(productId) {
+    const result = await query('SELECT * FROM match_overrides WHERE product_id = $1', [productId]);
+    return result.rows[0] || null;
+  }
+
+  static async setOverride(productId, canonicalId, reason = null) {
+    const sql = `
+      INSERT INTO match_overrides (product_id, canonical_id, reason)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (product_id)
+      DO UPDATE SET
+        canonical_id = EXCLUDED.canonical_id,
+        reason = EXCLUDED.reason,
+        created_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await query(sql, [productId, canonicalId, reason]);
+    return result.rows[0];
+  }
+
+  static async removeOverride(productId) {
+    const result = await query('DELETE FROM match_overrides WHERE product_id = $1 RETURNING *', [productId]);
+    return result.rows[0] || null;
+  }
+
+  // ========== SIDE-BY-SIDE PRICE COMPARISON ==========
+
+  static async getComparison(canonicalId) {
+    const canonical = await this.findById(canonicalId);
+    if (!canonical) return null;
+
+    const sql = `
+      SELECT
+        p.id,
+        p.product_id,
+        pl.name as platform,
+        p.title,
+        p.current_price,
+        p.original_price,
+        p.discount_percent,
+        p.is_available,
+        p.rating,
+        p.review_count,
+        p.image_url,
+        p.product_url,
+        p.last_updated,
+        pm.confidence,
+        pm.method
+      FROM product_matches pm
+      JOIN products p ON pm.product_id = p.id
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE pm.canonical_id = $1
+      ORDER BY p.is_available DESC, p.current_price ASC
+    `;
+
+    const result = await query(sql, [canonicalId]);
+    return { canonical, listings: result.rows };
+  }
+}
+
+module.exports = CanonicalProduct;
@@ -0,0 +1,180 @@
+const { query } = require('../config/database');
+
+class Job {
+
+  // ========== ENQUEUE ==========
+
+  static async create({ type, lockKey = null, payload = {}, maxAttempts = 3 }) {
+    const sql = `
+      INSERT INTO jobs (type, lock_key, payload, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(sql, [type, lockKey, JSON.stringify(payload), maxAttempts]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Job create error:', error.message);
+      throw error;
+    }
+  }
+
+  // Queued or running job of this type holding the same lock
+  static async findActive(type, lockKey) {
+    const result = await query(`
+      SELECT * FROM jobs
+      WHERE type = $1 AND lock_key = $2 AND status IN ('queued', 'running')
+      ORDER BY created_at ASC
+      LIMIT 1
+    `, [type, lockKey]);
+    return result.rows[0] || null;
+  }
+
+  // ========== LOOKUP ==========
+
+  static async findById(jobId) {
+    const result = await query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ status = null, type = null, lockKey = null, limit = 50, offset = 0 } = {}) {
+    const sql = `
+      SELECT * FROM jobs
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR type = $2)
+        AND ($3::text IS NULL OR lock_key = $3)
+      ORDER BY created_at DESC
+      LIMIT $4 OFFSET $5
+    `;
+
+    const result = await query(sql, [status, type, lockKey, limit, offset]);
+    return result.rows;
+  }
+
+  // ========== WORKER SIDE ==========
+
+  // Claim the oldest due job whose lock key is free. The unique index on running
+  // lock keys makes a lost race fail instead of double-running a platform.
+  static async claimNext(workerId) {
+    const sql = `
+      UPDATE jobs SET
+        status = 'running',
+        attempts = attempts + 1,
+        locked_by = $1,
+        started_at = CURRENT_TIMESTAMP,
+        heartbeat_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT j.id FROM jobs j
+        WHERE j.status = 'queued'
+          AND j.run_at <= CURRENT_TIMESTAMP
+          AND (j.lock_key IS NULL OR NOT EXISTS (
+            SELECT 1 FROM jobs r WHERE r.status = 'running' AND r.lock_key = j.lock_key
+          ))
+        ORDER BY j.run_at ASC, j.id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(sql, [workerId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') return null; // Lock key taken by another worker
+      throw error;
+    }
+  }
+
+  // A cancel requested while the handler was finishing still wins
+  static async markSucceeded(jobId, result) {
+    const updated = await query(`
+      UPDATE jobs SET
+        status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'succeeded' END,
+        result = $2,
+        error = NULL,
+        finished_at = CURRENT_TIMESTAMP,
+        locked_by = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [jobId, JSON.stringify(result ?? null)]);
+    return updated.rows[0];
+  }
+
+  // Requeue with a delay, or fail for good once attempts are used up. cancel_requested is
+  // read in the UPDATE, not from the claimed row, so a cancel during the run isn't retried.
+  static async markFailed(job, errorMessage, retryDelayMs) {
+    const result = await query(`
+      UPDATE jobs SET
+        status = CASE
+          WHEN cancel_requested THEN 'cancelled'
+          WHEN attempts < max_attempts THEN 'queued'
+          ELSE 'failed'
+        END,
+        error = $2,
+        run_at = CURRENT_TIMESTAMP + ($3 || ' milliseconds')::interval,
+        finished_at = CASE WHEN cancel_requested OR attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+        locked_by = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [job.id, errorMessage, String(retryDelayMs)]);
+    return result.rows[0];
+  }
+
+  static async markCancelled(jobId) {
+    const result = await query(`
+      UPDATE jobs SET
+        status = 'cancelled',
+        finished_at = CURRENT_TIMESTAMP,
+        locked_by = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [jobId]);
+    return result.rows[0];
+  }
+
+  static async heartbeat(jobIds) {
+    if (jobIds.length === 0) return;
+    await query(
+      `UPDATE jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[]) AND status = 'running'`,
+      [jobIds]
+    );
+  }
+
+  // Jobs left "running" by a crashed or restarted server
+  static async requeueStale(staleAfterMs) {
+    const result = await query(`
+      UPDATE jobs SET
+        status = 'queued',
+        locked_by = NULL,
+        error = 'Worker stopped responding; requeued'
+      WHERE status = 'running'
+        AND heartbeat_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval
+      RETURNING id
+    `, [String(staleAfterMs)]);
+    return result.rows.map(row => row.id);
+  }
+
+  // ========== CANCELLATION ==========
+
+  // Queued jobs are cancelled immediately; running ones are flagged for the handler to stop
+  static async requestCancel(jobId) {
+    const result = await query(`
+      UPDATE jobs SET
+        cancel_requested = true,
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *
+    `, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  static async isCancelRequested(jobId) {
+    const result = await query('SELECT cancel_requested FROM jobs WHERE id = $1', [jobId]);
+    return result.rows[0]?.cancel_requested === true;
+  }
+}
+
+module.exports = Job;
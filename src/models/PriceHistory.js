@@ -0,0 +1,148 @@
+const { query } = require('../config/database');
+
+const GRANULARITIES = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PriceHistory {
+
+  static get granularities() {
+    return Object.keys(GRANULARITIES);
+  }
+
+  // from/to query values → { from, to, before } Dates. A date-only `to` ("2026-01-31") covers
+  // that whole day, so it also sets `before` to the next midnight and the range ends there.
+  static parseRange({ from = null, to = null } = {}) {
+    const range = {
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      before: null
+    };
+    if (range.to && !isNaN(range.to) && DATE_ONLY.test(String(to).trim())) {
+      range.before = new Date(range.to.getTime() + DAY_MS);
+    }
+    return range;
+  }
+
+  // Placeholder values for the range conditions: from ($2), inclusive to ($3), exclusive before ($4)
+  static rangeParams({ from = null, to = null, before = null } = {}) {
+    return [from, before ? null : to, before];
+  }
+
+  // ========== RAW POINTS ==========
+
+  static async getPoints(productId, range = {}) {
+    const sql = `
+      SELECT price, original_price, discount_percent, is_available, recorded_at
+      FROM price_history
+      WHERE product_id = $1
+        AND ($2::timestamp IS NULL OR recorded_at >= $2)
+        AND ($3::timestamp IS NULL OR recorded_at <= $3)
+        AND ($4::timestamp IS NULL OR recorded_at < $4)
+      ORDER BY recorded_at ASC
+    `;
+
+    const result = await query(sql, [productId, ...this.rangeParams(range)]);
+    return result.rows.map(row => ({
+      ...row,
+      price: parseFloat(row.price),
+      original_price: row.original_price !== null ? parseFloat(row.original_price) : null
+    }));
+  }
+
+  // ========== AGGREGATED BUCKETS ==========
+
+  static async getBuckets(productId, granularity = 'daily', range = {}) {
+    const unit = GRANULARITIES[granularity];
+    if (!unit) {
+      throw new Error(`Invalid granularity "${granularity}". Use: ${this.granularities.join(', ')}`);
+    }
+
+    // unit comes from the whitelist above, never from the request
+    const sql = `
+      SELECT
+        date_trunc('${unit}', recorded_at) as bucket,
+        MIN(price) as min_price,
+        MAX(price) as max_price,
+        ROUND(AVG(price)::numeric, 2) as avg_price,
+        COUNT(*) as points
+      FROM price_history
+      WHERE product_id = $1
+        AND ($2::timestamp IS NULL OR recorded_at >= $2)
+        AND ($3::timestamp IS NULL OR recorded_at <= $3)
+        AND ($4::timestamp IS NULL OR recorded_at < $4)
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `;
+
+    const result = await query(sql, [productId, ...this.rangeParams(range)]);
+    return result.rows.map(row => ({
+      bucket: row.bucket,
+      min_price: parseFloat(row.min_price),
+      max_price: parseFloat(row.max_price),
+      avg_price: parseFloat(row.avg_price),
+      points: parseInt(row.points)
+    }));
+  }
+
+  // ========== LOWS AND "LOWEST SINCE" ==========
+
+  static async getStats(productId, currentPrice) {
+    const sql = `
+      SELECT
+        (SELECT MIN(price) FROM price_history WHERE product_id = $1) as all_time_low,
+        (SELECT MAX(price) FROM price_history WHERE product_id = $1) as all_time_high,
+        (SELECT MIN(recorded_at) FROM price_history WHERE product_id = $1) as first_recorded,
+        (SELECT COUNT(*) FROM price_history WHERE product_id = $1) as total_points,
+        (SELECT MIN(price) FROM price_history
+          WHERE product_id = $1 AND recorded_at >= NOW() - INTERVAL '30 days') as low_30d,
+        (SELECT recorded_at FROM price_history
+          WHERE product_id = $1 ORDER BY price ASC, recorded_at DESC LIMIT 1) as all_time_low_at,
+        (SELECT MAX(recorded_at) FROM price_history
+          WHERE product_id = $1 AND price < $2) as last_cheaper_at
+    `;
+
+    const result = await query(sql, [productId, currentPrice]);
+    const row = result.rows[0];
+
+    const toNumber = value => (value !== null ? parseFloat(value) : null);
+
+    // Current price has been the lowest since the first point after the last cheaper one
+    let lowestSince = row.first_recorded;
+    if (row.last_cheaper_at) {
+      const next = await query(`
+        SELECT MIN(recorded_at) as since
+        FROM price_history
+        WHERE product_id = $1 AND recorded_at > $2
+      `, [productId, row.last_cheaper_at]);
+      lowestSince = next.rows[0].since;
+    }
+
+    const current = toNumber(currentPrice);
+    const allTimeLow = toNumber(row.all_time_low);
+    const low30d = toNumber(row.low_30d);
+
+    return {
+      current_price: current,
+      all_time_low: allTimeLow,
+      all_time_low_at: row.all_time_low_at,
+      all_time_high: toNumber(row.all_time_high),
+      low_30d: low30d,
+      total_points: parseInt(row.total_points),
+      first_recorded: row.first_recorded,
+      is_all_time_low: current !== null && allTimeLow !== null && current <= allTimeLow,
+      is_30d_low: current !== null && low30d !== null && current <= low30d,
+      lowest_since: lowestSince,
+      lowest_since_days: lowestSince
+        ? Math.floor((Date.now() - new Date(lowestSince).getTime()) / 86400000)
+        : null
+    };
+  }
+}
+
+module.exports = PriceHistory;
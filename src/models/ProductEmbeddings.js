@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+
+// Product columns that go into the embedded text
+const SOURCE_COLUMNS = 'p.id, p.title, p.brand, p.category, p.ai_category, p.subcategory, p.ai_tags, p.specifications';
+
+// pgvector literal ('[0.12,-0.03,...]'); pass as $n::vector
+function toVectorLiteral(values) {
+  return `[${values.join(',')}]`;
+}
+
+// One embedding per product (product_embeddings). Rows made by another model than the
+// configured one count as missing.
+class ProductEmbedding {
+
+  static async upsert(productId, { model, embedding, contentHash }) {
+    await query(`
+      INSERT INTO product_embeddings (product_id, model, embedding, content_hash)
+      VALUES ($1, $2, $3::vector, $4)
+      ON CONFLICT (product_id) DO UPDATE SET
+        model = EXCLUDED.model,
+        embedding = EXCLUDED.embedding,
+        content_hash = EXCLUDED.content_hash,
+        updated_at = NOW()
+    `, [productId, model, toVectorLiteral(embedding), contentHash]);
+  }
+
+  // Text unchanged since it was embedded; mark as checked so backfills skip it
+  static async touch(productIds) {
+    if (!productIds.length) return 0;
+    const result = await query('UPDATE product_embeddings SET updated_at = NOW() WHERE product_id = ANY($1::uuid[])', [productIds]);
+    return result.rowCount;
+  }
+
+  // Map(product id -> content_hash) for rows made by `model`
+  static async getHashes(productIds, model) {
+    if (!productIds.length) return new Map();
+    const result = await query(
+      'SELECT product_id, content_hash FROM product_embeddings WHERE product_id = ANY($1::uuid[]) AND model = $2',
+      [productIds, model]
+    );
+    return new Map(result.rows.map(row => [row.product_id, row.content_hash]));
+  }
+
+  // Stored vector as a pgvector literal, or null
+  static async getVector(productId, model) {
+    const result = await query(
+      'SELECT embedding::text AS embedding FROM product_embeddings WHERE product_id = $1 AND model = $2',
+      [productId, model]
+    );
+    return result.rows[0]?.embedding || null;
+  }
+
+  static async getSources(productIds) {
+    if (!productIds.length) return [];
+    const result = await query(`SELECT ${SOURCE_COLUMNS} FROM products p WHERE p.id = ANY($1::uuid[])`, [productIds]);
+    return result.rows;
+  }
+
+  // Products with no embedding for `model`, or changed since theirs was made (never embedded first)
+  static async getStale(model, limit = 100) {
+    const result = await query(`
+      SELECT ${SOURCE_COLUMNS}
+      FROM products p
+      LEFT JOIN product_embeddings e ON e.product_id = p.id
+      WHERE e.product_id IS NULL OR e.model <> $1 OR p.last_updated > e.updated_at
+      ORDER BY (e.product_id IS NOT NULL), p.last_updated DESC
+      LIMIT $2
+    `, [model, limit]);
+    return result.rows;
+  }
+
+  static async getStats(model) {
+    const result = await query(`
+      SELECT
+        COUNT(*) AS products,
+        COUNT(e.product_id) FILTER (WHERE e.model = $1) AS embedded,
+        COUNT(*) FILTER (WHERE e.product_id IS NULL OR e.model <> $1 OR p.last_updated > e.updated_at) AS stale
+      FROM products p
+      LEFT JOIN product_embeddings e ON e.product_id = p.id
+    `, [model]);
+    const row = result.rows[0];
+    return {
+      model,
+      products: parseInt(row.products),
+      embedded: parseInt(row.embedded),
+      stale: parseInt(row.stale)
+    };
+  }
+}
+
+module.exports = ProductEmbedding;
+module.exports.toVectorLiteral = toVectorLiteral;
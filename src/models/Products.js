@@ -24,7 +24,11 @@ class Product {
     } = productData;
 
     // Smart UPSERT: Updates ALL fields, prioritizes new non-null values
+    // (the "previous" CTE sees the row as it was before this statement, for alerts)
     const sql = `
+      WITH previous AS (
+        SELECT current_price, is_available FROM products WHERE product_id = $1
+      )
       INSERT INTO products (
         product_id, platform_id, title, brand, category, subcategory,
         image_url, product_url, current_price, original_price,
@@ -59,10 +63,14 @@ class Product {
           ELSE products.review_count
         END,
         
-        -- Specifications: Merge new specs with existing (don't lose data)
+        -- Specifications: Merge new specs with existing (don't lose data);
+        -- keys from detail pages or AI extraction (spec_meta) beat title-derived listing specs
         specifications = CASE 
           WHEN EXCLUDED.specifications::text != '{}' AND EXCLUDED.specifications::text != 'null'
-          THEN EXCLUDED.specifications
+          THEN EXCLUDED.specifications || COALESCE((
+            SELECT jsonb_object_agg(key, value) FROM jsonb_each(products.specifications)
+            WHERE products.spec_meta ? key
+          ), '{}'::jsonb)
           ELSE products.specifications
         END,
         
@@ -70,7 +78,9 @@ class Product {
         scrape_count = products.scrape_count + 1,
         last_updated = CURRENT_TIMESTAMP
         
-      RETURNING id, (xmax = 0) AS inserted
+      RETURNING id, (xmax = 0) AS inserted,
+        (SELECT current_price FROM previous) AS previous_price,
+        (SELECT is_available FROM previous) AS was_available
     `;
 
     try {
@@ -92,9 +102,16 @@ class Product {
         JSON.stringify(specifications || {})
       ]);
 
+      const row = result.rows[0];
+      const previousPrice = row.previous_price !== null ? parseFloat(row.previous_price) : null;
+
       return {
-        id: result.rows[0].id,
-        isNew: result.rows[0].inserted
+        id: row.id,
+        isNew: row.inserted,
+        previousPrice: previousPrice,
+        wasAvailable: row.was_available,
+        priceChanged: !row.inserted && previousPrice !== current_price,
+        availabilityChanged: !row.inserted && row.was_available !== is_available
       };
     } catch (error) {
       console.error('❌ Product upsert error:', error.message);
@@ -167,22 +184,38 @@ class Product {
   // ========== UPDATE PRODUCT (FOR REFRESH FEATURE) ==========
   
   static async updateFromDetailPage(productId, enhancedData) {
+    // Detail-page specs are merged over the title-derived ones rather than replacing them,
+    // and recorded in spec_meta so AI extraction and listing scrapes leave them alone
+    const specifications = enhancedData.specifications || {};
+    const specMeta = {};
+    for (const key of Object.keys(specifications)) {
+      specMeta[key] = { source: 'detail', confidence: 1 };
+    }
+
     const sql = `
       UPDATE products SET
         title = COALESCE($1, title),
         current_price = COALESCE($2, current_price),
         original_price = COALESCE($3, original_price),
-        rating = COALESCE($4, rating),
-        review_count = GREATEST($5, review_count),
-        specifications = CASE 
-          WHEN $6::text != '{}' THEN $6::jsonb
-          ELSE specifications
-        END,
-        brand = COALESCE($7, brand),
-        is_available = COALESCE($8, is_available),
+        discount_percent = COALESCE($4, discount_percent),
+        rating = COALESCE($5, rating),
+        review_count = GREATEST($6, review_count),
+        specifications = COALESCE(specifications, '{}'::jsonb) || $7::jsonb,
+        brand = COALESCE($8, brand),
+        is_available = COALESCE($9, is_available),
+        seller = COALESCE($10, seller),
+        delivery_estimate = $11,
+        stock_status = COALESCE($12, stock_status),
+        offers = $13,
+        rating_breakdown = COALESCE($14, rating_breakdown),
+        spec_meta = COALESCE(spec_meta, '{}'::jsonb) || $16::jsonb,
+        highlights = COALESCE($17, highlights),
+        -- First detail page brings new text: extract specs again
+        specs_extracted_at = CASE WHEN detail_scraped_at IS NULL THEN NULL ELSE specs_extracted_at END,
+        detail_scraped_at = CURRENT_TIMESTAMP,
         last_updated = CURRENT_TIMESTAMP,
         scrape_count = scrape_count + 1
-      WHERE id = $9
+      WHERE id = $15
       RETURNING *
     `;
 
@@ -191,12 +224,20 @@ class Product {
         enhancedData.title,
         enhancedData.current_price,
         enhancedData.original_price,
+        enhancedData.discount_percent,
         enhancedData.rating,
         enhancedData.review_count || 0,
-        JSON.stringify(enhancedData.specifications || {}),
+        JSON.stringify(specifications),
         enhancedData.brand,
         enhancedData.is_available,
-        productId
+        enhancedData.seller,
+        enhancedData.delivery_estimate || null,
+        enhancedData.stock_status,
+        JSON.stringify(enhancedData.offers || []),
+        enhancedData.rating_breakdown ? JSON.stringify(enhancedData.rating_breakdown) : null,
+        productId,
+        JSON.stringify(specMeta),
+        enhancedData.highlights && enhancedData.highlights.length ? enhancedData.highlights : null
       ]);
       return result.rows[0];
     } catch (error) {
@@ -205,20 +246,67 @@ class Product {
     }
   }
 
+  // AI-extracted specs: merge only the keys the extractor chose to write, and stamp the run
+  static async updateExtractedSpecs(productId, specifications, specMeta) {
+    const result = await query(`
+      UPDATE products SET
+        specifications = COALESCE(specifications, '{}'::jsonb) || $1::jsonb,
+        spec_meta = COALESCE(spec_meta, '{}'::jsonb) || $2::jsonb,
+        specs_extracted_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, specifications, spec_meta
+    `, [JSON.stringify(specifications), JSON.stringify(specMeta), productId]);
+    return result.rows[0];
+  }
+
+  // ========== STORE DISCOUNT ANALYSIS ==========
+  
+  static async updateDiscountAnalysis(productId, analysis) {
+    const sql = `
+      UPDATE products SET
+        true_discount_30d = $1,
+        true_discount_90d = $2,
+        suspicious_discount = $3,
+        discount_analysis = $4,
+        discount_checked_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `;
+
+    try {
+      await query(sql, [
+        analysis.true_discount_30d,
+        analysis.true_discount_90d,
+        analysis.suspicious_discount,
+        JSON.stringify({ windows: analysis.windows, reasons: analysis.reasons }),
+        productId
+      ]);
+    } catch (error) {
+      console.error('❌ Discount analysis update error:', error.message);
+      throw error;
+    }
+  }
+
   // ========== GET PRODUCTS NEEDING REFRESH ==========
   
-  static async getIncompleteProducts(limit = 50) {
+  // Products missing rating/reviews/specs whose detail page hasn't been tried recently,
+  // so products whose page genuinely lacks the data don't block the queue forever
+  static async getIncompleteProducts(limit = 50, retryAfterDays = 7) {
     const sql = `
-      SELECT id, product_id, title, product_url, rating, review_count, specifications
-      FROM products
-      WHERE rating IS NULL 
-         OR review_count = 0 
-         OR specifications = '{}'::jsonb
-      ORDER BY last_updated ASC
+      SELECT p.id, p.product_id, p.title, p.product_url, p.rating, p.review_count,
+             p.specifications, p.current_price, p.is_available, pl.name as platform
+      FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE (p.rating IS NULL 
+         OR p.review_count = 0 
+         OR p.specifications = '{}'::jsonb
+         OR p.detail_scraped_at IS NULL)
+        AND (p.detail_scraped_at IS NULL
+         OR p.detail_scraped_at < NOW() - make_interval(days => $2))
+      ORDER BY p.detail_scraped_at ASC NULLS FIRST, p.last_updated ASC
       LIMIT $1
     `;
 
-    const result = await query(sql, [limit]);
+    const result = await query(sql, [limit, retryAfterDays]);
     return result.rows;
   }
 
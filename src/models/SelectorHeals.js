@@ -0,0 +1,64 @@
+const { query } = require('../config/database');
+
+// Audit log of AI selector heals: what changed, why, and whether it validated
+class SelectorHeal {
+
+  static async create({
+    platform, field, status, oldSelectors = null, newSelectors = null, sampleHash = null,
+    explanation = null, model = null, validation = null, patternVersion = null
+  }) {
+    const sql = `
+      INSERT INTO selector_heals (
+        platform, field, status, old_selectors, new_selectors, sample_hash,
+        explanation, model, validation, pattern_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const result = await query(sql, [
+      platform,
+      field,
+      status,
+      oldSelectors ? JSON.stringify(oldSelectors) : null,
+      newSelectors ? JSON.stringify(newSelectors) : null,
+      sampleHash,
+      explanation,
+      model,
+      validation ? JSON.stringify(validation) : null,
+      patternVersion
+    ]);
+    return result.rows[0];
+  }
+
+  static async findById(healId) {
+    const result = await query('SELECT * FROM selector_heals WHERE id = $1', [healId]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ platform = null, field = null, status = null, limit = 50, offset = 0 } = {}) {
+    const sql = `
+      SELECT * FROM selector_heals
+      WHERE ($1::text IS NULL OR platform = $1)
+        AND ($2::text IS NULL OR field = $2)
+        AND ($3::text IS NULL OR status = $3)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $4 OFFSET $5
+    `;
+
+    const result = await query(sql, [platform, field, status, limit, offset]);
+    return result.rows;
+  }
+
+  // Applied heals of this field from `since` on (the rolled-back heal and everything after it)
+  static async markRolledBack(platform, field, since) {
+    const result = await query(`
+      UPDATE selector_heals
+      SET status = 'rolled_back', rolled_back_at = NOW()
+      WHERE platform = $1 AND field = $2 AND status = 'applied' AND created_at >= $3
+      RETURNING id
+    `, [platform, field, since]);
+    return result.rows;
+  }
+}
+
+module.exports = SelectorHeal;
@@ -0,0 +1,60 @@
+const { pool } = require('../config/database');
+const PriceHistory = require('./PriceHistory');
+
+// Checks the from/to handling of GET /products/:id/history. Queries go to a stand-in pool
+// that records their parameters, so no database is needed.
+//
+//   node src/models/test-price-history.js
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`✅ ${message}`);
+}
+
+async function testPriceHistory() {
+  console.log('🧪 Testing price history date ranges...\n');
+
+  const calls = [];
+  pool.query = async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: [], rowCount: 0 };
+  };
+
+  // Date-only "to": the whole day counts
+  const dayRange = PriceHistory.parseRange({ from: '2026-01-01', to: '2026-01-31' });
+  check(dayRange.to.toISOString() === '2026-01-31T00:00:00.000Z', 'to keeps the requested date');
+  check(dayRange.before.toISOString() === '2026-02-01T00:00:00.000Z', 'Date-only to ends before the next midnight');
+
+  await PriceHistory.getPoints('p1', dayRange);
+  await PriceHistory.getBuckets('p1', 'daily', dayRange);
+  for (const { sql, params } of calls) {
+    check(params[2] === null && params[3] === dayRange.before, 'Query bounds a date-only to with recorded_at < next midnight');
+    check(/recorded_at < \$4/.test(sql), 'Query has the exclusive end condition');
+  }
+
+  const [, , to, before] = calls[0].params;
+  const included = recordedAt => (to === null || recordedAt <= to) && (before === null || recordedAt < before);
+  check(included(new Date('2026-01-31T15:30:00Z')), 'A price recorded during the last day is included');
+  check(!included(new Date('2026-02-01T00:00:00Z')), 'A price recorded at the next midnight is excluded');
+
+  // Full timestamp "to": inclusive as given
+  calls.length = 0;
+  const exactRange = PriceHistory.parseRange({ to: '2026-01-31T12:00:00Z' });
+  check(exactRange.before === null, 'Timestamp to is used as-is');
+  await PriceHistory.getPoints('p1', exactRange);
+  check(calls[0].params[2] === exactRange.to && calls[0].params[3] === null, 'Query bounds a timestamp to with recorded_at <= to');
+
+  // No range at all
+  calls.length = 0;
+  await PriceHistory.getPoints('p1');
+  check(calls[0].params.slice(1).every(value => value === null), 'No from/to means no bounds');
+
+  console.log('\n🎉 Price history tests passed!');
+}
+
+testPriceHistory()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,147 @@
+// src/pricing/discount-detector.js
+const settings = require('../config/settings');
+const { query } = require('../config/database');
+const PriceHistory = require('../models/PriceHistory');
+const Product = require('../models/Products');
+
+const DAY_MS = 86400000;
+const HISTORY_DAYS = 180;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+class DiscountDetector {
+  constructor(config = settings.discounts, festivals = settings.festivals) {
+    this.config = config;
+    this.festivals = festivals;
+  }
+
+  // ========== TRUE DISCOUNT ==========
+
+  // Discount against the median price actually observed, not the claimed MRP
+  trueDiscount(currentPrice, history, days, now = Date.now()) {
+    const since = now - days * DAY_MS;
+    const prices = history
+      .filter(p => new Date(p.recorded_at).getTime() >= since)
+      .map(p => p.price);
+
+    if (prices.length < this.config.min_history_points) {
+      return { days, median: null, discount: null, points: prices.length };
+    }
+
+    const med = median(prices);
+    return {
+      days,
+      median: Math.round(med * 100) / 100,
+      discount: Math.round(((med - currentPrice) / med) * 100),
+      points: prices.length
+    };
+  }
+
+  // ========== PRE-FESTIVAL MRP HIKE ==========
+
+  // Festivals we are currently in, or about to enter, for this platform
+  getRelevantFestivals(platform, now = Date.now()) {
+    const preMs = this.config.pre_festival_days * DAY_MS;
+
+    return Object.entries(this.festivals)
+      .filter(([key, festival]) => !festival.platforms || festival.platforms.includes(platform))
+      .filter(([key, festival]) => {
+        const start = new Date(festival.start_date).getTime();
+        const end = new Date(festival.end_date).getTime() + DAY_MS;
+        return now >= start - preMs && now <= end;
+      })
+      .map(([key, festival]) => ({ key, ...festival }));
+  }
+
+  detectMrpHike(history, festival, currentMrp = null) {
+    const hikeStart = new Date(festival.start_date).getTime() - this.config.pre_festival_days * DAY_MS;
+    const baselineStart = hikeStart - 90 * DAY_MS;
+
+    const baseline = history
+      .filter(p => {
+        const t = new Date(p.recorded_at).getTime();
+        return t >= baselineStart && t < hikeStart && p.original_price;
+      })
+      .map(p => p.original_price);
+
+    const recent = history
+      .filter(p => new Date(p.recorded_at).getTime() >= hikeStart && p.original_price)
+      .map(p => p.original_price);
+    if (currentMrp) recent.push(currentMrp);
+
+    if (baseline.length < this.config.min_history_points || recent.length === 0) return null;
+
+    const baselineMrp = median(baseline);
+    const recentMrp = Math.max(...recent);
+    const jump = Math.round(((recentMrp - baselineMrp) / baselineMrp) * 100);
+
+    if (jump < this.config.mrp_jump_percent) return null;
+
+    return {
+      reason: 'mrp_hike_before_festival',
+      festival: festival.key,
+      festival_name: festival.name,
+      baseline_mrp: baselineMrp,
+      recent_mrp: recentMrp,
+      jump_percent: jump
+    };
+  }
+
+  // ========== ANALYSIS ==========
+
+  analyze(product, history, now = Date.now()) {
+    const currentPrice = parseFloat(product.current_price);
+    const currentMrp = product.original_price ? parseFloat(product.original_price) : null;
+    const windows = this.config.windows_days.map(days => this.trueDiscount(currentPrice, history, days, now));
+
+    const reasons = [];
+    if ((product.discount_percent || 0) >= this.config.min_claimed_discount) {
+      for (const festival of this.getRelevantFestivals(product.platform, now)) {
+        const hike = this.detectMrpHike(history, festival, currentMrp);
+        if (hike) reasons.push(hike);
+      }
+    }
+
+    const byDays = Object.fromEntries(windows.map(w => [w.days, w]));
+
+    return {
+      claimed_discount: product.discount_percent,
+      true_discount_30d: byDays[30] ? byDays[30].discount : null,
+      true_discount_90d: byDays[90] ? byDays[90].discount : null,
+      suspicious_discount: reasons.length > 0,
+      windows,
+      reasons
+    };
+  }
+
+  async analyzeProduct(productId) {
+    const result = await query(`
+      SELECT p.id, p.current_price, p.original_price, p.discount_percent, LOWER(pl.name) as platform
+      FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE p.id = $1
+    `, [productId]);
+
+    const product = result.rows[0];
+    if (!product || product.current_price === null) return null;
+
+    // Long enough to cover the widest window plus a pre-festival MRP baseline
+    const from = new Date(Date.now() - HISTORY_DAYS * DAY_MS);
+    const points = await PriceHistory.getPoints(productId, { from });
+
+    // The newest point is the price we are judging; compare against what came before it
+    const history = points.slice(0, -1);
+
+    const analysis = this.analyze(product, history);
+    await Product.updateDiscountAnalysis(productId, analysis);
+    return analysis;
+  }
+}
+
+module.exports = new DiscountDetector(); // Singleton
+module.exports.DiscountDetector = DiscountDetector;
@@ -3,12 +3,82 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const https = require('https');
 const SelectorHealer = require('../selector-healer');
+const proxyPool = require('./proxy-pool');
+const rateLimiter = require('./rate-limiter');
+const sessionStore = require('./session-store');
+const browserPool = require('./browser-pool');
+const { pickIdentity } = require('./identity-profiles');
+const { extractSpecsFromTitle } = require('./title-specs');
+const settings = require('../../config/settings');
+const Product = require('../../models/Products');
+const productMatcher = require('../../matching/product-matcher');
+const alertEngine = require('../../alerts/alert-engine');
+const discountDetector = require('../../pricing/discount-detector');
+const embeddingIndex = require('../../search/embedding-index');
+
+// Value transforms for declarative field definitions: (value, scraper) => value | null
+const FIELD_TRANSFORMS = {
+  trim: v => v.replace(/\s+/g, ' ').trim(),
+  lowercase: v => v.toLowerCase(),
+  number: v => {
+    const n = parseFloat(v.replace(/[^\d.]/g, ''));
+    return isNaN(n) ? null : n;
+  },
+  price: (v, scraper) => scraper.parsePrice(v),
+  rating: v => {
+    const match = v.match(/(\d+(?:\.\d+)?)/);
+    const r = match ? parseFloat(match[1]) : null;
+    return (r !== null && r >= 0 && r <= 5) ? r : null;
+  },
+  // "12,345" / "1.2K" / "3.4L" (lakh) / "2M"
+  count: v => {
+    const match = v.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkLlMm])?/);
+    if (!match) return null;
+    const multipliers = { k: 1000, l: 100000, m: 1000000 };
+    return Math.round(parseFloat(match[1]) * (multipliers[(match[2] || '').toLowerCase()] || 1));
+  },
+  url: (v, scraper) => v.startsWith('http') ? v : new URL(v, scraper.baseURL).href,
+  strip_query: v => v.split('?')[0],
+  stock: (v, scraper) => scraper.stockStatusFromText(v)
+};
+
+// Detail-page spec labels that mean the same thing as our title-derived keys
+const SPEC_ALIASES = {
+  ram_memory_installed_size: 'ram',
+  ram_size: 'ram',
+  internal_storage: 'storage',
+  memory_storage_capacity: 'storage',
+  rom: 'storage',
+  battery_capacity: 'battery',
+  battery_power_rating: 'battery',
+  operating_system: 'os',
+  colour: 'color',
+  screen_size: 'display_size',
+  standing_screen_display_size: 'display_size',
+  network_type: 'connectivity',
+  cellular_technology: 'connectivity'
+};
 
 class BaseScraper {
   constructor(config) {
     this.platformName = config.platformName;
     this.baseURL = config.baseURL;
-    this.userAgents = config.userAgents || this.getDefaultUserAgents();
+    // Browser profile (UA + client hints + language) kept until a block forces a new one
+    this.identity = config.identity || pickIdentity();
+    this.currentProxy = null; // Pool entry that served the last live request
+    this.warmingUp = false;
+
+    // (url, options) => Promise<{ status, data }>; replaces the network when set (fixtures)
+    this.transport = config.transport || null;
+
+    // Declarative platform definition (src/scrapers/definitions); null for code classes
+    this.definition = config.definition || null;
+
+    // Consecutive empty result pages tolerated before a category is abandoned
+    this.maxEmptyPages = config.maxEmptyPages || 1;
+
+    // Shared with every other scraper instance hitting the same domain
+    this.limiter = rateLimiter.forPlatform(this.platformKey, this.baseURL, this.getPlatformConfig().rate_limit_ms);
     
     this.client = axios.create({
       timeout: 30000,
@@ -20,44 +90,259 @@ class BaseScraper {
       validateStatus: status => status < 500
     });
 
-    // Initialize AI healer
-    this.healer = null;
+    // Initialize selector healer (content heuristics always; the LLM when settings.ai has a usable provider)
+    this.healingCooldowns = {}; // Rate limit healing
+    this.healer = new SelectorHealer();
     this.patterns = null;
-    this.healingCooldowns = {}; // Rate limit AI healing
-    
-    if (process.env.GROQ_API_KEY) {
-      this.healer = new SelectorHealer(process.env.GROQ_API_KEY);
-      this.initializeHealer();
-    }
+    this.initializeHealer();
   }
 
   async initializeHealer() {
     try {
       this.patterns = await this.healer.loadPatterns();
-      console.log(`✅ AI Healer initialized for ${this.platformName}`);
+      console.log(`✅ Selector healer initialized for ${this.platformName}${this.healer.provider ? ` (AI: ${this.healer.provider.name})` : ''}`);
     } catch (error) {
-      console.warn(`⚠️ AI Healer failed to initialize for ${this.platformName}`);
+      console.warn(`⚠️ Selector healer failed to initialize for ${this.platformName}`);
     }
   }
 
-  getDefaultUserAgents() {
-    return [
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:122.0) Gecko/20100101 Firefox/122.0',
-    ];
+  // ========== CATEGORY PLANNING ==========
+
+  get platformKey() {
+    return this.platformName.toLowerCase();
+  }
+
+  getPlatformConfig() {
+    return settings.platforms[this.platformKey] || this.definition?.settings || {};
+  }
+
+  // Split a product budget across enabled categories in proportion to today's quotas
+  // (festival multipliers included). Categories without a search term here are skipped.
+  getCategoryPlan(maxProducts, onlyCategories = null) {
+    const categories = settings.getEnabledCategories()
+      .filter(c => !onlyCategories || onlyCategories.includes(c.key))
+      .map(c => ({
+        key: c.key,
+        name: c.name,
+        subcategory: c.subcategory,
+        searchTerm: settings.getSearchTerm(this.platformKey, c.key) || this.definition?.search_terms?.[c.key] || null,
+        quota: settings.getTodayQuota(c.key, this.platformKey)
+      }))
+      .filter(c => c.searchTerm && c.quota > 0);
+
+    const totalQuota = categories.reduce((sum, c) => sum + c.quota, 0);
+
+    return categories.map(c => ({
+      ...c,
+      target: Math.min(c.quota, Math.max(1, Math.round(maxProducts * c.quota / totalQuota)))
+    }));
+  }
+
+  // ========== HTTP ==========
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // 'http' (axios) or 'browser' (headless Chrome), from settings.platforms.*.fetch_backend
+  get fetchBackend() {
+    return this.getPlatformConfig().fetch_backend || 'http';
+  }
+
+  // Every page request goes through here so a recorded transport can stand in for the network.
+  // Live requests carry the platform's session cookies (warming the session up first if
+  // needed), wait for the domain's rate limiter and go out through the platform's sticky
+  // proxy when the pool has any.
+  async fetchPage(url, options = {}) {
+    if (this.transport) return this.transport(url, options);
+
+    const session = await sessionStore.load(this.platformKey);
+    if (!this.warmingUp && sessionStore.needsWarmup(session)) {
+      await this.warmUp(session);
+    }
+
+    await this.limiter.acquire();
+
+    const proxy = proxyPool.acquire(this.platformKey);
+    this.currentProxy = proxy;
+
+    let res;
+    try {
+      if (this.fetchBackend === 'browser') {
+        res = await this.renderWithBrowser(url, options, session, proxy);
+      } else {
+        const requestOptions = proxy
+          ? { ...options, proxy: false, httpAgent: proxy.agent, httpsAgent: proxy.agent }
+          : options;
+        res = await this.getWithCookies(url, requestOptions, session);
+      }
+    } catch (error) {
+      if (error.response?.status === 503) {
+        this.limiter.backoff('HTTP 503', rateLimiter.parseRetryAfter(error.response.headers['retry-after']));
+      }
+      if (proxy) proxyPool.reportError(proxy, error);
+      throw error;
+    }
+
+    if (proxy) proxyPool.reportSuccess(proxy);
+    if (res.status === 429) {
+      this.limiter.backoff('HTTP 429', rateLimiter.parseRetryAfter(res.headers?.['retry-after']));
+      throw new Error('RATE_LIMITED');
+    }
+
+    this.limiter.recover();
+    return res;
+  }
+
+  // Follows redirects itself so cookies set along the way land in the jar and are sent
+  // to the next hop, the way a browser would
+  async getWithCookies(url, options, session) {
+    const maxRedirects = 5;
+    let currentUrl = url;
+    let cookiesChanged = false;
+
+    for (let hop = 0; ; hop++) {
+      const cookie = await sessionStore.getCookieHeader(session, currentUrl);
+      const res = await this.client.get(currentUrl, {
+        ...options,
+        maxRedirects: 0,
+        headers: { ...options.headers, ...(cookie ? { Cookie: cookie } : {}) }
+      });
+
+      if (await sessionStore.storeResponseCookies(session, currentUrl, res.headers?.['set-cookie'])) {
+        cookiesChanged = true;
+      }
+
+      const location = res.headers?.location;
+      if (res.status >= 300 && res.status < 400 && location && hop < maxRedirects) {
+        currentUrl = new URL(location, currentUrl).href;
+        continue;
+      }
+
+      if (cookiesChanged) await sessionStore.save(this.platformKey);
+      return res;
+    }
+  }
+
+  // Loads the page in headless Chrome and answers like an axios GET ({ status, headers, data }
+  // with the rendered HTML), so isBlocked, retries and the cheerio extractors work unchanged
+  async renderWithBrowser(url, options, session, proxy) {
+    const hostname = new URL(url).hostname;
+
+    return browserPool.withPage(proxy, async page => {
+      const headers = { ...options.headers };
+      await page.setUserAgent(headers['User-Agent'] || this.identity.userAgent);
+
+      // Chrome manages these itself
+      delete headers['User-Agent'];
+      delete headers['Accept-Encoding'];
+      delete headers.Connection;
+      await page.setExtraHTTPHeaders(headers);
+
+      const cookies = await session.jar.getCookies(url);
+      if (cookies.length > 0) {
+        await page.setCookie(...cookies.map(c => ({
+          name: c.key,
+          value: c.value,
+          domain: c.domain || hostname,
+          path: c.path || '/',
+          secure: c.secure,
+          httpOnly: c.httpOnly
+        })));
+      }
+
+      const response = await page.goto(url, { waitUntil: browserPool.config.wait_until });
+
+      const waitFor = this.getPlatformConfig().render_wait_selector;
+      if (waitFor) {
+        await page.waitForSelector(waitFor, { timeout: browserPool.config.render_timeout_ms })
+          .catch(() => console.warn(`⚠️  [${this.platformName}] "${waitFor}" never rendered`));
+      }
+
+      const data = await page.content();
+
+      // First-party cookies the page set go back into the session jar
+      const setCookie = (await page.cookies())
+        .filter(c => hostname.endsWith(c.domain.replace(/^\./, '')))
+        .map(c => `${c.name}=${c.value}; Domain=${c.domain}; Path=${c.path}${c.secure ? '; Secure' : ''}` +
+          (c.expires > 0 ? `; Expires=${new Date(c.expires * 1000).toUTCString()}` : ''));
+      if (await sessionStore.storeResponseCookies(session, url, setCookie)) {
+        await sessionStore.save(this.platformKey);
+      }
+
+      const status = response ? response.status() : 200;
+      const res = { status, headers: response ? response.headers() : {}, data };
+
+      // Same rule as the axios client's validateStatus
+      if (status >= 500) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = res;
+        throw error;
+      }
+      return res;
+    });
+  }
+
+  // Browse like a visitor before scraping: homepage, then a category page (settings warmup
+  // paths). Failures are logged and the scrape goes ahead with whatever cookies we got.
+  async warmUp(session) {
+    const paths = this.getPlatformConfig().warmup || [];
+
+    this.warmingUp = true;
+    try {
+      for (const path of paths) {
+        const url = new URL(path, this.baseURL).href;
+        console.log(`🔥 [${this.platformName}] Warm-up: ${url}`);
+        try {
+          await this.fetchPage(url, { headers: this.getHeaders() });
+        } catch (error) {
+          console.warn(`⚠️  [${this.platformName}] Warm-up request failed: ${error.message}`);
+        }
+      }
+    } finally {
+      this.warmingUp = false;
+    }
+
+    session.warmedAt = new Date().toISOString();
+    await sessionStore.save(this.platformKey);
+    if (paths.length) {
+      console.log(`🍪 [${this.platformName}] Session warmed up (${sessionStore.countCookies(session.jar)} cookies)`);
+    }
   }
 
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  // A block page came back: slow down, rest the proxy that served it, drop the session's
+  // cookies and present as a different browser
+  async handleBlocked(context) {
+    if (!this.transport) {
+      this.limiter.backoff('Blocked');
+      await sessionStore.reset(this.platformKey);
+    }
+    if (this.currentProxy) {
+      proxyPool.reportBlocked(this.currentProxy);
+      this.currentProxy = null;
+    }
+    this.rotateIdentity();
+    await this.onBlocked(context);
+  }
+
+  rotateIdentity() {
+    this.identity = pickIdentity(this.identity.id);
+    console.log(`🎭 [${this.platformName}] Switched identity to ${this.identity.id}`);
+  }
+
+  // UA, client hints and Accept-Language from the current identity, always sent together
+  getIdentityHeaders() {
+    return {
+      'User-Agent': this.identity.userAgent,
+      'Accept-Language': this.identity.acceptLanguage,
+      ...this.identity.headers
+    };
   }
 
   getHeaders() {
     return {
-      'User-Agent': this.getRandomUserAgent(),
+      ...this.getIdentityHeaders(),
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-IN,en;q=0.9',
       'Accept-Encoding': 'gzip, deflate, br',
       'Connection': 'keep-alive',
       'Upgrade-Insecure-Requests': '1',
@@ -66,6 +351,7 @@ class BaseScraper {
       'Sec-Fetch-Mode': 'navigate',
       'Cache-Control': 'no-cache',
       'Pragma': 'no-cache',
+      ...(this.definition?.headers || {})
     };
   }
 
@@ -76,6 +362,8 @@ class BaseScraper {
   }
 
   isBlocked(html) {
+    if (this.definition) return this.isBlockedByDefinition(html);
+
     const blockPatterns = [
       'Enter the characters you see below',
       '/errors/validateCaptcha',
@@ -102,6 +390,32 @@ class BaseScraper {
     return true;
   }
 
+  // Do the current selectors miss `fieldName` on at least settings.healer.min_missing_ratio
+  // of this page's cards? Worked out once per page and field.
+  isMissingOnPage($, fieldName, selectors, extractFn) {
+    const cards = this.pageCards || [];
+    if (cards.length < 2) return true;
+
+    if (this.missingFields?.cards !== cards) this.missingFields = { cards, fields: {} };
+    const cached = this.missingFields.fields[fieldName];
+    if (cached !== undefined) return cached;
+
+    const found = cards.filter(card => selectors.some(selector => {
+      try {
+        const $el = $(card).find(selector);
+        const result = $el.length > 0 ? extractFn($el) : null;
+        return result !== null && result !== undefined && result !== '' && !Number.isNaN(result);
+      } catch (error) {
+        return false;
+      }
+    })).length;
+
+    const missing = (cards.length - found) / cards.length >= settings.healer.min_missing_ratio;
+    if (!missing) console.log(`   ℹ️  ${fieldName} missing on only ${cards.length - found}/${cards.length} cards; not healing`);
+    this.missingFields.fields[fieldName] = missing;
+    return missing;
+  }
+
   // Smart extraction with AI fallback and rate limiting
   async smartExtract($, element, fieldName, extractFn, fallbackValue = null) {
     const platform = this.platformName.toLowerCase();
@@ -127,18 +441,22 @@ class BaseScraper {
       }
     }
 
-    // AI healing with rate limiting
-    if (this.healer && this.canHeal(fieldName)) {
+    // Heuristic, then AI healing, with rate limiting. A field missing from a few cards is
+    // usually just absent there (no rating yet), so only heal when most of the page misses it.
+    if (this.healer && this.isMissingOnPage($, fieldName, selectors, extractFn) && this.canHeal(fieldName)) {
       try {
         console.log(`\n🔧 Healing ${fieldName} selector for ${platform}...`);
-        const newSelector = await this.healer.healSelector(platform, fieldName, $, element);
+        const newSelector = await this.healer.healSelector(platform, fieldName, $, element, {
+          cards: this.pageCards || [element],
+          extractFn
+        });
         
         if (newSelector) {
           const $el = $(element).find(newSelector);
           if ($el.length > 0) {
             const result = extractFn($el);
             if (result !== null && result !== undefined && result !== '' && !Number.isNaN(result)) {
-              console.log(`✅ AI healed ${fieldName} successfully!`);
+              console.log(`✅ Healed ${fieldName} successfully!`);
               this.patterns = await this.healer.loadPatterns();
               return result;
             }
@@ -157,65 +475,134 @@ class BaseScraper {
 
   // Extract specifications from title (common across platforms)
   extractSpecsFromTitle(title) {
+    return extractSpecsFromTitle(title);
+  }
+
+  // ========== DETAIL PAGES ==========
+
+  parsePrice(text) {
+    if (!text) return null;
+    const price = parseFloat(String(text).replace(/[^\d.]/g, ''));
+    return (price > 0 && price < 10000000) ? price : null;
+  }
+
+  // "Model Name" -> "model_name", with aliases folded onto the keys we filter on
+  normalizeSpecKey(label) {
+    const key = String(label)
+      .toLowerCase()
+      .replace(/[^a-z]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .substring(0, 40);
+    return SPEC_ALIASES[key] || key;
+  }
+
+  normalizeSpecifications(rawSpecs) {
     const specs = {};
+    for (const [label, value] of Object.entries(rawSpecs)) {
+      const key = this.normalizeSpecKey(label);
+      const text = String(value).replace(/[\s\u200e\u200f]+/g, ' ').trim();
+      if (key && text && !specs[key]) specs[key] = text.substring(0, 200);
+    }
+    return specs;
+  }
+
+  stockStatusFromText(text) {
+    const t = (text || '').toLowerCase();
+    if (!t) return null;
+    if (/currently unavailable|out of stock|sold out|coming soon|notify me/.test(t)) return 'out_of_stock';
+    if (/only \d+ left|few left|hurry/.test(t)) return 'low_stock';
+    if (/in stock|available|add to cart|buy now/.test(t)) return 'in_stock';
+    return null;
+  }
+
+  // Fetch a product page and let the platform pull the full detail out of it
+  async scrapeProductDetail(url, productId, attempt = 1) {
+    const maxAttempts = 3;
+    console.log(`\n🔎 [${this.platformName}] Detail page ${productId} (attempt ${attempt}/${maxAttempts})`);
 
     try {
-      // RAM
-      const ramMatch = title.match(/(\d+)\s*GB\s*RAM/i);
-      if (ramMatch) specs.ram = ramMatch[1] + 'GB';
-
-      // Storage
-      const storageMatch = title.match(/(\d+)\s*GB(?!\s*RAM)/i);
-      if (storageMatch) specs.storage = storageMatch[1] + 'GB';
-      
-      const tbMatch = title.match(/(\d+)\s*TB/i);
-      if (tbMatch) specs.storage = tbMatch[1] + 'TB';
-
-      // Display
-      const displayMatch = title.match(/(\d+\.?\d*)\s*(?:inch|")/i);
-      if (displayMatch) specs.display_size = displayMatch[1] + ' inch';
-
-      // Battery
-      const batteryMatch = title.match(/(\d+)\s*mAh/i);
-      if (batteryMatch) specs.battery = batteryMatch[1] + 'mAh';
-
-      // Connectivity
-      if (/5G/i.test(title)) specs.connectivity = '5G';
-      else if (/4G|LTE/i.test(title)) specs.connectivity = '4G';
-
-      // Camera
-      const cameraMatch = title.match(/(\d+)\s*MP/i);
-      if (cameraMatch) specs.camera = cameraMatch[1] + 'MP';
-
-      // Processor
-      const processorMatch = title.match(/(Snapdragon|MediaTek|Dimensity|Exynos|Helio|A\d+\s*Bionic)[\s\w]*/i);
-      if (processorMatch) specs.processor = processorMatch[0].trim().substring(0, 50);
-
-      // OS
-      if (/Android/i.test(title)) {
-        const androidMatch = title.match(/Android\s*(\d+)/i);
-        specs.os = androidMatch ? `Android ${androidMatch[1]}` : 'Android';
-      } else if (/iOS|iPhone/i.test(title)) {
-        specs.os = 'iOS';
+      const res = await this.fetchPage(url, { headers: this.getHeaders() });
+
+      if (!res.data || this.isBlocked(res.data)) {
+        await this.handleBlocked({ url, productId, attempt });
+        throw new Error('BLOCKED');
+      }
+
+      const page = this.loadPage(res.data);
+      if (!page) throw new Error('Unparseable page');
+      const detail = await this.extractProductDetail(page, productId);
+      if (!detail) return null;
+
+      detail.specifications = this.normalizeSpecifications(detail.specifications || {});
+
+      if (detail.current_price && detail.original_price && detail.original_price > detail.current_price) {
+        detail.discount_percent = Math.round(
+          ((detail.original_price - detail.current_price) / detail.original_price) * 100
+        );
+      } else if (detail.current_price) {
+        detail.discount_percent = 0;
       }
 
-      // Refresh rate
-      const refreshMatch = title.match(/(\d+)\s*Hz/i);
-      if (refreshMatch) specs.refresh_rate = refreshMatch[1] + 'Hz';
+      if (detail.is_available === undefined || detail.is_available === null) {
+        detail.is_available = detail.stock_status ? detail.stock_status !== 'out_of_stock' : null;
+      }
 
-      // Fast charging
-      const chargingMatch = title.match(/(\d+)\s*W/i);
-      if (chargingMatch) specs.fast_charging = chargingMatch[1] + 'W';
+      console.log(`   📋 ${Object.keys(detail.specifications).length} specs | 🏪 ${detail.seller || 'N/A'} | 📦 ${detail.stock_status || 'unknown'} | 🏦 ${(detail.offers || []).length} offers`);
+      return detail;
 
-      // Color (common colors)
-      const colorMatch = title.match(/\b(Black|White|Blue|Green|Red|Gold|Silver|Purple|Pink|Grey|Gray|Orange|Yellow|Titanium|Bronze)\b/i);
-      if (colorMatch) specs.color = colorMatch[1];
+    } catch (error) {
+      console.error(`❌ [${this.platformName}] Detail ${productId} error: ${error.message}`);
 
+      if (attempt < maxAttempts) {
+        const waitTime = attempt * 5000;
+        console.log(`🔄 Retrying in ${waitTime / 1000}s...`);
+        await new Promise(r => setTimeout(r, waitTime));
+        return this.scrapeProductDetail(url, productId, attempt + 1);
+      }
+
+      throw error;
+    }
+  }
+
+  // Re-scrape a stored product (row from the products table) and persist the result
+  async refreshProduct(product) {
+    const detail = await this.scrapeProductDetail(product.product_url, product.product_id);
+    if (!detail) {
+      throw new Error(`No detail data found for ${product.product_id}`);
+    }
+
+    const updated = await Product.updateFromDetailPage(product.id, detail);
+    if (!detail.current_price) return updated;
+
+    await Product.addPriceHistory(product.id, {
+      current_price: updated.current_price,
+      original_price: updated.original_price,
+      discount_percent: updated.discount_percent,
+      is_available: updated.is_available
+    });
+
+    try {
+      await discountDetector.analyzeProduct(product.id);
     } catch (error) {
-      // Ignore spec extraction errors
+      console.warn(`⚠️  Discount analysis failed for ${product.product_id}: ${error.message}`);
     }
 
-    return specs;
+    const previousPrice = product.current_price !== null ? parseFloat(product.current_price) : null;
+    const currentPrice = parseFloat(updated.current_price);
+    if (previousPrice !== currentPrice || product.is_available !== updated.is_available) {
+      try {
+        await alertEngine.evaluate(product.id, {
+          previousPrice,
+          currentPrice,
+          wasAvailable: product.is_available,
+          isAvailable: updated.is_available
+        }, updated);
+      } catch (error) {
+        console.warn(`⚠️  Alert check failed for ${product.product_id}: ${error.message}`);
+      }
+    }
+
+    return updated;
   }
 
   // Validate product data
@@ -281,13 +668,432 @@ class BaseScraper {
     return Math.max(0, score);
   }
 
-  // Abstract methods
-  async extractProductData($, element) {
+  // ========== DECLARATIVE DEFINITIONS ==========
+  // A definition describes a store as data (src/scrapers/definitions/ajio.yaml is a commented example);
+  // the methods below execute it. Code classes override them instead.
+
+  // Build a scraper class for a definition, so PlatformLoader can treat it like a code class
+  static forDefinition(definition) {
+    const Base = this;
+    return class DefinitionScraper extends Base {
+      constructor(options = {}) {
+        super({
+          platformName: definition.name,
+          baseURL: definition.baseURL,
+          definition,
+          ...options
+        });
+      }
+    };
+  }
+
+  isBlockedByDefinition(html) {
+    const blocked = this.definition.blocked || {};
+    if (!html || typeof html !== 'string') return true;
+    if (html.length < (blocked.min_length ?? 10000)) return true;
+    return (blocked.patterns || []).some(pattern => html.includes(pattern));
+  }
+
+  applyTransforms(value, transforms) {
+    let result = value;
+
+    for (const transform of [].concat(transforms || [])) {
+      if (result === null || result === undefined) return null;
+      const text = String(result);
+
+      // "regex:<pattern>" keeps the first capture group (or the whole match)
+      if (transform.startsWith('regex:')) {
+        const match = text.match(new RegExp(transform.substring(6)));
+        result = match ? (match[1] ?? match[0]) : null;
+        continue;
+      }
+
+      const fn = FIELD_TRANSFORMS[transform];
+      if (!fn) throw new Error(`Unknown transform "${transform}" in ${this.platformName} definition`);
+      result = fn(text, this);
+    }
+
+    return result;
+  }
+
+  // Field spec: "selector" | { selector: string | string[], attr, transform, default }.
+  // No selector means the card element itself.
+  extractField($, $card, field) {
+    const spec = typeof field === 'string' ? { selector: field } : field;
+    const selectors = spec.selector ? [].concat(spec.selector) : [null];
+
+    for (const selector of selectors) {
+      const $el = selector ? $card.find(selector).first() : $card;
+      if (!$el.length) continue;
+
+      const raw = spec.attr ? $el.attr(spec.attr) : $el.text();
+      if (raw === undefined || raw === null) continue;
+
+      const value = this.applyTransforms(spec.transform ? raw : raw.trim(), spec.transform);
+      if (value !== null && value !== undefined && value !== '' && !Number.isNaN(value)) {
+        return value;
+      }
+    }
+
+    return spec.default ?? null;
+  }
+
+  extractWithDefinition($, el, category = {}) {
+    const fields = this.definition.fields;
+    const $card = $(el);
+    const get = name => fields[name] ? this.extractField($, $card, fields[name]) : null;
+
+    const productId = get('product_id');
+    const title = get('title');
+    const currentPrice = get('current_price');
+    if (!productId || !title || !currentPrice) return null;
+
+    let originalPrice = get('original_price');
+    if (!originalPrice || originalPrice < currentPrice) originalPrice = currentPrice;
+
+    let discountPercent = 0;
+    if (originalPrice > currentPrice) {
+      discountPercent = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
+    } else if (fields.discount_percent) {
+      discountPercent = get('discount_percent') || 0;
+    }
+
+    let brand = get('brand');
+    if (!brand) {
+      const brandMatch = title.match(/^([A-Za-z0-9]+)/);
+      brand = brandMatch ? brandMatch[1] : 'Unknown';
+    }
+
+    const stockStatus = get('stock_status');
+
+    return this.validateProduct({
+      product_id: String(productId),
+      title,
+      brand,
+      category: category.name || null,
+      subcategory: category.subcategory || null,
+      image_url: get('image_url'),
+      product_url: get('product_url') || this.baseURL,
+      current_price: currentPrice,
+      original_price: originalPrice,
+      discount_percent: discountPercent,
+      is_available: stockStatus ? stockStatus !== 'out_of_stock' : true,
+      rating: get('rating'),
+      review_count: get('review_count') || 0,
+      specifications: this.extractSpecsFromTitle(title)
+    });
+  }
+
+
+  // ========== SCRAPE PIPELINE ==========
+  // One loop for every platform: plan categories -> page -> extract -> dedupe -> persist.
+  // Platforms supply getSearchURL(), getProductCards() and extractProductData(), and can
+  // step in through the lifecycle hooks below.
+
+  // ----- Hooks (override as needed; all may be async) -----
+
+  // Return false to stop paging this category
+  async beforePage(category, page) {
+    return true;
+  }
+
+  // Filter or enrich a page's products before dedupe
+  async afterExtract(products, { category, page }) {
+    return products;
+  }
+
+  // Return the product to save (possibly modified), or null to skip it
+  async beforePersist(product) {
+    return product;
+  }
+
+  // Runs after upsert, price history and the shared post-processing
+  async afterPersist(product, result) {}
+
+  // A response looked like a captcha/block page; the request is retried afterwards.
+  // Search pages pass { url, category, page, attempt }, detail pages { url, productId, attempt }
+  async onBlocked(context) {}
+
+  // ----- Steps -----
+
+  // HTML goes through cheerio; JSON APIs hand their parsed body straight to the platform
+  loadPage(data) {
+    return typeof data === 'string' ? cheerio.load(data) : data;
+  }
+
+  getProductCards($) {
+    if (!this.definition) {
+      throw new Error(`${this.platformName} must implement getProductCards()`);
+    }
+    return $(this.definition.card).toArray();
+  }
+
+  logPageQuality(products) {
+    if (products.length === 0) return;
+
+    const withRating = products.filter(p => p.rating).length;
+    const withReviews = products.filter(p => p.review_count > 0).length;
+    const withSpecs = products.filter(p => Object.keys(p.specifications).length >= 3).length;
+    const avgQuality = Math.round(products.reduce((sum, p) => sum + p.quality_score, 0) / products.length);
+
+    console.log(`   📊 Quality: ${withRating}/${products.length} rated, ${withReviews}/${products.length} reviewed, ${withSpecs}/${products.length} specs, avg ${avgQuality}/100`);
+  }
+
+  async scrapePage(category, page, attempt = 1) {
+    const maxAttempts = 3;
+    const url = this.getSearchURL(category.searchTerm, page);
+
+    console.log(`\n📄 [${this.platformName}] ${category.name} page ${page} (attempt ${attempt}/${maxAttempts})`);
+
+    try {
+      const res = await this.fetchPage(url, { headers: this.getHeaders() });
+
+      if (!res.data || this.isBlocked(res.data)) {
+        await this.handleBlocked({ url, category, page, attempt });
+        throw new Error('BLOCKED');
+      }
+
+      const $ = this.loadPage(res.data);
+      if (!$) throw new Error('Unparseable page');
+
+      const cards = this.getProductCards($);
+      console.log(`   Found ${cards.length} product cards`);
+      this.pageCards = cards; // Lets the healer validate a new selector on the other cards
+
+      const products = [];
+      for (const card of cards) {
+        const p = await this.extractProductData($, card, category);
+        if (p) products.push(p);
+      }
+
+      console.log(`✅ [${this.platformName}] Page ${page}: ${products.length} valid products`);
+      this.logPageQuality(products);
+
+      return products;
+
+    } catch (error) {
+      console.error(`❌ [${this.platformName}] Page ${page} error: ${error.message}`);
+
+      if (attempt < maxAttempts) {
+        const waitTime = attempt * 5000;
+        console.log(`🔄 Retrying in ${waitTime / 1000}s...`);
+        await new Promise(r => setTimeout(r, waitTime));
+        return this.scrapePage(category, page, attempt + 1);
+      }
+
+      return [];
+    }
+  }
+
+  // Page through every planned category until its target is met. `checkpoint` runs before
+  // each page and may throw to abort (job cancellation).
+  async collectProducts(plan, maxProducts, { checkpoint = null } = {}) {
+    const config = this.getPlatformConfig();
+    const pagination = this.definition?.pagination || {};
+    const maxPages = config.max_pages || pagination.max_pages || 5;
+    const maxEmptyPages = pagination.max_empty_pages || this.maxEmptyPages || 1;
+
+    const seenIds = new Set();
+    const allProducts = [];
+
+    for (const category of plan) {
+      const target = Math.min(category.target, maxProducts - allProducts.length);
+      if (target <= 0) break;
+
+      console.log(`\n📁 [${this.platformName}] ${category.name} "${category.searchTerm}" (target: ${target})`);
+
+      let page = 1;
+      let categoryCount = 0;
+      let emptyPages = 0;
+
+      while (categoryCount < target && page <= maxPages && emptyPages < maxEmptyPages) {
+        if (checkpoint) await checkpoint();
+        if (await this.beforePage(category, page) === false) break;
+
+        const pageProducts = await this.afterExtract(await this.scrapePage(category, page), { category, page });
+
+        if (pageProducts.length === 0) {
+          emptyPages++;
+        } else {
+          emptyPages = 0;
+
+          // Deduplicate (across categories too)
+          for (const p of pageProducts) {
+            if (categoryCount >= target || seenIds.has(p.product_id)) continue;
+            seenIds.add(p.product_id);
+            allProducts.push(p);
+            categoryCount++;
+          }
+        }
+
+        // Pacing between pages comes from the rate limiter in fetchPage
+        page++;
+      }
+    }
+
+    return allProducts;
+  }
+
+  // Discount analysis, cross-platform matching, alerts and the semantic search index for every saved product
+  async processSaved(product, result) {
+    // True discount against observed prices
+    try {
+      await discountDetector.analyzeProduct(result.id);
+    } catch (error) {
+      console.warn(`⚠️  Discount analysis failed for ${product.product_id}: ${error.message}`);
+    }
+
+    // Link to the same item on other platforms
+    try {
+      await productMatcher.matchProduct(result.id, product);
+    } catch (error) {
+      console.warn(`⚠️  Matching failed for ${product.product_id}: ${error.message}`);
+    }
+
+    // Price-drop / back-in-stock alerts
+    if (result.priceChanged || result.availabilityChanged) {
+      try {
+        await alertEngine.evaluate(result.id, {
+          previousPrice: result.previousPrice,
+          currentPrice: product.current_price,
+          wasAvailable: result.wasAvailable,
+          isAvailable: product.is_available
+        }, product);
+      } catch (error) {
+        console.warn(`⚠️  Alert check failed for ${product.product_id}: ${error.message}`);
+      }
+    }
+
+    // Re-embed for similar products / semantic search when the embedded text changed
+    try {
+      await embeddingIndex.onProductSaved(result.id);
+    } catch (error) {
+      console.warn(`⚠️  Embedding update failed for ${product.product_id}: ${error.message}`);
+    }
+  }
+
+  async persistProducts(products, platformId) {
+    const stats = { scraped: 0, new: 0, updated: 0, skipped: 0, failed: 0, withRating: 0, withReviews: 0, withSpecs: 0, avgQuality: 0 };
+
+    for (const scraped of products) {
+      try {
+        const product = await this.beforePersist(scraped);
+        if (!product) {
+          stats.skipped++;
+          continue;
+        }
+
+        product.platform_id = platformId;
+        const result = await Product.upsert(product);
+
+        stats.scraped++;
+        if (result.isNew) stats.new++;
+        else stats.updated++;
+
+        if (product.rating) stats.withRating++;
+        if (product.review_count > 0) stats.withReviews++;
+        if (Object.keys(product.specifications).length >= 3) stats.withSpecs++;
+        stats.avgQuality += product.quality_score;
+
+        console.log(`${result.isNew ? '➕ NEW' : '🔄 UPDATE'}: ${product.title.substring(0, 60)}...`);
+        console.log(`   💰 ₹${product.current_price.toLocaleString()} (${product.discount_percent}% off) | ⭐ ${product.rating || 'N/A'} (${product.review_count.toLocaleString()} reviews)`);
+        console.log(`   📋 ${Object.keys(product.specifications).length} specs | 📊 Quality: ${product.quality_score}/100\n`);
+
+        await Product.addPriceHistory(result.id, {
+          current_price: product.current_price,
+          original_price: product.original_price,
+          discount_percent: product.discount_percent,
+          is_available: product.is_available
+        });
+
+        await this.processSaved(product, result);
+        await this.afterPersist(product, result);
+
+      } catch (error) {
+        stats.failed++;
+        console.error(`❌ Error saving product: ${error.message}`);
+      }
+    }
+
+    stats.avgQuality = Math.round(stats.avgQuality / (stats.scraped || 1));
+    return stats;
+  }
+
+  async scrape({ maxProducts = 20, categories = null, checkpoint = null } = {}) {
+    console.log(`\n🚀 [${this.platformName}] Starting scraper (target: ${maxProducts})`);
+    const startedAt = new Date();
+
+    const platformId = await Product.getPlatformId(this.platformName);
+    if (!platformId) throw new Error(`${this.platformName} not found in platforms table`);
+
+    const logRun = (status, stats, errors = null) => Product.logScrape({
+      platform_id: platformId,
+      status,
+      products_scraped: stats.scraped || 0,
+      products_new: stats.new || 0,
+      products_updated: stats.updated || 0,
+      errors,
+      started_at: startedAt,
+      completed_at: new Date(),
+      duration_seconds: Math.round((Date.now() - startedAt.getTime()) / 1000)
+    });
+
+    try {
+      const plan = this.getCategoryPlan(maxProducts, categories);
+      if (plan.length === 0) {
+        throw new Error(`[${this.platformName}] No enabled categories with search terms`);
+      }
+
+      const allProducts = await this.collectProducts(plan, maxProducts, { checkpoint });
+      if (allProducts.length === 0) {
+        throw new Error(`[${this.platformName}] No products scraped`);
+      }
+
+      console.log(`\n💾 [${this.platformName}] Saving ${allProducts.length} products...\n`);
+      const stats = await this.persistProducts(allProducts, platformId);
+
+      console.log(`\n✅ [${this.platformName}] Results:`);
+      console.log(`   Saved: ${stats.scraped} (${stats.new} new, ${stats.updated} updated)`);
+      console.log(`   Quality: ${stats.withRating}/${stats.scraped} rated, ${stats.withReviews}/${stats.scraped} reviewed`);
+      console.log(`   Avg score: ${stats.avgQuality}/100`);
+
+      await logRun('completed', stats, stats.failed > 0 ? `${stats.failed} products failed to save` : null);
+      return stats;
+
+    } catch (error) {
+      await logRun('failed', {}, error.message);
+      throw error;
+    }
+  }
+
+  // Abstract methods (definition platforms get working defaults)
+  async extractProductData($, element, category) {
+    if (this.definition) return this.extractWithDefinition($, element, category);
     throw new Error(`${this.platformName} must implement extractProductData()`);
   }
 
-  getSearchURL(category, page) {
-    throw new Error(`${this.platformName} must implement getSearchURL()`);
+  // Template placeholders: {baseURL}, {query}, {page}, {offset}
+  getSearchURL(searchTerm, page) {
+    if (!this.definition) {
+      throw new Error(`${this.platformName} must implement getSearchURL()`);
+    }
+
+    const search = this.definition.search;
+    const query = encodeURIComponent(searchTerm.replace(/\+/g, ' '));
+    const pageNumber = page - 1 + (search.page_start ?? 1);
+    const offset = (page - 1) * (search.page_size || 0);
+
+    return search.url
+      .replace('{baseURL}', this.baseURL)
+      .replace('{query}', query)
+      .replace('{page}', pageNumber)
+      .replace('{offset}', offset);
+  }
+
+  // Returns { title, current_price, original_price, rating, review_count, rating_breakdown,
+  // specifications, brand, seller, delivery_estimate, offers, stock_status, is_available }
+  async extractProductDetail($, productId) {
+    throw new Error(`${this.platformName} must implement extractProductDetail()`);
   }
 }
 
@@ -0,0 +1,185 @@
+// src/scrapers/core/browser-pool.js
+// Headless Chrome for platforms that render with JavaScript (settings.platforms.*.fetch_backend:
+// 'browser'). Browsers are launched lazily, one per outbound proxy since Chrome takes its
+// proxy at launch, and a cap on open tabs keeps memory in check.
+const settings = require('../../config/settings');
+
+class BrowserPool {
+  constructor(config = settings.browser) {
+    this.config = config;
+    this.puppeteer = null;
+    this.browsers = new Map();   // 'direct' | proxy id -> { browser, launching, lastUsedAt, openPages }
+    this.openPages = 0;
+    this.waiters = [];
+    this.idleWaiters = [];       // getBrowser calls waiting for a browser to free up under max_browsers
+  }
+
+  // Only required when a platform actually uses the browser backend
+  loadPuppeteer() {
+    if (!this.puppeteer) {
+      try {
+        this.puppeteer = require('puppeteer');
+      } catch (error) {
+        throw new Error('The browser fetch backend needs puppeteer (npm install puppeteer)');
+      }
+    }
+    return this.puppeteer;
+  }
+
+  // ========== BROWSERS ==========
+
+  async launch(proxy) {
+    const args = ['--no-sandbox', '--disable-dev-shm-usage', '--disable-blink-features=AutomationControlled'];
+    if (proxy) {
+      const { protocol, host } = new URL(proxy.url);
+      args.push(`--proxy-server=${protocol}//${host}`);
+    }
+
+    console.log(`🧭 Launching headless browser${proxy ? ` via ${proxy.id}` : ''}`);
+    return this.loadPuppeteer().launch({
+      headless: this.config.headless,
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || this.config.executable_path || undefined,
+      args
+    });
+  }
+
+  // Returns the entry with a page reserved on it; the caller must releaseBrowser() it when done
+  async getBrowser(proxy) {
+    const key = proxy ? proxy.id : 'direct';
+    let entry = this.browsers.get(key);
+
+    if (entry && !entry.launching && !entry.browser.isConnected()) {
+      this.browsers.delete(key);
+      this.wakeIdleWaiters();
+      entry = null;
+    }
+
+    // Checked again after every wait: another caller may have taken the room or launched this browser
+    while (!(entry = this.browsers.get(key)) && this.browsers.size >= this.config.max_browsers) {
+      await this.evictIdle();
+    }
+
+    if (!entry) {
+      entry = { browser: null, launching: this.launch(proxy), lastUsedAt: Date.now(), openPages: 1 };
+      this.browsers.set(key, entry);
+      try {
+        entry.browser = await entry.launching;
+      } catch (error) {
+        this.browsers.delete(key);
+        this.releaseBrowser(entry);
+        throw error;
+      } finally {
+        entry.launching = null;
+      }
+    } else {
+      // Reserve before any await so evictIdle can't close it under us
+      entry.openPages++;
+      if (entry.launching) {
+        try {
+          await entry.launching;
+        } catch (error) {
+          this.releaseBrowser(entry);
+          throw error;
+        }
+      }
+    }
+
+    entry.lastUsedAt = Date.now();
+    return entry;
+  }
+
+  // Make room for another browser by closing the least recently used idle one. When every
+  // browser has pages open, wait for one to go idle rather than launching past max_browsers
+  // (a browser for another proxy can't be reused, Chrome takes its proxy at launch).
+  async evictIdle() {
+    const idle = [...this.browsers.entries()]
+      .filter(([, e]) => e.browser && e.openPages === 0)
+      .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+
+    if (idle.length === 0) {
+      await new Promise(resolve => this.idleWaiters.push(resolve));
+      return;
+    }
+
+    const [key, entry] = idle[0];
+    this.browsers.delete(key);
+    await entry.browser.close().catch(() => {});
+  }
+
+  releaseBrowser(entry) {
+    entry.openPages--;
+    if (entry.openPages === 0) this.wakeIdleWaiters();
+  }
+
+  wakeIdleWaiters() {
+    this.idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  // ========== PAGES ==========
+
+  async acquireSlot() {
+    if (this.openPages < this.config.max_pages) {
+      this.openPages++;
+      return;
+    }
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) next();
+    else this.openPages--;
+  }
+
+  // Runs fn(page) in a fresh tab with images/fonts/media blocked, then closes the tab
+  async withPage(proxy, fn) {
+    await this.acquireSlot();
+    let entry = null;
+    let page = null;
+
+    try {
+      entry = await this.getBrowser(proxy);
+      page = await entry.browser.newPage();
+      page.setDefaultNavigationTimeout(this.config.navigation_timeout_ms);
+
+      const blocked = new Set(this.config.block_resources);
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (blocked.has(request.resourceType())) request.abort();
+        else request.continue();
+      });
+
+      if (proxy) {
+        const { username, password } = new URL(proxy.url);
+        if (username) {
+          await page.authenticate({ username: decodeURIComponent(username), password: decodeURIComponent(password) });
+        }
+      }
+
+      return await fn(page);
+
+    } finally {
+      if (page) await page.close().catch(() => {});
+      if (entry) this.releaseBrowser(entry);
+      this.releaseSlot();
+    }
+  }
+
+  async close() {
+    const entries = [...this.browsers.values()];
+    this.browsers.clear();
+    await Promise.all(entries.filter(e => e.browser).map(e => e.browser.close().catch(() => {})));
+  }
+
+  getStats() {
+    return {
+      browsers: this.browsers.size,
+      open_pages: this.openPages,
+      waiting: this.waiters.length,
+      waiting_for_browser: this.idleWaiters.length
+    };
+  }
+}
+
+module.exports = new BrowserPool(); // Singleton
+module.exports.BrowserPool = BrowserPool;
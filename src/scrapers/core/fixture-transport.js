@@ -0,0 +1,92 @@
+// src/scrapers/core/fixture-transport.js
+// Transports for BaseScraper.setTransport(): one records live responses to disk,
+// the other serves those recordings back so extractors run with no network.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+function getFixtureDir(platformKey) {
+  return path.join(FIXTURES_DIR, platformKey);
+}
+
+// manifest.json lists every recorded page: { url, file, kind, ...extractor arguments }.
+// Hand-written pages carry `synthetic: true` instead of `captured_at` until they are re-captured.
+function loadManifest(platformKey) {
+  const file = path.join(getFixtureDir(platformKey), 'manifest.json');
+  if (!fs.existsSync(file)) return { platform: platformKey, fixtures: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveManifest(platformKey, manifest) {
+  const dir = getFixtureDir(platformKey);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+function fileNameFor(url, data) {
+  const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 12);
+  return `${hash}.${typeof data === 'string' ? 'html' : 'json'}`;
+}
+
+// Wraps a live axios client and writes every response body next to the manifest.
+// `lastUrl` is the most recent request, for platforms that fetch an API rather than the page URL
+function createRecordingTransport(client, platformKey, manifest) {
+  const dir = getFixtureDir(platformKey);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const record = async (url, options = {}) => {
+    const res = await client.get(url, options);
+    record.lastUrl = url;
+    const file = fileNameFor(url, res.data);
+    const body = typeof res.data === 'string' ? res.data : JSON.stringify(res.data, null, 2);
+    fs.writeFileSync(path.join(dir, file), body);
+
+    const existing = manifest.fixtures.find(f => f.url === url);
+    if (existing) {
+      existing.file = file;
+      existing.status = res.status;
+      existing.captured_at = new Date().toISOString();
+      delete existing.synthetic;
+      if (!manifest.fixtures.some(f => f.synthetic)) delete manifest.note;
+    } else {
+      manifest.fixtures.push({ url, file, status: res.status, captured_at: new Date().toISOString() });
+    }
+
+    console.log(`   💾 Recorded ${file} (${body.length.toLocaleString()} bytes)`);
+    return res;
+  };
+
+  record.lastUrl = null;
+  return record;
+}
+
+// Serves recorded bodies by URL; unknown URLs fail the way a dead network would
+function createReplayTransport(platformKey, manifest) {
+  const dir = getFixtureDir(platformKey);
+
+  return async (url) => {
+    const entry = manifest.fixtures.find(f => f.url === url);
+    if (!entry) {
+      const error = new Error(`No fixture recorded for ${url}`);
+      error.code = 'ENOFIXTURE';
+      throw error;
+    }
+
+    const body = fs.readFileSync(path.join(dir, entry.file), 'utf8');
+    return {
+      status: entry.status || 200,
+      data: entry.file.endsWith('.json') ? JSON.parse(body) : body
+    };
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  getFixtureDir,
+  loadManifest,
+  saveManifest,
+  createRecordingTransport,
+  createReplayTransport
+};
@@ -0,0 +1,71 @@
+// src/scrapers/core/identity-profiles.js
+// Browser identities: the User-Agent, client hints and Accept-Language a real browser
+// sends together. Mixing a Firefox UA with Chrome's Sec-Ch-Ua is an easy bot signal,
+// so scrapers switch whole profiles rather than individual headers.
+
+const IDENTITY_PROFILES = [
+  {
+    id: 'chrome-122-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+    acceptLanguage: 'en-IN,en;q=0.9',
+    headers: {
+      'Sec-Ch-Ua': '"Chromium";v="122", "Not(A:Brand";v="24", "Google Chrome";v="122"',
+      'Sec-Ch-Ua-Mobile': '?0',
+      'Sec-Ch-Ua-Platform': '"Windows"'
+    }
+  },
+  {
+    id: 'chrome-121-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    acceptLanguage: 'en-IN,en-GB;q=0.9,en;q=0.8',
+    headers: {
+      'Sec-Ch-Ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
+      'Sec-Ch-Ua-Mobile': '?0',
+      'Sec-Ch-Ua-Platform': '"Windows"'
+    }
+  },
+  {
+    id: 'chrome-121-macos',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+    acceptLanguage: 'en-US,en;q=0.9,hi;q=0.8',
+    headers: {
+      'Sec-Ch-Ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
+      'Sec-Ch-Ua-Mobile': '?0',
+      'Sec-Ch-Ua-Platform': '"macOS"'
+    }
+  },
+  {
+    id: 'edge-122-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36 Edg/122.0.0.0',
+    acceptLanguage: 'en-IN,en;q=0.9,en-US;q=0.8',
+    headers: {
+      'Sec-Ch-Ua': '"Chromium";v="122", "Not(A:Brand";v="24", "Microsoft Edge";v="122"',
+      'Sec-Ch-Ua-Mobile': '?0',
+      'Sec-Ch-Ua-Platform': '"Windows"'
+    }
+  },
+  {
+    // Firefox and Safari don't send client hints
+    id: 'firefox-122-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:122.0) Gecko/20100101 Firefox/122.0',
+    acceptLanguage: 'en-GB,en;q=0.5',
+    headers: {}
+  },
+  {
+    id: 'safari-17-macos',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+    acceptLanguage: 'en-IN,en-GB;q=0.9,en;q=0.8',
+    headers: {}
+  }
+];
+
+// Random profile, avoiding `excludeId` (the one that just got blocked)
+function pickIdentity(excludeId = null) {
+  const candidates = IDENTITY_PROFILES.filter(p => p.id !== excludeId);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+module.exports = {
+  IDENTITY_PROFILES,
+  pickIdentity
+};
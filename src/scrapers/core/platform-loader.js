@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+const BaseScraper = require('./base-scraper');
+
+const REQUIRED_DEFINITION_FIELDS = ['name', 'baseURL', 'search.url', 'card', 'fields.product_id', 'fields.title', 'fields.current_price'];
 
 class PlatformLoader {
   constructor() {
@@ -34,6 +38,8 @@ class PlatformLoader {
         }
       });
 
+      this.loadDefinitions();
+
       console.log(`\n📦 Total platforms loaded: ${this.platforms.size}\n`);
       
       if (this.platforms.size === 0) {
@@ -45,6 +51,44 @@ class PlatformLoader {
     }
   }
 
+  // JSON/YAML store definitions run on BaseScraper's generic engine.
+  // A code class with the same name wins, so a definition can be replaced by hand-written code.
+  loadDefinitions() {
+    const definitionsDir = path.join(__dirname, '../definitions');
+    if (!fs.existsSync(definitionsDir)) return;
+
+    fs.readdirSync(definitionsDir)
+      .filter(file => /\.(json|ya?ml)$/.test(file))
+      .forEach(file => {
+        try {
+          const text = fs.readFileSync(path.join(definitionsDir, file), 'utf8');
+          const definition = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+
+          const missing = REQUIRED_DEFINITION_FIELDS.filter(field =>
+            field.split('.').reduce((obj, key) => obj?.[key], definition) === undefined
+          );
+          if (missing.length > 0) {
+            throw new Error(`missing ${missing.join(', ')}`);
+          }
+
+          const platformName = definition.name.toLowerCase();
+          if (definition.enabled === false) {
+            console.log(`⏭️  Skipped disabled definition: ${platformName}`);
+            return;
+          }
+          if (this.platforms.has(platformName)) {
+            console.log(`⏭️  Definition ${file} ignored: ${platformName} has a code class`);
+            return;
+          }
+
+          this.platforms.set(platformName, BaseScraper.forDefinition(definition));
+          console.log(`✅ Loaded platform: ${platformName} (definition)`);
+        } catch (error) {
+          console.error(`❌ Failed to load definition ${file}:`, error.message);
+        }
+      });
+  }
+
   getPlatform(platformName) {
     const PlatformClass = this.platforms.get(platformName.toLowerCase());
     if (!PlatformClass) {
@@ -0,0 +1,130 @@
+// src/scrapers/core/rate-limiter.js
+// Token bucket per domain, paced from the platform's rate_limit_ms. Blocks, 429s and 503s
+// stretch the interval multiplicatively; every clean response shrinks it back a little.
+const settings = require('../../config/settings');
+
+const DEFAULT_INTERVAL_MS = 4000;
+
+class DomainBucket {
+  constructor(domain, baseIntervalMs, config) {
+    this.domain = domain;
+    this.config = config;
+    this.platforms = new Set();
+    this.baseIntervalMs = baseIntervalMs;
+    this.intervalMs = baseIntervalMs;
+    this.tokens = config.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;         // Retry-After
+    this.queue = Promise.resolve();
+    this.stats = { requests: 0, backoffs: 0, lastBackoffAt: null, lastBackoffReason: null };
+  }
+
+  refill(now) {
+    const earned = (now - this.lastRefill) / this.intervalMs;
+    this.tokens = Math.min(this.config.burst, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  // Resolves when the caller may send its request; callers are served in order
+  acquire() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+      this.refill(now);
+
+      const pause = this.pausedUntil - now;
+      if (pause <= 0 && this.tokens >= 1) {
+        this.tokens -= 1;
+        this.stats.requests++;
+        return;
+      }
+
+      // Jitter so request spacing doesn't look machine-regular
+      const wait = Math.max(pause, (1 - this.tokens) * this.intervalMs) * (1 + Math.random() * this.config.jitter);
+      if (wait >= 1000) {
+        console.log(`⏳ [${this.domain}] Rate limit: waiting ${(wait / 1000).toFixed(1)}s`);
+      }
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+
+  // Block page, 429 or 503: slow down, and honour Retry-After when the site sends one
+  backoff(reason, retryAfterMs = null) {
+    const now = Date.now();
+    this.refill(now);
+    this.intervalMs = Math.min(this.config.max_interval_ms, Math.round(this.intervalMs * this.config.backoff_factor));
+    this.tokens = 0;
+    if (retryAfterMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + Math.min(retryAfterMs, this.config.max_interval_ms));
+    }
+
+    this.stats.backoffs++;
+    this.stats.lastBackoffAt = new Date(now).toISOString();
+    this.stats.lastBackoffReason = reason;
+    console.warn(`🐢 [${this.domain}] ${reason}: slowing to 1 request / ${(this.intervalMs / 1000).toFixed(1)}s`);
+  }
+
+  recover() {
+    if (this.intervalMs === this.baseIntervalMs) return;
+    this.refill(Date.now());
+    this.intervalMs = Math.max(this.baseIntervalMs, Math.round(this.intervalMs * this.config.recovery_factor));
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      domain: this.domain,
+      platforms: [...this.platforms],
+      interval_ms: this.intervalMs,
+      base_interval_ms: this.baseIntervalMs,
+      requests_per_minute: Math.round((60000 / this.intervalMs) * 10) / 10,
+      slowdown: Math.round((this.intervalMs / this.baseIntervalMs) * 100) / 100,
+      paused_seconds: Math.max(0, Math.round((this.pausedUntil - now) / 1000)),
+      ...this.stats
+    };
+  }
+}
+
+class RateLimiter {
+  constructor(config = settings.rate_limiter) {
+    this.config = config;
+    this.buckets = new Map(); // domain -> DomainBucket
+  }
+
+  // Platforms on the same domain share a bucket; the first one sets the base pace
+  forPlatform(platformKey, baseURL, intervalMs) {
+    const domain = new URL(baseURL).hostname.replace(/^www\./, '');
+
+    if (!this.buckets.has(domain)) {
+      this.buckets.set(domain, new DomainBucket(domain, intervalMs || DEFAULT_INTERVAL_MS, this.config));
+    }
+
+    const bucket = this.buckets.get(domain);
+    bucket.platforms.add(platformKey);
+    return bucket;
+  }
+
+  // Seconds in a Retry-After header (HTTP dates too) -> ms
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = parseInt(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getStatus(platformKey) {
+    for (const bucket of this.buckets.values()) {
+      if (bucket.platforms.has(platformKey)) return bucket.getStatus();
+    }
+    return null;
+  }
+}
+
+module.exports = new RateLimiter(); // Singleton
+module.exports.RateLimiter = RateLimiter;
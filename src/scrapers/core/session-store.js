@@ -0,0 +1,95 @@
+// src/scrapers/core/session-store.js
+// Per-platform browsing sessions: a cookie jar plus when it was last warmed up.
+// Sessions survive restarts in Redis, so a new run carries on with the cookies the
+// site handed out last time instead of arriving cookieless.
+const { CookieJar } = require('tough-cookie');
+const { cache } = require('../../config/redis');
+const settings = require('../../config/settings');
+
+class SessionStore {
+  constructor(config = settings.sessions) {
+    this.config = config;
+    this.sessions = new Map(); // platformKey -> { jar, warmedAt }
+  }
+
+  redisKey(platformKey) {
+    return `session:${platformKey}`;
+  }
+
+  // Redis is optional: offline scripts and tests keep sessions in memory only
+  get persistent() {
+    return Boolean(process.env.REDIS_URL);
+  }
+
+  async load(platformKey) {
+    if (this.sessions.has(platformKey)) return this.sessions.get(platformKey);
+
+    let session = null;
+    if (this.persistent) {
+      const saved = await cache.get(this.redisKey(platformKey));
+      if (saved) {
+        try {
+          session = { jar: CookieJar.fromJSON(saved.jar), warmedAt: saved.warmedAt };
+          console.log(`🍪 [${platformKey}] Restored session (${this.countCookies(session.jar)} cookies)`);
+        } catch (error) {
+          console.warn(`⚠️  [${platformKey}] Discarding unreadable saved session: ${error.message}`);
+        }
+      }
+    }
+
+    session = session || { jar: new CookieJar(), warmedAt: null };
+    this.sessions.set(platformKey, session);
+    return session;
+  }
+
+  async save(platformKey) {
+    const session = this.sessions.get(platformKey);
+    if (!session || !this.persistent) return;
+
+    await cache.set(this.redisKey(platformKey), {
+      jar: session.jar.toJSON(),
+      warmedAt: session.warmedAt
+    }, this.config.ttl_seconds);
+  }
+
+  // Blocked: throw the cookies away so the next request starts (and warms up) afresh
+  async reset(platformKey) {
+    this.sessions.set(platformKey, { jar: new CookieJar(), warmedAt: null });
+    if (this.persistent) await cache.del(this.redisKey(platformKey));
+    console.log(`🍪 [${platformKey}] Session reset`);
+  }
+
+  needsWarmup(session) {
+    if (!session.warmedAt) return true;
+    return Date.now() - new Date(session.warmedAt).getTime() > this.config.rewarm_after_ms;
+  }
+
+  countCookies(jar) {
+    return jar.toJSON().cookies.length;
+  }
+
+  // ========== COOKIE HEADERS ==========
+
+  async getCookieHeader(session, url) {
+    return session.jar.getCookieString(url);
+  }
+
+  // Returns true when the response changed the jar
+  async storeResponseCookies(session, url, setCookie) {
+    if (!setCookie) return false;
+
+    let stored = false;
+    for (const cookie of [].concat(setCookie)) {
+      try {
+        await session.jar.setCookie(cookie, url, { ignoreError: true });
+        stored = true;
+      } catch (error) {
+        // Malformed or cross-domain cookie; browsers drop these too
+      }
+    }
+    return stored;
+  }
+}
+
+module.exports = new SessionStore(); // Singleton
+module.exports.SessionStore = SessionStore;
@@ -0,0 +1,69 @@
+// src/scrapers/core/title-specs.js
+// Regex spec extraction from listing titles. Cheap and runs on every scraped card, but it
+// only knows phone-style attributes and can misread titles (a "65W" charger in a laptop
+// title, the first "GB" taken as storage); src/ai/spec-extractor.js can override its
+// values, and uses this to tell which stored specs came from a title.
+
+function extractSpecsFromTitle(title) {
+  const specs = {};
+
+  try {
+    // RAM
+    const ramMatch = title.match(/(\d+)\s*GB\s*RAM/i);
+    if (ramMatch) specs.ram = ramMatch[1] + 'GB';
+
+    // Storage
+    const storageMatch = title.match(/(\d+)\s*GB(?!\s*RAM)/i);
+    if (storageMatch) specs.storage = storageMatch[1] + 'GB';
+    
+    const tbMatch = title.match(/(\d+)\s*TB/i);
+    if (tbMatch) specs.storage = tbMatch[1] + 'TB';
+
+    // Display
+    const displayMatch = title.match(/(\d+\.?\d*)\s*(?:inch|")/i);
+    if (displayMatch) specs.display_size = displayMatch[1] + ' inch';
+
+    // Battery
+    const batteryMatch = title.match(/(\d+)\s*mAh/i);
+    if (batteryMatch) specs.battery = batteryMatch[1] + 'mAh';
+
+    // Connectivity
+    if (/5G/i.test(title)) specs.connectivity = '5G';
+    else if (/4G|LTE/i.test(title)) specs.connectivity = '4G';
+
+    // Camera
+    const cameraMatch = title.match(/(\d+)\s*MP/i);
+    if (cameraMatch) specs.camera = cameraMatch[1] + 'MP';
+
+    // Processor
+    const processorMatch = title.match(/(Snapdragon|MediaTek|Dimensity|Exynos|Helio|A\d+\s*Bionic)[\s\w]*/i);
+    if (processorMatch) specs.processor = processorMatch[0].trim().substring(0, 50);
+
+    // OS
+    if (/Android/i.test(title)) {
+      const androidMatch = title.match(/Android\s*(\d+)/i);
+      specs.os = androidMatch ? `Android ${androidMatch[1]}` : 'Android';
+    } else if (/iOS|iPhone/i.test(title)) {
+      specs.os = 'iOS';
+    }
+
+    // Refresh rate
+    const refreshMatch = title.match(/(\d+)\s*Hz/i);
+    if (refreshMatch) specs.refresh_rate = refreshMatch[1] + 'Hz';
+
+    // Fast charging
+    const chargingMatch = title.match(/(\d+)\s*W/i);
+    if (chargingMatch) specs.fast_charging = chargingMatch[1] + 'W';
+
+    // Color (common colors)
+    const colorMatch = title.match(/\b(Black|White|Blue|Green|Red|Gold|Silver|Purple|Pink|Grey|Gray|Orange|Yellow|Titanium|Bronze)\b/i);
+    if (colorMatch) specs.color = colorMatch[1];
+
+  } catch (error) {
+    // Ignore spec extraction errors
+  }
+
+  return specs;
+}
+
+module.exports = { extractSpecsFromTitle };
@@ -0,0 +1,198 @@
+// src/scrapers/heuristic-healer.js
+// Local, deterministic selector healing: find a field by what its content looks like
+// (₹ amounts, struck-through MRPs, "out of 5 stars" labels, a bare "4.3" in a rating badge,
+// "1,234 ratings"), turn the
+// matching elements into candidate CSS paths, and score each path across every card
+// on the page. Runs before SelectorHealer asks the LLM, and works offline.
+
+const PRICE_TEXT = /^₹\s?\d{1,3}(,\d{2,3})*(\.\d{1,2})?$|^₹\s?\d+(\.\d{1,2})?$/;
+const STRIKE_CLASS = /strike|a-text-price|mrp|original|was-price|line-through/i;
+const COUNT_TEXT = /^\(?\d{1,3}(,\d{2,3})+\)?$|^\(?\d+\)?$/;
+const RATING_CONTEXT = /rating|star/i;
+
+// Classes that are state or layout noise rather than identity
+const NOISE_CLASS = /^(a-size-|a-color-|a-spacing-|a-text-(normal|bold)|hidden|visible|active|selected|col-|row$)/;
+
+class HeuristicHealer {
+  constructor({ minScore = 0.6, maxCandidates = 3 } = {}) {
+    this.minScore = minScore;
+    this.maxCandidates = maxCandidates;
+  }
+
+  // ========== CONTENT DETECTORS ==========
+
+  ownText($, el) {
+    return $(el).clone().children().remove().end().text().replace(/\s+/g, ' ').trim();
+  }
+
+  isStruckThrough($, el) {
+    const $el = $(el);
+    const chain = [$el, ...$el.parents().toArray().slice(0, 3).map(p => $(p))];
+    return chain.some($node => {
+      const tag = ($node.prop('tagName') || '').toLowerCase();
+      return ['del', 's', 'strike'].includes(tag) ||
+        STRIKE_CLASS.test($node.attr('class') || '') ||
+        /line-through/.test($node.attr('style') || '');
+    });
+  }
+
+  // Does this element (by its own content) look like `fieldName`?
+  detect(fieldName, $, el) {
+    const $el = $(el);
+    const text = this.ownText($, el) || $el.text().replace(/\s+/g, ' ').trim();
+    const aria = $el.attr('aria-label') || '';
+
+    switch (fieldName) {
+      case 'current_price':
+        return PRICE_TEXT.test(text) && !this.isStruckThrough($, el);
+
+      case 'original_price':
+        return PRICE_TEXT.test(text) && this.isStruckThrough($, el);
+
+      case 'rating': {
+        if (/\d(\.\d)?\s*out of 5 stars/i.test(aria) || /^\d(\.\d)? out of 5 stars$/i.test(text)) return true;
+        // Bare "4.3" inside something labelled as a rating (Flipkart's badge)
+        if (!/^[1-5](\.\d)?$/.test(text)) return false;
+        return [$el, ...$el.parents().toArray().slice(0, 2).map(p => $(p))]
+          .some($node => RATING_CONTEXT.test(`${$node.attr('id') || ''} ${$node.attr('class') || ''}`));
+      }
+
+      case 'review_count': {
+        if (/[\d,]+\s*(ratings?|reviews?)/i.test(aria)) return true;
+        if (/^[\d,]+\s*(ratings?|reviews?)$/i.test(text)) return true;
+        // Bare "(12,345)" next to a ratings label
+        if (!COUNT_TEXT.test(text)) return false;
+        const context = `${$el.parent().text()} ${$el.parent().attr('aria-label') || ''}`;
+        return /ratings?|reviews?/i.test(context) || /ratings?|reviews?/i.test($el.attr('href') || '');
+      }
+
+      case 'title':
+        return ['h2', 'h3', 'a', 'span'].includes((el.tagName || '').toLowerCase()) &&
+          text.length >= 20 && text.length <= 300 && !/₹|out of 5/i.test(text) && $el.children().length <= 1;
+
+      case 'product_url':
+        return el.tagName === 'a' && /\/(dp|p)\/|\/product\//.test($el.attr('href') || '');
+
+      case 'image':
+        return el.tagName === 'img' && /^(https?:)?\/\//.test($el.attr('src') || '');
+
+      default:
+        return false;
+    }
+  }
+
+  // ========== CANDIDATE PATHS ==========
+
+  stableClasses($el) {
+    return ($el.attr('class') || '')
+      .split(/\s+/)
+      .filter(c => /^[a-zA-Z_-][\w-]*$/.test(c) && !NOISE_CLASS.test(c));
+  }
+
+  describe($el) {
+    const tag = ($el.prop('tagName') || '').toLowerCase();
+    const classes = this.stableClasses($el);
+    return { tag, classes };
+  }
+
+  // CSS paths (relative to the card) that could address this element
+  candidatePaths(fieldName, $, el) {
+    const $el = $(el);
+    const self = this.describe($el);
+    const paths = new Set();
+
+    if (self.classes.length) {
+      paths.add(`${self.tag}.${self.classes.join('.')}`);
+      for (const c of self.classes) paths.add(`${self.tag}.${c}`);
+      for (const c of self.classes) paths.add(`.${c}`);
+    }
+
+    // Anchor on the nearest ancestor with a class
+    const $parent = $el.parents().filter((i, p) => this.stableClasses($(p)).length > 0).first();
+    if ($parent.length) {
+      const parent = this.describe($parent);
+      for (const c of parent.classes.slice(0, 2)) {
+        paths.add(`.${c} ${self.tag}`);
+        if (self.classes.length) paths.add(`.${c} ${self.tag}.${self.classes[0]}`);
+      }
+    }
+
+    // No class of its own: spell out the child path from that ancestor
+    if (!self.classes.length && $parent.length) {
+      const steps = [];
+      for (let $node = $el; $node.length && !$node.is($parent); $node = $node.parent()) {
+        steps.unshift(`${this.describe($node).tag}:nth-child(${$node.index() + 1})`);
+      }
+      paths.add(`.${this.stableClasses($parent)[0]} > ${steps.join(' > ')}`);
+    }
+
+    // Content-bearing attributes are often steadier than class names
+    const aria = $el.attr('aria-label') || '';
+    if (fieldName === 'rating' && /out of 5 stars/i.test(aria)) paths.add(`${self.tag}[aria-label*="out of 5 stars"]`);
+    if (fieldName === 'review_count' && /ratings?/i.test(aria)) paths.add(`${self.tag}[aria-label*="ratings"]`);
+    if (fieldName === 'product_url') {
+      const href = $el.attr('href') || '';
+      const marker = ['/dp/', '/p/', '/product/'].find(m => href.includes(m));
+      if (marker) paths.add(`a[href*="${marker}"]`);
+    }
+    if (fieldName === 'original_price') {
+      for (const tag of ['del', 's', 'strike']) {
+        if ($el.closest(tag).length) paths.add(`${tag}${self.tag === tag ? '' : ` ${self.tag}`}`);
+      }
+    }
+
+    return [...paths];
+  }
+
+  // ========== SCORING ==========
+
+  // Share of cards where the path's first match looks like the field, with a penalty for
+  // paths that match many elements per card (ambiguous)
+  scorePath(fieldName, $, cards, path) {
+    let hits = 0;
+    let totalMatches = 0;
+
+    for (const card of cards) {
+      let $matches;
+      try {
+        $matches = $(card).find(path);
+      } catch (error) {
+        return 0;
+      }
+      totalMatches += $matches.length;
+      if ($matches.length && this.detect(fieldName, $, $matches.get(0))) hits++;
+    }
+
+    const coverage = hits / cards.length;
+    const ambiguity = totalMatches / Math.max(1, hits);
+    return coverage - (ambiguity > 1 ? Math.min(0.2, (ambiguity - 1) * 0.05) : 0);
+  }
+
+  // Ranked selectors for `fieldName`, or [] when nothing on the page looks right
+  propose(fieldName, $, cards) {
+    const candidates = new Set();
+
+    for (const card of cards) {
+      $(card).find('*').each((i, el) => {
+        if (this.detect(fieldName, $, el)) {
+          this.candidatePaths(fieldName, $, el).forEach(p => candidates.add(p));
+        }
+      });
+    }
+
+    const scored = [...candidates]
+      .map(path => ({ selector: path, score: Math.round(this.scorePath(fieldName, $, cards, path) * 100) / 100 }))
+      .filter(c => c.score >= this.minScore)
+      .sort((a, b) => b.score - a.score || a.selector.length - b.selector.length)
+      .slice(0, this.maxCandidates);
+
+    return {
+      selectors: scored.map(c => c.selector),
+      explanation: scored.length
+        ? `Content heuristics over ${cards.length} cards: ${scored.map(c => `${c.selector} (${c.score})`).join(', ')}`
+        : null
+    };
+  }
+}
+
+module.exports = HeuristicHealer;
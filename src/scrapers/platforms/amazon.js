@@ -1,23 +1,23 @@
 // src/scrapers/platforms/amazon.js
 const BaseScraper = require('../core/base-scraper');
-const Product = require('../../models/Products');
-const cheerio = require('cheerio');
 
 class AmazonScraper extends BaseScraper {
-  constructor() {
+  constructor(options = {}) {
     super({
       platformName: 'Amazon',
-      baseURL: 'https://www.amazon.in'
+      baseURL: 'https://www.amazon.in',
+      ...options
     });
   }
 
-  getSearchURL(category, page) {
-    return `${this.baseURL}/s?k=${category}&page=${page}`;
+  getSearchURL(searchTerm, page) {
+    // Settings use "+" as the word separator
+    return `${this.baseURL}/s?k=${encodeURIComponent(searchTerm.replace(/\+/g, ' '))}&page=${page}`;
   }
 
   // ========== ENHANCED EXTRACTION (FROM YOUR OLD CODE) ==========
 
-  async extractProductData($, el) {
+  async extractProductData($, el, category = {}) {
     try {
       const $product = $(el);
       const asin = $product.attr('data-asin');
@@ -137,8 +137,8 @@ class AmazonScraper extends BaseScraper {
         product_id: asin,
         title: title,
         brand: brand,
-        category: 'Smartphones',
-        subcategory: 'Mobile Phones',
+        category: category.name || 'Smartphones',
+        subcategory: category.subcategory || null,
         image_url: imageUrl,
         product_url: productUrl,
         current_price: currentPrice,
@@ -158,131 +158,134 @@ class AmazonScraper extends BaseScraper {
     }
   }
 
-  // ========== SCRAPING PAGES ==========
+  // ========== DETAIL PAGE ==========
 
-  async scrapePage(page, attempt = 1) {
-    const maxAttempts = 3;
-    const url = this.getSearchURL('smartphones', page);
-    
-    console.log(`\n📄 [${this.platformName}] Page ${page} (attempt ${attempt}/${maxAttempts})`);
-    
-    try {
-      const res = await this.client.get(url, { headers: this.getHeaders() });
-
-      if (!res.data || this.isBlocked(res.data)) {
-        throw new Error('BLOCKED');
-      }
-
-      const $ = cheerio.load(res.data);
-      const products = [];
-      const productCards = $('[data-component-type="s-search-result"]');
-
-      console.log(`   Found ${productCards.length} product cards`);
-
-      for (let i = 0; i < productCards.length; i++) {
-        const p = await this.extractProductData($, productCards[i]);
-        if (p) products.push(p);
-      }
-
-      console.log(`✅ [${this.platformName}] Page ${page}: ${products.length} valid products`);
-      
-      if (products.length > 0) {
-        const withRating = products.filter(p => p.rating).length;
-        const withReviews = products.filter(p => p.review_count > 0).length;
-        const withSpecs = products.filter(p => Object.keys(p.specifications).length >= 3).length;
-        const avgQuality = Math.round(products.reduce((sum, p) => sum + p.quality_score, 0) / products.length);
-
-        console.log(`   📊 Quality: ${withRating}/${products.length} rated, ${withReviews}/${products.length} reviewed, ${withSpecs}/${products.length} specs, avg ${avgQuality}/100`);
-      }
-
-      return products;
-
-    } catch (error) {
-      console.error(`❌ [${this.platformName}] Page ${page} error: ${error.message}`);
-
-      if (attempt < maxAttempts) {
-        const waitTime = attempt * 5000;
-        console.log(`🔄 Retrying in ${waitTime / 1000}s...`);
-        await new Promise(r => setTimeout(r, waitTime));
-        return this.scrapePage(page, attempt + 1);
-      }
-
-      return [];
+  async extractProductDetail($, asin) {
+    const title = $('#productTitle').first().text().trim() || null;
+    if (!title) {
+      console.warn(`⚠️  No product title on detail page for ASIN ${asin}`);
+      return null;
     }
-  }
 
-  // ========== MAIN SCRAPE METHOD ==========
-
-  async scrape({ maxProducts = 20 } = {}) {
-    console.log(`\n🚀 [${this.platformName}] Starting scraper (target: ${maxProducts})`);
-
-    const platformId = await Product.getPlatformId(this.platformName);
-    if (!platformId) throw new Error('Platform not found in database');
-
-    let page = 1;
-    let allProducts = [];
-
-    while (allProducts.length < maxProducts && page <= 10) {
-      const pageProducts = await this.scrapePage(page);
-      if (pageProducts.length === 0) break;
-
-      allProducts.push(...pageProducts);
-      
-      if (allProducts.length >= maxProducts) {
-        allProducts = allProducts.slice(0, maxProducts);
-        break;
+    // PRICES (current layout first, then the older price blocks)
+    const priceBlock = $('#corePriceDisplay_desktop_feature_div, #corePrice_feature_div, #apex_desktop').first();
+    const currentPrice = this.parsePrice(
+      priceBlock.find('.priceToPay .a-offscreen, .a-price:not(.a-text-price) .a-offscreen').first().text() ||
+      $('#priceblock_dealprice, #priceblock_ourprice').first().text()
+    );
+    const originalPrice = this.parsePrice(
+      priceBlock.find('.basisPrice .a-offscreen, .a-text-price .a-offscreen').first().text() ||
+      $('#listPrice, .priceBlockStrikePriceString').first().text()
+    ) || currentPrice;
+
+    // RATING & REVIEWS
+    const ratingText = $('#acrPopover').attr('title') || $('[data-hook="rating-out-of-text"]').first().text();
+    const ratingMatch = (ratingText || '').match(/(\d+\.?\d*)\s*out of/i);
+    const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+
+    const reviewText = $('#acrCustomerReviewText').first().text() ||
+      $('[data-hook="total-review-count"]').first().text();
+    const reviewMatch = (reviewText || '').match(/([\d,]+)/);
+    const reviewCount = reviewMatch ? parseInt(reviewMatch[1].replace(/,/g, '')) : 0;
+
+    // RATING HISTOGRAM (percent of ratings per star)
+    let ratingBreakdown = null;
+    $('#histogramTable [aria-label], #histogramTable a[title]').each((i, el) => {
+      const label = $(el).attr('aria-label') || $(el).attr('title') || '';
+      const match = label.match(/(\d+)\s*percent of reviews have (\d) stars?/i);
+      if (match) {
+        ratingBreakdown = ratingBreakdown || {};
+        ratingBreakdown[match[2]] = parseInt(match[1]);
       }
-
-      page++;
-      await this.delay(4000, 7000);
+    });
+    if (!ratingBreakdown) {
+      $('#histogramTable tr, #histogramTable li').each((i, el) => {
+        const match = $(el).text().replace(/\s+/g, ' ').match(/(\d)\s*star\D*(\d+)%/i);
+        if (match) {
+          ratingBreakdown = ratingBreakdown || {};
+          ratingBreakdown[match[1]] = parseInt(match[2]);
+        }
+      });
     }
 
-    if (allProducts.length === 0) {
-      throw new Error(`[${this.platformName}] No products scraped`);
-    }
+    // SPECIFICATIONS (tech spec tables, overview table, detail bullets)
+    const specifications = {};
+    $('#productDetails_techSpec_section_1 tr, #productDetails_techSpec_section_2 tr, #productDetails_detailBullets_sections1 tr, #tech table tr, #productOverview_feature_div tr')
+      .each((i, row) => {
+        const cells = $(row).find('th, td');
+        if (cells.length !== 2) return;
+        const label = $(cells[0]).text().trim();
+        const value = $(cells[1]).text().trim();
+        if (label && value && label.length < 60) specifications[label] = value;
+      });
+    $('#detailBullets_feature_div li .a-list-item').each((i, el) => {
+      const spans = $(el).children('span');
+      if (spans.length < 2) return;
+      const label = $(spans[0]).text().replace(/[:\s‎‏]+$/g, '').trim();
+      const value = $(spans[1]).text().trim();
+      if (label && value && label.length < 60) specifications[label] = value;
+    });
 
-    console.log(`\n💾 [${this.platformName}] Saving ${allProducts.length} products...\n`);
-
-    const stats = { scraped: 0, new: 0, updated: 0, withRating: 0, withReviews: 0, withSpecs: 0, avgQuality: 0 };
-
-    for (const product of allProducts) {
-      try {
-        product.platform_id = platformId;
-        const result = await Product.upsert(product);
-        
-        stats.scraped++;
-        if (result.isNew) stats.new++;
-        else stats.updated++;
-        
-        if (product.rating) stats.withRating++;
-        if (product.review_count > 0) stats.withReviews++;
-        if (Object.keys(product.specifications).length >= 3) stats.withSpecs++;
-        stats.avgQuality += product.quality_score;
-
-        console.log(`${result.isNew ? '➕ NEW' : '🔄 UPDATE'}: ${product.title.substring(0, 60)}...`);
-        console.log(`   💰 ₹${product.current_price.toLocaleString()} (${product.discount_percent}% off) | ⭐ ${product.rating || 'N/A'} (${product.review_count.toLocaleString()} reviews)`);
-        console.log(`   📋 ${Object.keys(product.specifications).length} specs | 📊 Quality: ${product.quality_score}/100\n`);
-
-        await Product.addPriceHistory(result.id, {
-          current_price: product.current_price,
-          original_price: product.original_price,
-          discount_percent: product.discount_percent,
-          is_available: product.is_available
-        });
-
-      } catch (error) {
-        console.error(`❌ Error saving product: ${error.message}`);
-      }
-    }
+    // HIGHLIGHTS ("About this item" bullets; input for AI spec extraction)
+    const highlights = $('#feature-bullets li span.a-list-item')
+      .map((i, el) => $(el).text().replace(/\s+/g, ' ').trim())
+      .get()
+      .filter(text => text && text.length < 500)
+      .slice(0, 10);
+
+    // BRAND ("Visit the Samsung Store" / "Brand: Samsung")
+    const byline = $('#bylineInfo').first().text().trim();
+    const brandMatch = byline.match(/^Visit the (.+?) Store$/i) || byline.match(/^Brand:\s*(.+)$/i);
+    const brand = brandMatch ? brandMatch[1].trim() : (specifications['Brand'] || specifications['Manufacturer'] || null);
+
+    // SELLER
+    const seller = $('#sellerProfileTriggerId').first().text().trim() ||
+      $('#merchantInfoFeature_feature_div .offer-display-feature-text-message').first().text().trim() ||
+      $('#merchant-info a').first().text().trim() ||
+      null;
+
+    // DELIVERY ESTIMATE
+    const $delivery = $('#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE [data-csa-c-delivery-time], #deliveryBlockMessage [data-csa-c-delivery-time]').first();
+    const deliveryEstimate = $delivery.attr('data-csa-c-delivery-time') ||
+      $('#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE, #deliveryBlockMessage').first().text().replace(/\s+/g, ' ').trim() ||
+      null;
+
+    // BANK & OTHER OFFERS
+    const offers = [];
+    $('[id^="itembox-"], .offers-items').each((i, el) => {
+      const type = $(el).find('.offers-items-title, h6').first().text().trim();
+      const description = ($(el).find('.a-truncate-full').first().text() ||
+        $(el).find('.offers-items-content').first().text()).replace(/\s+/g, ' ').trim();
+      if (description) offers.push({ type: type || 'Offer', description });
+    });
 
-    stats.avgQuality = Math.round(stats.avgQuality / stats.scraped);
+    // STOCK
+    const availabilityText = $('#availability').first().text().replace(/\s+/g, ' ').trim();
+    const stockStatus = this.stockStatusFromText(availabilityText) ||
+      ($('#add-to-cart-button, #buy-now-button').length ? 'in_stock' : null);
+
+    return {
+      title,
+      current_price: currentPrice,
+      original_price: originalPrice,
+      rating: (rating >= 0 && rating <= 5) ? rating : null,
+      review_count: reviewCount,
+      rating_breakdown: ratingBreakdown,
+      specifications,
+      highlights,
+      brand,
+      seller,
+      delivery_estimate: deliveryEstimate,
+      offers,
+      stock_status: stockStatus,
+      is_available: stockStatus ? stockStatus !== 'out_of_stock' : null
+    };
+  }
 
-    console.log(`\n✅ [${this.platformName}] Results:`);
-    console.log(`   Saved: ${stats.scraped} (${stats.new} new, ${stats.updated} updated)`);
-    console.log(`   Quality: ${stats.withRating}/${stats.scraped} rated, ${stats.withReviews}/${stats.scraped} reviewed`);
-    console.log(`   Avg score: ${stats.avgQuality}/100`);
+  // ========== SEARCH RESULTS ==========
 
-    return stats;
+  getProductCards($) {
+    return $('[data-component-type="s-search-result"]').toArray();
   }
 }
 
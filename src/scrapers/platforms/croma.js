@@ -0,0 +1,177 @@
+// src/scrapers/platforms/croma.js
+const BaseScraper = require('../core/base-scraper');
+
+// Croma's storefront is rendered from this search API, so we read the JSON directly
+const API_URL = 'https://api.croma.com/searchservices/v1/search';
+
+const STOCK_STATUS = {
+  inStock: 'in_stock',
+  lowStock: 'low_stock',
+  outOfStock: 'out_of_stock'
+};
+
+class CromaScraper extends BaseScraper {
+  constructor(options = {}) {
+    super({
+      platformName: 'Croma',
+      baseURL: 'https://www.croma.com',
+      ...options
+    });
+  }
+
+  getSearchURL(searchTerm, page) {
+    // Settings use "+" as the word separator; the API pages from 0
+    const query = encodeURIComponent(`${searchTerm.replace(/\+/g, ' ')}:relevance`);
+    return `${API_URL}?currentPage=${page - 1}&query=${query}&fields=FULL&channel=WEB&channelCode=400049&spellOpt=DEFAULT`;
+  }
+
+  getHeaders() {
+    return {
+      ...this.getIdentityHeaders(),
+      'Accept': 'application/json, text/plain, */*',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Origin': this.baseURL,
+      'Referer': `${this.baseURL}/`,
+      'Sec-Fetch-Site': 'same-site',
+      'Sec-Fetch-Mode': 'cors'
+    };
+  }
+
+  // A blocked API call comes back as an HTML challenge page instead of JSON
+  isBlocked(data) {
+    return !data || typeof data !== 'object';
+  }
+
+  // ========== FIELD HELPERS ==========
+
+  getPrice(value) {
+    if (value === undefined || value === null) return null;
+    const price = parseFloat(typeof value === 'object' ? value.value : value);
+    return (price > 0 && price < 10000000) ? price : null;
+  }
+
+  // Classification features ("RAM" -> "8 GB"), as listed under Specifications on the product page
+  getClassificationSpecs(item) {
+    const specs = {};
+    for (const classification of item.classifications || []) {
+      for (const feature of classification.features || []) {
+        const value = (feature.featureValues || []).map(v => v.value).filter(Boolean).join(', ');
+        if (feature.name && value) specs[feature.name] = value;
+      }
+    }
+    return specs;
+  }
+
+  // ========== EXTRACT PRODUCT DATA (from the API's products[]) ==========
+
+  // `item` is a product object from the JSON response, not a DOM node; `$` is unused
+  async extractProductData($, item, category = {}) {
+    try {
+      if (!item || !item.code) return null;
+
+      const title = (item.name || '').trim();
+      if (!title) return null;
+
+      // === PRICES ===
+      const currentPrice = this.getPrice(item.price);
+      if (!currentPrice) return null;
+
+      let originalPrice = this.getPrice(item.mrp) || currentPrice;
+      if (originalPrice < currentPrice) originalPrice = currentPrice;
+
+      let discountPercent = 0;
+      if (originalPrice > currentPrice) {
+        discountPercent = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
+      }
+
+      // === RATING & REVIEWS ===
+      const ratingValue = parseFloat(item.averageRating);
+      const rating = (ratingValue > 0 && ratingValue <= 5) ? Math.round(ratingValue * 10) / 10 : null;
+      const reviewCount = parseInt(item.numberOfReviews ?? item.finalReviewRatingCount) || 0;
+
+      // === STOCK ===
+      const stockStatus = STOCK_STATUS[item.stock?.stockLevelStatus] || 'in_stock';
+
+      // === BRAND ===
+      let brand = item.manufacturer || item.brandName || null;
+      if (!brand) {
+        const brandMatch = title.match(/^([A-Za-z0-9]+)/);
+        brand = brandMatch ? brandMatch[1] : 'Unknown';
+      }
+
+      // === SPECIFICATIONS (API features override title guesses) ===
+      const specifications = {
+        ...this.extractSpecsFromTitle(title),
+        ...this.normalizeSpecifications(this.getClassificationSpecs(item))
+      };
+
+      // === BUILD PRODUCT ===
+      return this.validateProduct({
+        product_id: String(item.code),
+        title,
+        brand,
+        category: category.name || 'Smartphones',
+        subcategory: category.subcategory || null,
+        image_url: item.plpImage || item.images?.[0]?.url || null,
+        product_url: item.url ? `${this.baseURL}${item.url}` : `${this.baseURL}/p/${item.code}`,
+        current_price: currentPrice,
+        original_price: originalPrice,
+        discount_percent: discountPercent,
+        is_available: stockStatus !== 'out_of_stock',
+        rating,
+        review_count: reviewCount,
+        specifications
+      });
+
+    } catch (error) {
+      console.error('❌ Error extracting product:', error.message);
+      return null;
+    }
+  }
+
+  // ========== PRODUCT DETAIL ==========
+
+  // Searching the API for a product code returns that product with the same fields as
+  // the product page, so refreshes use it instead of the HTML page
+  async scrapeProductDetail(url, productId, attempt = 1) {
+    return super.scrapeProductDetail(this.getSearchURL(String(productId), 1), productId, attempt);
+  }
+
+  async extractProductDetail(data, productId) {
+    const item = (data.products || []).find(p => String(p.code) === String(productId));
+    if (!item) {
+      console.warn(`⚠️  Product ${productId} not returned by the Croma API`);
+      return null;
+    }
+
+    const ratingValue = parseFloat(item.averageRating);
+    const stockStatus = STOCK_STATUS[item.stock?.stockLevelStatus] || null;
+
+    return {
+      title: item.name || null,
+      current_price: this.getPrice(item.price),
+      original_price: this.getPrice(item.mrp) || this.getPrice(item.price),
+      rating: (ratingValue > 0 && ratingValue <= 5) ? Math.round(ratingValue * 10) / 10 : null,
+      review_count: parseInt(item.numberOfReviews ?? item.finalReviewRatingCount) || 0,
+      rating_breakdown: null,
+      specifications: this.getClassificationSpecs(item),
+      brand: item.manufacturer || item.brandName || null,
+      seller: 'Croma',
+      delivery_estimate: null, // Pincode-specific
+      offers: (item.potentialPromotions || []).map(p => ({
+        type: p.promotionType || 'Offer',
+        description: p.description || p.title
+      })).filter(o => o.description),
+      stock_status: stockStatus,
+      is_available: stockStatus ? stockStatus !== 'out_of_stock' : null
+    };
+  }
+
+  // ========== SEARCH RESULTS ==========
+
+  getProductCards(data) {
+    return data.products || [];
+  }
+}
+
+module.exports = CromaScraper;
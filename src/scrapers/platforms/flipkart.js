@@ -1,30 +1,28 @@
 // src/scrapers/platforms/flipkart.js
 const BaseScraper = require('../core/base-scraper');
-const Product = require('../../models/Products');
-const cheerio = require('cheerio');
 
 class FlipkartScraper extends BaseScraper {
-  constructor() {
+  constructor(options = {}) {
     super({
       platformName: 'Flipkart',
-      baseURL: 'https://www.flipkart.com'
+      baseURL: 'https://www.flipkart.com',
+      // Flipkart intermittently serves an empty grid; give each category a second chance
+      maxEmptyPages: 2,
+      ...options
     });
   }
 
-  getSearchURL(category, page) {
-    return `${this.baseURL}/search?q=${encodeURIComponent(category)}&page=${page}`;
+  getSearchURL(searchTerm, page) {
+    // Settings use "+" as the word separator
+    return `${this.baseURL}/search?q=${encodeURIComponent(searchTerm.replace(/\+/g, ' '))}&page=${page}`;
   }
 
   getHeaders() {
     return {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      ...this.getIdentityHeaders(),
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-IN,en;q=0.9',
       'Accept-Encoding': 'gzip, deflate, br',
       'Cache-Control': 'max-age=0',
-      'Sec-Ch-Ua': '"Chromium";v="122", "Google Chrome";v="122"',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'Sec-Ch-Ua-Platform': '"Windows"',
       'Sec-Fetch-Dest': 'document',
       'Sec-Fetch-Mode': 'navigate',
       'Sec-Fetch-Site': 'none',
@@ -40,7 +38,7 @@ class FlipkartScraper extends BaseScraper {
   }
 
   // ========== EXTRACT PRODUCT DATA (Using Analyzed Classes) ==========
-  async extractProductData($, el) {
+  async extractProductData($, el, category = {}) {
     try {
       const $card = $(el);
 
@@ -208,8 +206,8 @@ class FlipkartScraper extends BaseScraper {
         product_id: productId,
         title,
         brand,
-        category: 'Smartphones',
-        subcategory: 'Mobile Phones',
+        category: category.name || 'Smartphones',
+        subcategory: category.subcategory || null,
         image_url: imageUrl,
         product_url: productUrl,
         current_price: currentPrice,
@@ -226,165 +224,114 @@ class FlipkartScraper extends BaseScraper {
     }
   }
 
-  // ========== SCRAPE PAGE ==========
-  async scrapePage(page, attempt = 1) {
-    const maxAttempts = 3;
-    const url = this.getSearchURL('smartphones', page);
-    
-    console.log(`\n📄 [${this.platformName}] Page ${page} (attempt ${attempt}/${maxAttempts})`);
-    
-    try {
-      const res = await this.client.get(url, { headers: this.getHeaders() });
-
-      if (this.isBlocked(res.data)) {
-        throw new Error('BLOCKED');
-      }
-
-      console.log(`   📦 Response: ${res.data.length.toLocaleString()} bytes`);
-
-      const $ = cheerio.load(res.data);
-      
-      // Find product cards using data-id attribute
-      const cards = $('div[data-id]').filter((i, el) => {
-        const $el = $(el);
-        // Must have a product link
-        return $el.find('a[href*="/p/"]').length > 0;
-      });
-
-      console.log(`   🔍 Found ${cards.length} product cards`);
-
-      if (cards.length === 0) {
-        console.log('   ⚠️ No product cards found');
-        return [];
-      }
-
-      const products = [];
-      const seenIds = new Set();
-
-      for (let i = 0; i < cards.length; i++) {
-        const p = await this.extractProductData($, cards[i]);
-        if (p && !seenIds.has(p.product_id)) {
-          seenIds.add(p.product_id);
-          products.push(p);
-        }
-      }
-
-      console.log(`✅ [${this.platformName}] Page ${page}: ${products.length} valid products`);
-      
-      if (products.length > 0) {
-        const withRating = products.filter(p => p.rating).length;
-        const withReviews = products.filter(p => p.review_count > 0).length;
-        const withSpecs = products.filter(p => Object.keys(p.specifications).length >= 3).length;
-        const avgQuality = Math.round(products.reduce((sum, p) => sum + p.quality_score, 0) / products.length);
-
-        console.log(`   📊 Quality: ${withRating}/${products.length} rated, ${withReviews}/${products.length} reviewed, ${withSpecs}/${products.length} specs, avg ${avgQuality}/100`);
-        
-        // Show sample
-        const sample = products[0];
-        console.log(`   📱 Sample: ${sample.title.substring(0, 45)}... @ ₹${sample.current_price.toLocaleString()}`);
-      }
-
-      return products;
-
-    } catch (error) {
-      console.error(`❌ [${this.platformName}] Page ${page} error: ${error.message}`);
-
-      if (attempt < maxAttempts) {
-        const waitTime = attempt * 5000;
-        console.log(`🔄 Retrying in ${waitTime / 1000}s...`);
-        await new Promise(r => setTimeout(r, waitTime));
-        return this.scrapePage(page, attempt + 1);
+  // ========== EXTRACT PRODUCT DETAIL (product page) ==========
+  // Flipkart rotates its hashed class names, so each field tries current and older classes
+  // before falling back to the page text.
+  async extractProductDetail($, productId) {
+    const firstText = (selectors) => {
+      for (const sel of selectors) {
+        const text = $(sel).first().text().trim();
+        if (text) return text;
       }
+      return null;
+    };
 
-      return [];
+    // === TITLE ===
+    const title = firstText(['h1 span.VU-ZEz', 'span.B_NuCI', 'h1 span', 'h1']);
+    if (!title) {
+      console.warn(`⚠️  No product title on detail page for ${productId}`);
+      return null;
     }
-  }
 
-  // ========== MAIN SCRAPE METHOD ==========
-  async scrape({ maxProducts = 20 } = {}) {
-    console.log(`\n🚀 [${this.platformName}] Starting scraper (target: ${maxProducts})`);
+    const pageText = $('body').text().replace(/\s+/g, ' ');
 
-    const platformId = await Product.getPlatformId(this.platformName);
-    if (!platformId) {
-      console.error('❌ Flipkart not found in platforms table');
-      return { scraped: 0, new: 0, updated: 0 };
-    }
+    // === PRICES ===
+    const currentPrice = this.parsePrice(firstText(['div.Nx9bqj.CxhGGd', 'div._30jeq3._16Jk6d', 'div.Nx9bqj']));
+    const originalPrice = this.parsePrice(firstText(['div.yRaY8j.A6\\+E6v', 'div._3I9_wc._2p6lqe', 'div.yRaY8j'])) || currentPrice;
 
-    let page = 1;
-    let allProducts = [];
-    let emptyPages = 0;
+    // === RATING & REVIEWS ===
+    // "4.4" + "12,345 Ratings & 1,234 Reviews"
+    const ratingValue = parseFloat(firstText(['div.XQDdHH', 'div._3LWZlK']));
+    const rating = (ratingValue >= 0 && ratingValue <= 5) ? ratingValue : null;
 
-    while (allProducts.length < maxProducts && page <= 10 && emptyPages < 2) {
-      const pageProducts = await this.scrapePage(page);
-      
-      if (pageProducts.length === 0) {
-        emptyPages++;
-      } else {
-        emptyPages = 0;
-        
-        // Deduplicate
-        for (const p of pageProducts) {
-          if (!allProducts.some(x => x.product_id === p.product_id)) {
-            allProducts.push(p);
-          }
-        }
-      }
-      
-      if (allProducts.length >= maxProducts) {
-        allProducts = allProducts.slice(0, maxProducts);
+    const countsText = firstText(['span.Wphh3N', 'span._2_R_DZ']) || pageText;
+    const ratingsMatch = countsText.match(/([\d,]+)\s*Ratings?/i);
+    const reviewCount = ratingsMatch ? parseInt(ratingsMatch[1].replace(/,/g, '')) : 0;
+
+    // === RATING HISTOGRAM (count per star, listed 5★ to 1★) ===
+    let ratingBreakdown = null;
+    for (const sel of ['div.BArk-j', 'div._1uJVNT']) {
+      const counts = $(sel).map((i, el) => parseInt($(el).text().replace(/,/g, ''))).get()
+        .filter(n => !isNaN(n));
+      if (counts.length >= 5) {
+        ratingBreakdown = { 5: counts[0], 4: counts[1], 3: counts[2], 2: counts[3], 1: counts[4] };
         break;
       }
-
-      page++;
-      await this.delay(4000, 7000);
     }
 
-    if (allProducts.length === 0) {
-      console.warn('⚠️ [Flipkart] No products scraped');
-      return { scraped: 0, new: 0, updated: 0 };
-    }
-
-    console.log(`\n💾 [${this.platformName}] Saving ${allProducts.length} products...\n`);
+    // === SPECIFICATIONS (two-cell rows in the spec tables) ===
+    const specifications = {};
+    $('table tr').each((i, row) => {
+      const cells = $(row).children('td');
+      if (cells.length !== 2) return;
+      const label = $(cells[0]).text().trim();
+      const value = $(cells[1]).find('li').length
+        ? $(cells[1]).find('li').map((j, li) => $(li).text().trim()).get().join(', ')
+        : $(cells[1]).text().trim();
+      if (label && value && label.length < 60) specifications[label] = value;
+    });
 
-    const stats = { scraped: 0, new: 0, updated: 0, withRating: 0, withReviews: 0, avgQuality: 0 };
+    // === BRAND ===
+    const brand = specifications['Brand'] || null;
+
+    // === SELLER ===
+    const seller = firstText(['#sellerName span span', '#sellerName span', '#sellerName']);
+
+    // === DELIVERY ===
+    const deliveryMatch = pageText.match(/Delivery by\s*([^|]+?\d{1,2}\s+[A-Z][a-z]{2}(?:,\s*[A-Z][a-z]+)?)/);
+    const deliveryEstimate = firstText(['span.Y8v7Fl', 'div._3XINqE']) ||
+      (deliveryMatch ? deliveryMatch[1].trim() : null);
+
+    // === OFFERS ===
+    const offers = [];
+    $('li.kF1Ml8, li._16eBzU').each((i, el) => {
+      const text = $(el).text().replace(/\s+/g, ' ').replace(/\s*T&C$/, '').trim();
+      const typeMatch = text.match(/^(Bank Offer|Special Price|Partner Offer|Combo Offer|No Cost EMI)/i);
+      offers.push({
+        type: typeMatch ? typeMatch[1] : 'Offer',
+        description: typeMatch ? text.substring(typeMatch[1].length).trim() : text
+      });
+    });
 
-    for (const product of allProducts) {
-      try {
-        product.platform_id = platformId;
-        const result = await Product.upsert(product);
-        
-        stats.scraped++;
-        if (result.isNew) stats.new++;
-        else stats.updated++;
-        
-        if (product.rating) stats.withRating++;
-        if (product.review_count > 0) stats.withReviews++;
-        stats.avgQuality += product.quality_score;
-
-        console.log(`${result.isNew ? '➕ NEW' : '🔄 UPDATE'}: ${product.title.substring(0, 60)}...`);
-        console.log(`   💰 ₹${product.current_price.toLocaleString()} (${product.discount_percent}% off) | ⭐ ${product.rating || 'N/A'} (${product.review_count.toLocaleString()} reviews)`);
-        console.log(`   📋 ${Object.keys(product.specifications).length} specs | 📊 Quality: ${product.quality_score}/100\n`);
-
-        await Product.addPriceHistory(result.id, {
-          current_price: product.current_price,
-          original_price: product.original_price,
-          discount_percent: product.discount_percent,
-          is_available: product.is_available
-        });
-
-      } catch (error) {
-        console.error(`❌ Error saving product: ${error.message}`);
-      }
-    }
+    // === STOCK ===
+    const stockText = firstText(['div.Z8JjpR', 'div._16FRp0', 'div.nbiUlm']) || '';
+    const lowStock = pageText.match(/Hurry,?\s*Only \d+ left/i);
+    let stockStatus = this.stockStatusFromText(stockText);
+    if (!stockStatus && lowStock) stockStatus = 'low_stock';
+    if (!stockStatus && currentPrice) stockStatus = 'in_stock';
 
-    stats.avgQuality = Math.round(stats.avgQuality / (stats.scraped || 1));
+    return {
+      title,
+      current_price: currentPrice,
+      original_price: originalPrice,
+      rating,
+      review_count: reviewCount,
+      rating_breakdown: ratingBreakdown,
+      specifications,
+      brand,
+      seller,
+      delivery_estimate: deliveryEstimate,
+      offers,
+      stock_status: stockStatus,
+      is_available: stockStatus ? stockStatus !== 'out_of_stock' : null
+    };
+  }
 
-    console.log(`\n✅ [${this.platformName}] Results:`);
-    console.log(`   Saved: ${stats.scraped} (${stats.new} new, ${stats.updated} updated)`);
-    console.log(`   Quality: ${stats.withRating}/${stats.scraped} rated, ${stats.withReviews}/${stats.scraped} reviewed`);
-    console.log(`   Avg score: ${stats.avgQuality}/100`);
+  // ========== SEARCH RESULTS ==========
 
-    return stats;
+  // Product cards carry data-id; ads and widgets share the attribute but have no product link
+  getProductCards($) {
+    return $('div[data-id]').filter((i, el) => $(el).find('a[href*="/p/"]').length > 0).toArray();
   }
 }
 
@@ -0,0 +1,186 @@
+// src/scrapers/platforms/myntra.js
+const BaseScraper = require('../core/base-scraper');
+
+// Myntra renders client-side, but every page ships its data as `window.__myx = {...}`,
+// so we read that state instead of the (empty) DOM.
+const STATE_PATTERN = /window\.__myx\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/;
+
+class MyntraScraper extends BaseScraper {
+  constructor(options = {}) {
+    super({
+      platformName: 'Myntra',
+      baseURL: 'https://www.myntra.com',
+      ...options
+    });
+  }
+
+  getSearchURL(searchTerm, page) {
+    // Myntra search terms are listing slugs ("men-clothing")
+    return `${this.baseURL}/${encodeURIComponent(searchTerm.replace(/\+/g, '-'))}?p=${page}`;
+  }
+
+  isBlocked(html) {
+    if (!html || typeof html !== 'string') return true;
+    return !STATE_PATTERN.test(html) || html.includes('Access Denied');
+  }
+
+  // ========== PAGE STATE ==========
+
+  extractState(html) {
+    const match = html.match(STATE_PATTERN);
+    if (!match) return null;
+
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      console.error(`❌ [${this.platformName}] Could not parse page state: ${error.message}`);
+      return null;
+    }
+  }
+
+  // "(40% OFF)" -> 40
+  parseDiscountLabel(label) {
+    const match = (label || '').match(/(\d+)%/);
+    return match ? parseInt(match[1]) : 0;
+  }
+
+  // ========== EXTRACT PRODUCT DATA (from searchData.results.products) ==========
+
+  // `item` is a product object from the page state, not a DOM node; `state` is unused
+  async extractProductData(state, item, category = {}) {
+    try {
+      if (!item || !item.productId) return null;
+
+      const title = (item.productName || item.product || '').trim();
+      if (!title) return null;
+
+      // === PRICES ===
+      const currentPrice = parseFloat(item.price);
+      if (!currentPrice || isNaN(currentPrice)) return null;
+
+      let originalPrice = parseFloat(item.mrp) || currentPrice;
+      if (originalPrice < currentPrice) originalPrice = currentPrice;
+
+      let discountPercent = 0;
+      if (originalPrice > currentPrice) {
+        discountPercent = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
+      } else {
+        discountPercent = this.parseDiscountLabel(item.discountDisplayLabel);
+      }
+
+      // === RATING (0 means "no ratings yet") ===
+      const rating = item.rating ? Math.round(parseFloat(item.rating) * 10) / 10 : null;
+      const reviewCount = parseInt(item.ratingCount) || 0;
+
+      // === SIZES & STOCK ===
+      const sizes = (item.sizes || '').split(',').map(s => s.trim()).filter(Boolean);
+      const inventory = item.inventoryInfo || [];
+      const availableSizes = inventory.filter(i => i.available).map(i => i.label);
+      const isAvailable = inventory.length > 0 ? availableSizes.length > 0 : true;
+
+      // === SPECIFICATIONS ===
+      const specifications = { ...this.extractSpecsFromTitle(title) };
+      if (item.primaryColour) specifications.color = item.primaryColour;
+      if (sizes.length) specifications.sizes = sizes.join(', ');
+      if (availableSizes.length) specifications.available_sizes = availableSizes.join(', ');
+      if (item.gender) specifications.gender = item.gender;
+      if (item.articleType?.typeName) specifications.article_type = item.articleType.typeName;
+
+      // === BUILD PRODUCT ===
+      return this.validateProduct({
+        product_id: String(item.productId),
+        title,
+        brand: item.brand || 'Unknown',
+        category: category.name || "Men's Fashion",
+        subcategory: category.subcategory || item.articleType?.typeName || item.category || null,
+        image_url: item.searchImage || item.images?.[0]?.src || null,
+        product_url: item.landingPageUrl
+          ? `${this.baseURL}/${item.landingPageUrl.replace(/^\//, '')}`
+          : `${this.baseURL}/${item.productId}`,
+        current_price: currentPrice,
+        original_price: originalPrice,
+        discount_percent: discountPercent,
+        is_available: isAvailable,
+        rating,
+        review_count: reviewCount,
+        specifications
+      });
+
+    } catch (error) {
+      console.error('❌ Error extracting product:', error.message);
+      return null;
+    }
+  }
+
+  // ========== EXTRACT PRODUCT DETAIL (from pdpData) ==========
+
+  async extractProductDetail(state, productId) {
+    const pdp = state.pdpData;
+    if (!pdp || !pdp.name) {
+      console.warn(`⚠️  No pdpData on detail page for ${productId}`);
+      return null;
+    }
+
+    const currentPrice = parseFloat(pdp.price?.discounted ?? pdp.price?.mrp) || null;
+    const originalPrice = parseFloat(pdp.price?.mrp ?? pdp.mrp) || currentPrice;
+
+    // Rating histogram as counts per star
+    const ratings = pdp.ratings || {};
+    let ratingBreakdown = null;
+    if (Array.isArray(ratings.ratingInfo) && ratings.ratingInfo.length) {
+      ratingBreakdown = {};
+      for (const info of ratings.ratingInfo) ratingBreakdown[info.rating] = info.count;
+    }
+
+    // Sizes: everything listed vs what can be bought now
+    const sizes = pdp.sizes || [];
+    const availableSizes = sizes.filter(s => s.available).map(s => s.label);
+    const sellerData = sizes.find(s => s.available)?.sizeSellerData?.[0] || sizes[0]?.sizeSellerData?.[0];
+
+    const specifications = { ...(pdp.articleAttributes || {}) };
+    if (pdp.baseColour) specifications.color = pdp.baseColour;
+    if (sizes.length) specifications.sizes = sizes.map(s => s.label).join(', ');
+    if (availableSizes.length) specifications.available_sizes = availableSizes.join(', ');
+    if (pdp.analytics?.gender || pdp.gender) specifications.gender = pdp.analytics?.gender || pdp.gender;
+    if (pdp.analytics?.articleType) specifications.article_type = pdp.analytics.articleType;
+
+    let stockStatus = 'in_stock';
+    if (pdp.flags?.outOfStock || (sizes.length && availableSizes.length === 0)) {
+      stockStatus = 'out_of_stock';
+    } else if (sizes.some(s => s.available && s.inventory > 0 && s.inventory <= 3)) {
+      stockStatus = 'low_stock';
+    }
+
+    return {
+      title: pdp.name,
+      current_price: currentPrice,
+      original_price: originalPrice,
+      rating: ratings.averageRating ? Math.round(ratings.averageRating * 10) / 10 : null,
+      review_count: parseInt(ratings.totalCount) || 0,
+      rating_breakdown: ratingBreakdown,
+      specifications,
+      brand: pdp.brand?.name || null,
+      seller: sellerData?.sellerName || null,
+      delivery_estimate: null, // Pincode-specific, not in the page state
+      offers: (pdp.offers || []).map(o => ({
+        type: o.type || 'Offer',
+        description: o.description || o.title
+      })).filter(o => o.description),
+      stock_status: stockStatus,
+      is_available: stockStatus !== 'out_of_stock'
+    };
+  }
+
+  // ========== SEARCH RESULTS ==========
+
+  // Pages are handed to the extractors as the parsed state rather than a cheerio document
+  loadPage(html) {
+    return typeof html === 'string' ? this.extractState(html) : html;
+  }
+
+  getProductCards(state) {
+    return state.searchData?.results?.products || [];
+  }
+}
+
+module.exports = MyntraScraper;
@@ -1,12 +1,33 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const settings = require('../config/settings');
+const SelectorHeal = require('../models/SelectorHeals');
+const HeuristicHealer = require('./heuristic-healer');
+const { getProvider, isConfigured } = require('../ai/providers');
+
+// Sanity checks for values a proposed selector extracts (after the platform's extractFn)
+const FIELD_CHECKS = {
+  current_price: (v, config) => typeof v === 'number' && v >= config.price_range[0] && v <= config.price_range[1],
+  original_price: (v, config) => typeof v === 'number' && v >= config.price_range[0] && v <= config.price_range[1],
+  rating: v => typeof v === 'number' && v > 0 && v <= 5,
+  review_count: v => Number.isInteger(v) && v >= 0 && v < 100000000,
+  title: v => typeof v === 'string' && v.length >= 5 && v.length <= 500,
+  product_url: v => typeof v === 'string' && /^(https?:\/\/|\/)/.test(v),
+  image: v => typeof v === 'string' && /^(https?:)?\/\//.test(v)
+};
+
+// Fields whose values should differ from card to card
+const DISTINCT_FIELDS = new Set(['title', 'product_url', 'image']);
 
 class SelectorHealer {
-  constructor(groqApiKey) {
-    this.groqApiKey = groqApiKey;
-    this.apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
+  // provider: an LLM provider, or null for heuristics only; defaults to settings.ai when configured
+  constructor(provider, config = settings.healer) {
+    this.provider = provider !== undefined ? provider : (isConfigured() ? getProvider() : null);
+    this.config = config;
+    this.model = config.model || this.provider?.model || null;
     this.patternsFile = path.join(__dirname, 'selector-patterns.json');
+    this.heuristics = new HeuristicHealer({ minScore: config.min_match_ratio });
   }
 
   // Load current selector patterns
@@ -36,9 +57,9 @@ class SelectorHealer {
     }
   }
 
-  // Ask Groq AI to find the correct selector
+  // Ask the LLM to find the correct selector
   async findSelector(platform, fieldName, htmlSample) {
-    console.log(`\n🤖 Asking Groq AI to find ${fieldName} selector...`);
+    console.log(`\n🤖 Asking ${this.provider.name} (${this.model}) to find ${fieldName} selector...`);
 
     const prompt = `You are an expert web scraper. Analyze this HTML from ${platform}.in and find the CSS selector for: ${fieldName}
 
@@ -64,39 +85,18 @@ Return format:
 Field to find: ${this.getFieldDescription(fieldName)}`;
 
     try {
-      const response = await axios.post(this.apiUrl, {
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a web scraping expert specializing in e-commerce sites. Return only valid JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 500
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.groqApiKey}`,
-          'Content-Type': 'application/json'
+      const result = await this.provider.chatJSON([
+        {
+          role: 'system',
+          content: 'You are a web scraping expert specializing in e-commerce sites. Return only valid JSON.'
         },
-        timeout: 15000
-      });
-
-      const text = response.data.choices[0].message.content.trim();
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      
-      if (!jsonMatch) {
-        console.error('❌ No valid JSON in Groq response');
-        return null;
-      }
-
-      const result = JSON.parse(jsonMatch[0]);
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], { temperature: 0.2, maxTokens: 500, model: this.model });
       
-      console.log(`✅ Groq found selectors:`);
+      console.log(`✅ ${this.provider.name} found selectors:`);
       console.log(`   Primary: ${result.primary}`);
       console.log(`   Fallback: ${result.fallback1}`);
       console.log(`   Reason: ${result.explanation}`);
@@ -104,12 +104,12 @@ Field to find: ${this.getFieldDescription(fieldName)}`;
       return result;
 
     } catch (error) {
-      console.error('❌ Groq API error:', error.message);
+      console.error(`❌ ${error.message}`);
       return null;
     }
   }
 
-  // Get field description for Groq
+  // Get field description for the LLM prompt
   getFieldDescription(fieldName) {
     const descriptions = {
       'current_price': 'The actual selling price (not strikethrough). Usually in format ₹54,999 or with class a-price-whole',
@@ -143,8 +143,72 @@ Field to find: ${this.getFieldDescription(fieldName)}`;
     return { success: false, value: null, selector: null };
   }
 
-  // Main healing function - called when extraction fails
-  async healSelector(platform, fieldName, $, element) {
+  // ========== VALIDATION ==========
+
+  // Run proposed selectors over several cards from the same page. A selector passes when
+  // enough cards yield a value that survives the field's sanity check.
+  validateSelectors(fieldName, selectors, $, cards, extractFn) {
+    const sample = cards.slice(0, this.config.validation_cards);
+    const check = FIELD_CHECKS[fieldName] || (v => v !== null && v !== undefined && v !== '');
+    const results = [];
+
+    for (const selector of selectors) {
+      const values = [];
+      const reasons = [];
+
+      for (const card of sample) {
+        let value = null;
+        try {
+          const $el = $(card).find(selector);
+          value = $el.length > 0 ? extractFn($el) : null;
+        } catch (error) {
+          reasons.push(`invalid selector: ${error.message}`);
+          break;
+        }
+
+        if (value === null || value === undefined || value === '' || Number.isNaN(value)) continue;
+        if (!check(value, this.config)) {
+          reasons.push(`implausible value ${JSON.stringify(value).substring(0, 60)}`);
+          continue;
+        }
+        values.push(value);
+      }
+
+      const matchRatio = sample.length ? values.length / sample.length : 0;
+      if (matchRatio < this.config.min_match_ratio) {
+        reasons.push(`matched ${values.length}/${sample.length} cards`);
+      }
+      if (DISTINCT_FIELDS.has(fieldName) && values.length > 1 && new Set(values.map(String)).size === 1) {
+        reasons.push('same value on every card');
+      }
+
+      results.push({
+        selector,
+        valid: reasons.length === 0,
+        matched: values.length,
+        samples: values.slice(0, 3),
+        reasons: [...new Set(reasons)]
+      });
+    }
+
+    return {
+      cards_tested: sample.length,
+      valid: results.some(r => r.valid),
+      selectors: results
+    };
+  }
+
+  // ========== HEALING ==========
+
+  hashSample(html) {
+    return crypto.createHash('sha256').update(html).digest('hex');
+  }
+
+  // Main healing function - called when extraction fails. Content heuristics get the first
+  // go; the AI is only asked when they come up empty. Either way, selectors are only written
+  // to selector-patterns.json if they validate against the page's other cards, and every
+  // attempt lands in the selector_heals audit log.
+  async healSelector(platform, fieldName, $, element, { cards = [element], extractFn = null } = {}) {
     console.log(`\n🔧 Healing ${fieldName} selector for ${platform}...`);
 
     // Get HTML sample of the element
@@ -156,46 +220,141 @@ Field to find: ${this.getFieldDescription(fieldName)}`;
 
     // Truncate to 5000 chars to save tokens
     const truncatedSample = htmlSample.substring(0, 5000);
+    const attempt = {
+      platform,
+      fieldName,
+      $,
+      cards,
+      extractFn: extractFn || ($el => $el.first().text().trim() || null),
+      sampleHash: this.hashSample(truncatedSample)
+    };
+
+    // Local heuristics first: free, deterministic and available offline
+    const local = this.heuristics.propose(fieldName, $, cards);
+    if (local.selectors.length > 0) {
+      console.log(`🧩 Heuristics suggest: ${local.selectors.join(', ')}`);
+      const healed = await this.applyIfValid(attempt, local.selectors, local.explanation, 'heuristic');
+      if (healed) return healed;
+    }
+
+    if (!this.provider) {
+      console.log(`⚠️  No heuristic match for ${fieldName} and no AI provider configured; leaving selectors as they are`);
+      return null;
+    }
 
-    // Ask Groq for new selectors
+    // Ask the LLM for new selectors
     const newSelectors = await this.findSelector(platform, fieldName, truncatedSample);
     
     if (!newSelectors) {
       return null;
     }
 
+    const proposed = [newSelectors.primary, newSelectors.fallback1, newSelectors.fallback2]
+      .filter(s => typeof s === 'string' && s.trim());
+
+    return this.applyIfValid(attempt, proposed, newSelectors.explanation || null, this.model);
+  }
+
+  // Validate proposed selectors and, if any pass, put them at the front of the field's list
+  async applyIfValid({ platform, fieldName, $, cards, extractFn, sampleHash }, proposed, explanation, source) {
     // Load current patterns
     const patterns = await this.loadPatterns();
     if (!patterns) {
       return null;
     }
 
-    // Update patterns with new selectors
     if (!patterns[platform].patterns[fieldName]) {
       patterns[platform].patterns[fieldName] = { selectors: [], confidence: 0 };
     }
+    const field = patterns[platform].patterns[fieldName];
+    const oldSelectors = [...field.selectors];
+
+    const validation = this.validateSelectors(fieldName, proposed, $, cards, extractFn);
+    const passing = validation.selectors.filter(r => r.valid).map(r => r.selector);
+
+    const audit = {
+      platform,
+      field: fieldName,
+      oldSelectors,
+      sampleHash,
+      explanation,
+      model: source,
+      validation
+    };
 
-    // Add new selectors to the beginning (highest priority)
-    patterns[platform].patterns[fieldName].selectors = [
-      newSelectors.primary,
-      newSelectors.fallback1,
-      newSelectors.fallback2,
-      ...patterns[platform].patterns[fieldName].selectors
-    ].filter((v, i, a) => a.indexOf(v) === i); // Remove duplicates
+    if (passing.length === 0) {
+      const reasons = validation.selectors.map(r => `${r.selector}: ${r.reasons.join(', ')}`).join('; ');
+      console.warn(`🚫 Rejected ${source} ${fieldName} selectors for ${platform} (${reasons})`);
+      await this.recordHeal({ ...audit, status: 'rejected', newSelectors: proposed, patternVersion: field.version || 1 });
+      return null;
+    }
 
-    // Keep only top 5 selectors
-    patterns[platform].patterns[fieldName].selectors = 
-      patterns[platform].patterns[fieldName].selectors.slice(0, 5);
+    // Validated selectors go first (highest priority); keep the top 5
+    field.selectors = [...passing, ...oldSelectors]
+      .filter((v, i, a) => a.indexOf(v) === i) // Remove duplicates
+      .slice(0, 5);
 
     // Update metadata
-    patterns[platform].patterns[fieldName].last_healed = new Date().toISOString();
-    patterns[platform].patterns[fieldName].confidence = 80; // Lower confidence after healing
+    field.version = (field.version || 1) + 1;
+    field.last_healed = new Date().toISOString();
+    field.confidence = 80; // Lower confidence after healing
     patterns[platform].last_updated = new Date().toISOString();
 
     // Save updated patterns
     await this.savePatterns(patterns);
+    await this.recordHeal({ ...audit, status: 'applied', newSelectors: field.selectors, patternVersion: field.version });
+
+    console.log(`✅ Healed ${platform}.${fieldName} via ${source}: ${passing[0]}`);
+    return passing[0];
+  }
+
+  // The audit log must never break a scrape
+  async recordHeal(heal) {
+    try {
+      return await SelectorHeal.create(heal);
+    } catch (error) {
+      console.warn(`⚠️  Could not record selector heal: ${error.message}`);
+      return null;
+    }
+  }
 
-    return newSelectors.primary;
+  // ========== ROLLBACK ==========
+
+  // Put a field back to the selectors it had before heal `healId`. That heal and any later
+  // applied heals of the same field are marked rolled back, and the rollback is logged too.
+  async rollback(healId) {
+    const heal = await SelectorHeal.findById(healId);
+    if (!heal) throw new Error(`Heal ${healId} not found`);
+    if (heal.status !== 'applied') throw new Error(`Heal ${healId} is ${heal.status}, only applied heals can be rolled back`);
+
+    const patterns = await this.loadPatterns();
+    if (!patterns?.[heal.platform]) throw new Error(`No patterns for ${heal.platform}`);
+
+    const field = patterns[heal.platform].patterns[heal.field] || { selectors: [], confidence: 0 };
+    const replaced = [...field.selectors];
+
+    field.selectors = heal.old_selectors || [];
+    field.version = (field.version || 1) + 1;
+    field.confidence = 70;
+    field.last_rolled_back = new Date().toISOString();
+    patterns[heal.platform].patterns[heal.field] = field;
+    patterns[heal.platform].last_updated = new Date().toISOString();
+
+    if (!await this.savePatterns(patterns)) throw new Error('Could not write selector patterns');
+
+    const undone = await SelectorHeal.markRolledBack(heal.platform, heal.field, heal.created_at);
+    const entry = await SelectorHeal.create({
+      platform: heal.platform,
+      field: heal.field,
+      status: 'rollback',
+      oldSelectors: replaced,
+      newSelectors: field.selectors,
+      explanation: `Rolled back heal #${heal.id}`,
+      patternVersion: field.version
+    });
+
+    console.log(`↩️  ${heal.platform}.${heal.field} restored to the selectors before heal #${heal.id} (${undone.length} heals undone)`);
+    return { heal: entry, undone: undone.map(h => h.id), selectors: field.selectors };
   }
 
   // Update confidence when selector works
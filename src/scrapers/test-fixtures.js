@@ -0,0 +1,266 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const platformLoader = require('./core/platform-loader');
+const {
+    getFixtureDir,
+    loadManifest,
+    saveManifest,
+    createRecordingTransport,
+    createReplayTransport
+} = require('./core/fixture-transport');
+
+// Offline extractor tests against recorded pages.
+//
+//   node src/scrapers/test-fixtures.js capture [--platform amazon] [--categories smartphones] [--details 3]
+//       Fetch live search + detail pages into src/scrapers/fixtures/<platform>/ and write goldens
+//   node src/scrapers/test-fixtures.js replay [--platform amazon] [--update]
+//       Run every extractor against the recordings and diff with the golden JSON
+//       (--update accepts the current output as the new golden; a missing golden fails without it)
+
+const SEARCH_FIELDS = ['title', 'brand', 'current_price', 'original_price', 'discount_percent', 'rating', 'review_count', 'product_url'];
+const DETAIL_FIELDS = ['title', 'brand', 'current_price', 'original_price', 'discount_percent', 'rating', 'review_count',
+    'rating_breakdown', 'seller', 'delivery_estimate', 'stock_status', 'is_available', 'offers'];
+
+const args = process.argv.slice(2);
+const mode = args[0];
+
+function getArg(name, fallback = null) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function getPlatforms() {
+    const only = getArg('platform');
+    return only ? [only.toLowerCase()] : platformLoader.listPlatforms();
+}
+
+// Fixtures run without the AI healer (no API calls, no writes to selector-patterns.json)
+function prepareScraper(platformKey, makeTransport) {
+    const scraper = platformLoader.getPlatform(platformKey);
+    scraper.healer = null;
+    scraper.patterns = JSON.parse(fs.readFileSync(path.join(__dirname, 'selector-patterns.json'), 'utf8'));
+    scraper.setTransport(makeTransport(scraper));
+    return scraper;
+}
+
+// Same shape for goldens and live output: search -> { products: [...] }, detail -> { detail }
+async function runFixture(scraper, entry) {
+    if (entry.kind === 'search') {
+        // Last attempt straight away: a recording can't get better on retry
+        const products = await scraper.scrapePage(entry.category, entry.page, 3);
+        return { products: products.map(p => { const { quality_score, ...rest } = p; return rest; }) };
+    }
+    if (entry.kind === 'detail') {
+        try {
+            return { detail: await scraper.scrapeProductDetail(entry.url, entry.productId, 3) };
+        } catch (error) {
+            return { detail: null, error: error.message };
+        }
+    }
+    throw new Error(`Unknown fixture kind "${entry.kind}"`);
+}
+
+function goldenPath(platformKey, entry) {
+    return path.join(getFixtureDir(platformKey), entry.file.replace(/\.(html|json)$/, '.golden.json'));
+}
+
+// ========== DIFF ==========
+
+function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRecord(expected, actual, fields, id) {
+    const regressions = [];
+
+    for (const field of fields) {
+        if (!same(expected[field], actual[field])) {
+            regressions.push({ id, field, expected: expected[field] ?? null, actual: actual[field] ?? null });
+        }
+    }
+
+    const expectedSpecs = expected.specifications || {};
+    const actualSpecs = actual.specifications || {};
+    for (const key of Object.keys(expectedSpecs)) {
+        if (!same(expectedSpecs[key], actualSpecs[key])) {
+            regressions.push({ id, field: `specs.${key}`, expected: expectedSpecs[key], actual: actualSpecs[key] ?? null });
+        }
+    }
+
+    return regressions;
+}
+
+function diffFixture(entry, golden, actual) {
+    if (entry.kind === 'detail') {
+        if (!golden.detail) return [];
+        if (!actual.detail) {
+            return [{ id: entry.productId, field: 'detail', expected: 'data', actual: actual.error || null }];
+        }
+        return diffRecord(golden.detail, actual.detail, DETAIL_FIELDS, entry.productId);
+    }
+
+    const actualById = new Map(actual.products.map(p => [p.product_id, p]));
+    const regressions = [];
+
+    for (const expected of golden.products) {
+        const found = actualById.get(expected.product_id);
+        if (!found) {
+            regressions.push({ id: expected.product_id, field: 'product', expected: 'extracted', actual: 'missing' });
+            continue;
+        }
+        regressions.push(...diffRecord(expected, found, SEARCH_FIELDS, expected.product_id));
+    }
+
+    return regressions;
+}
+
+// ========== CAPTURE ==========
+
+async function capture(platformKey) {
+    const manifest = loadManifest(platformKey);
+    const scraper = prepareScraper(platformKey, s => createRecordingTransport(s.client, platformKey, manifest));
+    const detailCount = parseInt(getArg('details', '3'));
+    const categories = getArg('categories') ? getArg('categories').split(',') : null;
+
+    const captured = [];
+
+    const annotate = (url, data) => {
+        const entry = manifest.fixtures.find(f => f.url === url);
+        if (entry) {
+            Object.assign(entry, data);
+            captured.push(entry);
+        }
+    };
+
+    for (const category of scraper.getCategoryPlan(100, categories)) {
+        const { target, quota, ...categoryArgs } = category;
+        const products = await scraper.scrapePage(category, 1, 3);
+        annotate(scraper.transport.lastUrl, { kind: 'search', category: categoryArgs, page: 1 });
+
+        for (const product of products.slice(0, detailCount)) {
+            await scraper.delay(3000, 6000);
+            try {
+                await scraper.scrapeProductDetail(product.product_url, product.product_id, 3);
+            } catch (error) {
+                console.warn(`⚠️  Detail capture failed for ${product.product_id}: ${error.message}`);
+            }
+            annotate(scraper.transport.lastUrl, { kind: 'detail', productId: product.product_id });
+        }
+
+        await scraper.delay(4000, 7000);
+    }
+
+    saveManifest(platformKey, manifest);
+
+    // Goldens come from replaying the recordings, exactly as `replay` will see them
+    const replayer = prepareScraper(platformKey, () => createReplayTransport(platformKey, manifest));
+    for (const entry of captured) {
+        const actual = await runFixture(replayer, entry);
+        fs.writeFileSync(goldenPath(platformKey, entry), JSON.stringify(actual, null, 2) + '\n');
+    }
+
+    console.log(`\n✅ ${platformKey}: ${captured.length} pages captured, ${manifest.fixtures.length} fixtures in ${getFixtureDir(platformKey)}`);
+}
+
+// ========== REPLAY ==========
+
+async function replay(platformKey, update) {
+    const manifest = loadManifest(platformKey);
+    if (manifest.fixtures.length === 0) {
+        console.log(`⏭️  ${platformKey}: no fixtures recorded`);
+        return { fixtures: 0, regressions: [] };
+    }
+
+    const scraper = prepareScraper(platformKey, () => createReplayTransport(platformKey, manifest));
+    const regressions = [];
+
+    for (const entry of manifest.fixtures.filter(f => f.kind)) {
+        const actual = await runFixture(scraper, entry);
+        const file = goldenPath(platformKey, entry);
+
+        if (update) {
+            const existed = fs.existsSync(file);
+            fs.writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+            console.log(`📝 ${entry.file}: golden ${existed ? 'updated' : 'created'}`);
+            continue;
+        }
+
+        // A fixture nobody reviewed the output of isn't a pass
+        if (!fs.existsSync(file)) {
+            console.log(`❌ ${entry.file} (${entry.kind}): no golden (review the output, then run with --update)`);
+            regressions.push({ platform: platformKey, fixture: entry.file, id: entry.file, field: 'golden', expected: 'golden', actual: 'missing' });
+            continue;
+        }
+
+        const found = diffFixture(entry, JSON.parse(fs.readFileSync(file, 'utf8')), actual);
+        if (found.length === 0) {
+            console.log(`✅ ${entry.file} (${entry.kind}${entry.synthetic ? ', synthetic' : ''})`);
+            continue;
+        }
+
+        console.log(`❌ ${entry.file} (${entry.kind}): ${found.length} regressions`);
+        for (const r of found) {
+            console.log(`   ${r.field.padEnd(18)} ${r.id}: ${JSON.stringify(r.expected)} → ${JSON.stringify(r.actual)}`);
+        }
+        regressions.push(...found.map(r => ({ ...r, platform: platformKey, fixture: entry.file })));
+    }
+
+    return { fixtures: manifest.fixtures.length, regressions };
+}
+
+// ========== MAIN ==========
+
+async function main() {
+    if (mode !== 'capture' && mode !== 'replay') {
+        console.error('Usage: node src/scrapers/test-fixtures.js <capture|replay> [--platform name] [--update]');
+        process.exit(2);
+    }
+
+    try {
+        if (mode === 'capture') {
+            for (const platformKey of getPlatforms()) {
+                console.log('\n' + '═'.repeat(60));
+                console.log(`🎥 Capturing ${platformKey}`);
+                console.log('═'.repeat(60));
+                await capture(platformKey);
+            }
+            process.exit(0);
+        }
+
+        const allRegressions = [];
+        for (const platformKey of getPlatforms()) {
+            console.log('\n' + '═'.repeat(60));
+            console.log(`🧪 Replaying ${platformKey}`);
+            console.log('═'.repeat(60));
+            const result = await replay(platformKey, args.includes('--update'));
+            allRegressions.push(...result.regressions);
+        }
+
+        console.log('\n' + '═'.repeat(60));
+        console.log('📊 REGRESSIONS BY FIELD');
+        console.log('═'.repeat(60));
+
+        if (allRegressions.length === 0) {
+            console.log('✅ None');
+            process.exit(0);
+        }
+
+        const byField = {};
+        for (const r of allRegressions) {
+            const key = `${r.platform}.${r.field.startsWith('specs.') ? 'specs' : r.field}`;
+            byField[key] = (byField[key] || 0) + 1;
+        }
+        for (const [field, count] of Object.entries(byField).sort((a, b) => b[1] - a[1])) {
+            console.log(`❌ ${field}: ${count}`);
+        }
+        process.exit(1);
+
+    } catch (error) {
+        console.error('\n❌ Fixture run failed:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const platformLoader = require('./core/platform-loader');
+const { getFixtureDir, loadManifest } = require('./core/fixture-transport');
+const SelectorHealer = require('./selector-healer');
+
+// Content-heuristic selector healing against the recorded search pages: break the stored
+// selectors the way a redesign would (renamed classes, dropped attributes), then check the
+// heuristics find selectors that pass the healer's own validation. No network, no LLM, and
+// nothing is written to selector-patterns.json.
+//
+//   node src/scrapers/test-healer.js
+
+const FIELDS = ['current_price', 'rating', 'review_count'];
+
+// Flipkart's extractor reads the card text rather than selectors, so it has no extractFns
+// to borrow; read the number out of whatever the selector matched
+const parseNumber = $el => {
+    const value = parseFloat($el.first().text().replace(/[^\d.]/g, ''));
+    return Number.isFinite(value) ? value : null;
+};
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+    console.log(`✅ ${message}`);
+}
+
+function loadSearchPage(scraper, platformKey) {
+    const entry = loadManifest(platformKey).fixtures.find(e => e.kind === 'search');
+    const html = fs.readFileSync(path.join(getFixtureDir(platformKey), entry.file), 'utf8');
+    const $ = scraper.loadPage(html);
+    return { $, cards: scraper.getProductCards($), category: entry.category };
+}
+
+// The extractFn each field is read with, taken from a run of the platform's own extractor
+async function captureExtractFns(scraper, $, card, category) {
+    const extractFns = {};
+    const smartExtract = scraper.smartExtract.bind(scraper);
+    scraper.smartExtract = async ($, element, fieldName, extractFn, fallbackValue) => {
+        extractFns[fieldName] = extractFn;
+        return smartExtract($, element, fieldName, extractFn, fallbackValue);
+    };
+    await scraper.extractProductData($, card, category);
+    scraper.smartExtract = smartExtract;
+    return extractFns;
+}
+
+// Rename every class the selectors use and drop the attributes they match on
+function breakSelectors($, selectors) {
+    for (const selector of selectors) {
+        for (const [, name] of selector.matchAll(/\.([\w-]+)/g)) {
+            $(`.${name}`).removeClass(name).addClass(`${name}-v2`);
+        }
+        for (const [, attr] of selector.matchAll(/\[([\w-]+)[*^$~|]?=/g)) {
+            $(`[${attr}]`).removeAttr(attr);
+        }
+    }
+}
+
+async function testPlatform(platformKey, healer, patterns) {
+    console.log(`\n🧪 ${platformKey}...`);
+
+    const scraper = platformLoader.getPlatform(platformKey);
+    scraper.healer = null;
+    scraper.patterns = patterns;
+
+    const page = loadSearchPage(scraper, platformKey);
+    check(page.cards.length >= 3, `${platformKey}: fixture has ${page.cards.length} product cards`);
+    const extractFns = await captureExtractFns(scraper, page.$, page.cards[0], page.category);
+
+    for (const field of FIELDS) {
+        const extractFn = extractFns[field] || parseNumber;
+        const stored = patterns[platformKey].patterns[field].selectors;
+
+        // A fresh copy of the page per field, so one break doesn't help or hurt another
+        const { $, cards } = loadSearchPage(scraper, platformKey);
+        const generic = stored.every(selector => /^[a-z]+$/.test(selector)); // Flipkart's "div", "span"
+        if (!generic) {
+            breakSelectors($, stored);
+            check(!healer.validateSelectors(field, stored, $, cards, extractFn).valid, `${platformKey}.${field}: stored selectors no longer work`);
+        }
+
+        const proposal = healer.heuristics.propose(field, $, cards);
+        check(proposal.selectors.length > 0, `${platformKey}.${field}: heuristics propose ${proposal.selectors.join(', ')}`);
+
+        const validation = healer.validateSelectors(field, proposal.selectors, $, cards, extractFn);
+        const passing = validation.selectors.filter(r => r.valid);
+        check(passing.length > 0 && validation.selectors[0].valid,
+            `${platformKey}.${field}: top proposal passes validation (${passing[0]?.selector} → ${JSON.stringify(passing[0]?.samples)})`);
+    }
+}
+
+async function testHealer() {
+    console.log('🧪 Testing heuristic selector healing on fixtures...');
+
+    const healer = new SelectorHealer(null); // Heuristics only
+    const patterns = JSON.parse(fs.readFileSync(path.join(__dirname, 'selector-patterns.json'), 'utf8'));
+
+    for (const platformKey of ['amazon', 'flipkart']) {
+        await testPlatform(platformKey, healer, patterns);
+    }
+
+    console.log('\n🎉 Heuristic healer tests passed!');
+}
+
+testHealer()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const discountDetector = require('../pricing/discount-detector');
+
+// Recompute true discounts and suspicious-discount flags for all available products
+async function analyzeAllDiscounts() {
+  console.log('🔍 Checking claimed discounts against price history...\n');
+
+  try {
+    const result = await pool.query(`
+      SELECT id, title FROM products
+      WHERE is_available = true
+      ORDER BY discount_checked_at ASC NULLS FIRST
+    `);
+
+    console.log(`📊 Found ${result.rows.length} products to analyze\n`);
+
+    const stats = { total: result.rows.length, analyzed: 0, suspicious: 0, failed: 0 };
+
+    for (const product of result.rows) {
+      try {
+        const analysis = await discountDetector.analyzeProduct(product.id);
+        if (!analysis) continue;
+
+        stats.analyzed++;
+        if (analysis.suspicious_discount) {
+          stats.suspicious++;
+          console.log(`🚩 ${product.title.substring(0, 60)}... (claimed ${analysis.claimed_discount}%, true ${analysis.true_discount_90d ?? 'N/A'}%)`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed ${product.id}: ${error.message}`);
+        stats.failed++;
+      }
+    }
+
+    console.log(`\n✅ Discount analysis complete:`);
+    console.log(`   Total: ${stats.total}`);
+    console.log(`   Analyzed: ${stats.analyzed}`);
+    console.log(`   Suspicious: ${stats.suspicious}`);
+    console.log(`   Failed: ${stats.failed}`);
+
+    await pool.end();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Discount analysis failed:', error);
+    process.exit(1);
+  }
+}
+
+analyzeAllDiscounts();
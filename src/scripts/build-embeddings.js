@@ -0,0 +1,36 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const embeddingIndex = require('../search/embedding-index');
+
+// Embed products that have no embedding yet, were changed since (AI tags, extracted specs),
+// or were embedded by a different model. Run via: npm run embeddings (EMBEDDINGS_LIMIT=20000 for more)
+async function buildEmbeddings() {
+  console.log('🧠 Building product embeddings...\n');
+
+  try {
+    const before = await embeddingIndex.getStats();
+    console.log(`📊 Model: ${before.model} | ${before.embedded}/${before.products} embedded, ${before.stale} to check\n`);
+
+    const stats = await embeddingIndex.backfill(parseInt(process.env.EMBEDDINGS_LIMIT) || 5000);
+
+    console.log(`\n✅ Embeddings complete:`);
+    console.log(`   Checked: ${stats.checked}`);
+    console.log(`   Embedded: ${stats.embedded}`);
+    console.log(`   Unchanged: ${stats.unchanged}`);
+    console.log(`   Failed: ${stats.errors}`);
+
+    await pool.end();
+    process.exit(stats.errors > 0 ? 1 : 0);
+
+  } catch (error) {
+    // Semantic search is optional (pgvector, local model); a database without it isn't a failure
+    if (error.code === 'EMBEDDINGS_UNAVAILABLE') {
+      console.log(`⏭️  Skipping embeddings: ${error.message}`);
+      process.exit(0);
+    }
+    console.error('❌ Building embeddings failed:', error.message);
+    process.exit(1);
+  }
+}
+
+buildEmbeddings();
@@ -0,0 +1,52 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const productMatcher = require('../matching/product-matcher');
+
+// Backfill canonical product links for listings scraped before matching existed
+async function matchAllProducts() {
+  console.log('🔗 Matching products across platforms...\n');
+
+  try {
+    const onlyUnmatched = process.argv.includes('--unmatched');
+
+    const result = await pool.query(`
+      SELECT p.id, p.title, p.brand, p.category, p.specifications
+      FROM products p
+      ${onlyUnmatched ? 'LEFT JOIN product_matches pm ON pm.product_id = p.id WHERE pm.product_id IS NULL' : ''}
+      ORDER BY p.first_seen ASC
+    `);
+
+    console.log(`📊 Found ${result.rows.length} products to match\n`);
+
+    const stats = { total: result.rows.length, linked: 0, created: 0, manual: 0, failed: 0 };
+
+    for (const product of result.rows) {
+      try {
+        const match = await productMatcher.matchProduct(product.id, product);
+
+        if (match.method === 'new') stats.created++;
+        else if (match.method === 'manual') stats.manual++;
+        else stats.linked++;
+      } catch (error) {
+        console.error(`❌ Failed ${product.id}: ${error.message}`);
+        stats.failed++;
+      }
+    }
+
+    console.log(`\n✅ Matching complete:`);
+    console.log(`   Total: ${stats.total}`);
+    console.log(`   Linked to existing: ${stats.linked}`);
+    console.log(`   New canonical products: ${stats.created}`);
+    console.log(`   Manual overrides: ${stats.manual}`);
+    console.log(`   Failed: ${stats.failed}`);
+
+    await pool.end();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Matching failed:', error);
+    process.exit(1);
+  }
+}
+
+matchAllProducts();
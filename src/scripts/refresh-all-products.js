@@ -1,34 +1,68 @@
 require('dotenv').config();
 const { pool } = require('../config/database');
+const Product = require('../models/Products');
 const platformLoader = require('../scrapers/core/platform-loader');
+const browserPool = require('../scrapers/core/browser-pool');
+
+// Usage:
+//   node src/scripts/refresh-all-products.js            # drain products missing rating/reviews/specs
+//   node src/scripts/refresh-all-products.js --all      # re-scrape every product's detail page
+//   node src/scripts/refresh-all-products.js --limit 200
+const args = process.argv.slice(2);
+const refreshAll = args.includes('--all');
+const limitIndex = args.indexOf('--limit');
+const maxProducts = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) || Infinity : Infinity;
+const BATCH_SIZE = 50;
+
+async function getBatch(offset, seen) {
+  if (!refreshAll) {
+    // Refreshed products drop out of this list; failed ones stay, so look past those
+    return Product.getIncompleteProducts(BATCH_SIZE + seen.size);
+  }
+
+  const result = await pool.query(`
+    SELECT p.*, pl.name as platform
+    FROM products p
+    JOIN platforms pl ON p.platform_id = pl.id
+    ORDER BY p.first_seen ASC
+    LIMIT $1 OFFSET $2
+  `, [BATCH_SIZE, offset]);
+  return result.rows;
+}
 
 async function refreshAllProducts() {
-  console.log('🔄 Refreshing all existing products...\n');
+  console.log(`🔄 Refreshing ${refreshAll ? 'all' : 'incomplete'} products from their detail pages...\n`);
 
   try {
-    // Get all products from database
-    const result = await pool.query(`
-      SELECT p.product_id, pl.name as platform
-      FROM products p
-      JOIN platforms pl ON p.platform_id = pl.id
-      ORDER BY p.first_seen ASC
-    `);
-
-    console.log(`📊 Found ${result.rows.length} products to refresh\n`);
-
-    const stats = { total: result.rows.length, updated: 0, failed: 0 };
-
-    for (const product of result.rows) {
-      try {
-        console.log(`🔄 Refreshing ${product.platform} product: ${product.product_id}`);
-        
-        // This would re-scrape individual product
-        // For now, we'll skip (full implementation would fetch product page)
-        
-        stats.updated++;
-      } catch (error) {
-        console.error(`❌ Failed: ${error.message}`);
-        stats.failed++;
+    const scrapers = {};
+    const seen = new Set();
+    const stats = { total: 0, updated: 0, failed: 0, skipped: 0 };
+
+    while (stats.total < maxProducts) {
+      const batch = (await getBatch(stats.total, seen)).filter(p => !seen.has(p.id));
+      if (batch.length === 0) break;
+
+      for (const product of batch) {
+        if (stats.total >= maxProducts) break;
+        seen.add(product.id);
+        stats.total++;
+
+        const platformKey = product.platform.toLowerCase();
+        if (!platformLoader.hasPlatform(platformKey)) {
+          stats.skipped++;
+          continue;
+        }
+        scrapers[platformKey] = scrapers[platformKey] || platformLoader.getPlatform(platformKey);
+
+        try {
+          console.log(`🔄 Refreshing ${product.platform} product: ${product.product_id}`);
+          const updated = await scrapers[platformKey].refreshProduct(product);
+          console.log(`   ✅ ⭐ ${updated.rating || 'N/A'} (${updated.review_count} reviews) | ${Object.keys(updated.specifications || {}).length} specs`);
+          stats.updated++;
+        } catch (error) {
+          console.error(`❌ Failed: ${error.message}`);
+          stats.failed++;
+        }
       }
     }
 
@@ -36,7 +70,9 @@ async function refreshAllProducts() {
     console.log(`   Total: ${stats.total}`);
     console.log(`   Updated: ${stats.updated}`);
     console.log(`   Failed: ${stats.failed}`);
+    console.log(`   Skipped (no scraper): ${stats.skipped}`);
 
+    await browserPool.close();
     await pool.end();
     process.exit(0);
 
@@ -46,4 +82,4 @@ async function refreshAllProducts() {
   }
 }
 
-refreshAllProducts();
\ No newline at end of file
+refreshAllProducts();
@@ -8,6 +8,7 @@ require('dotenv').config();
 const { pool } = require('../config/database');
 const { connectRedis } = require('../config/redis');
 const platformLoader = require('../scrapers/core/platform-loader');
+const browserPool = require('../scrapers/core/browser-pool');
 
 // Configuration
 const CONFIG = {
@@ -154,6 +155,7 @@ async function scrapeAllPlatforms() {
         process.exit(1);
     } finally {
         try {
+            await browserPool.close();
             await pool.end();
             console.log('🔌 Database connection closed');
         } catch (e) {
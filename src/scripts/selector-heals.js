@@ -0,0 +1,89 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const SelectorHeal = require('../models/SelectorHeals');
+const SelectorHealer = require('../scrapers/selector-healer');
+
+// Usage:
+//   node src/scripts/selector-heals.js list [--platform amazon] [--field current_price] [--status applied] [--limit 20]
+//   node src/scripts/selector-heals.js show <id>
+//   node src/scripts/selector-heals.js rollback <id>     # restore the selectors from before heal <id>
+const args = process.argv.slice(2);
+const command = args[0];
+
+function getArg(name, fallback = null) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+const USAGE = 'Usage: node src/scripts/selector-heals.js <list|show <id>|rollback <id>> [--platform name] [--field name]';
+
+// Heal ids are positive integers; anything else is a usage error, not a query
+function getId() {
+  const id = Number(args[1]);
+  if (!Number.isInteger(id) || id < 1) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return id;
+}
+
+const STATUS_ICONS = { applied: '✅', rejected: '🚫', rolled_back: '↩️ ', rollback: '⏪' };
+
+function printHeal(heal, detailed = false) {
+  const when = new Date(heal.created_at).toISOString().replace('T', ' ').substring(0, 19);
+  console.log(`${STATUS_ICONS[heal.status] || '•'} #${heal.id} ${when} ${heal.platform}.${heal.field} ${heal.status} (v${heal.pattern_version || '?'})`);
+  console.log(`   ${JSON.stringify(heal.old_selectors || [])} → ${JSON.stringify(heal.new_selectors || [])}`);
+
+  if (!detailed) return;
+
+  if (heal.explanation) console.log(`   💬 ${heal.explanation}`);
+  if (heal.model) console.log(`   🤖 ${heal.model} | sample ${heal.sample_hash?.substring(0, 12) || 'n/a'}`);
+  if (heal.rolled_back_at) console.log(`   ↩️  Rolled back ${new Date(heal.rolled_back_at).toISOString()}`);
+
+  for (const result of heal.validation?.selectors || []) {
+    console.log(`   ${result.valid ? '✅' : '❌'} ${result.selector}: ${result.matched}/${heal.validation.cards_tested} cards` +
+      (result.samples.length ? ` e.g. ${JSON.stringify(result.samples[0]).substring(0, 60)}` : '') +
+      (result.reasons.length ? ` (${result.reasons.join(', ')})` : ''));
+  }
+}
+
+async function main() {
+  try {
+    if (command === 'list') {
+      const heals = await SelectorHeal.list({
+        platform: getArg('platform'),
+        field: getArg('field'),
+        status: getArg('status'),
+        limit: parseInt(getArg('limit', '20'))
+      });
+
+      if (heals.length === 0) console.log('No selector heals recorded');
+      heals.forEach(heal => printHeal(heal));
+
+    } else if (command === 'show') {
+      const id = getId();
+      const heal = await SelectorHeal.findById(id);
+      if (!heal) throw new Error(`Heal ${id} not found`);
+      printHeal(heal, true);
+
+    } else if (command === 'rollback') {
+      const id = getId();
+      const healer = new SelectorHealer(null);
+      const result = await healer.rollback(id);
+      console.log(`✅ Selectors now: ${JSON.stringify(result.selectors)}`);
+
+    } else {
+      console.error(USAGE);
+      process.exit(2);
+    }
+
+    await pool.end();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+main();
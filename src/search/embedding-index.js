@@ -0,0 +1,261 @@
+// src/search/embedding-index.js
+// Embedding index behind "similar products" and natural-language search. Each product's
+// title, brand, category, AI tags and specs are embedded by a local model
+// (src/search/embedding-models.js) and stored in product_embeddings (pgvector, created by the
+// optional src/config/schema-embeddings.sql). `npm run embeddings` embeds new and changed products
+// (AI tags, spec extraction, model changes); with settings.embeddings.update_on_scrape, scrapes
+// also re-embed a product after Product.upsert.
+const crypto = require('crypto');
+const settings = require('../config/settings');
+const { query } = require('../config/database');
+const ProductEmbedding = require('../models/ProductEmbeddings');
+const { toVectorLiteral } = ProductEmbedding;
+const { createEmbeddingModel } = require('./embedding-models');
+const { buildProductFilters } = require('./product-filters');
+
+function unavailableError(message) {
+  const error = new Error(message);
+  error.code = 'EMBEDDINGS_UNAVAILABLE';
+  return error;
+}
+
+class EmbeddingIndex {
+  constructor(config = settings.embeddings, model = null) {
+    this.config = config;
+    this.model = model;
+    this.loadError = null;
+    this.tableChecked = false;
+    this.warnedUnavailable = false;
+  }
+
+  get modelName() {
+    return this.model ? this.model.name : this.config.model;
+  }
+
+  // ========== MODEL ==========
+
+  // product_embeddings only exists where schema-embeddings.sql was applied (needs pgvector).
+  // Checked once; a missing table stays unavailable until restart, like a missing model.
+  async checkTable() {
+    if (this.tableChecked) return;
+    const result = await query(`SELECT to_regclass('product_embeddings') IS NOT NULL AS present`);
+    if (!result.rows[0].present) {
+      this.loadError = unavailableError('product_embeddings table is missing (apply src/config/schema-embeddings.sql; needs pgvector)');
+      throw this.loadError;
+    }
+    this.tableChecked = true;
+  }
+
+  // Loaded on first use; a model that fails to load stays unavailable until restart
+  async getModel() {
+    if (!this.config.enabled) throw unavailableError('Semantic search is disabled (settings.embeddings.enabled)');
+    if (this.loadError) throw this.loadError;
+    await this.checkTable();
+
+    try {
+      if (!this.model) this.model = createEmbeddingModel(this.config);
+      await this.model.load();
+      return this.model;
+    } catch (error) {
+      this.loadError = unavailableError(`Embedding model "${this.config.model}" is unavailable: ${error.message}`);
+      throw this.loadError;
+    }
+  }
+
+  async embed(texts) {
+    const model = await this.getModel();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.config.batch_size) {
+      vectors.push(...await model.embed(texts.slice(i, i + this.config.batch_size)));
+    }
+    return vectors;
+  }
+
+  // ========== PRODUCT TEXT ==========
+
+  buildText(product) {
+    const specs = Object.entries(product.specifications || {})
+      .filter(([, value]) => value !== null && String(value).length <= 60)
+      .slice(0, this.config.max_spec_entries)
+      .map(([key, value]) => `${key.replace(/_/g, ' ')} ${value}`);
+    const category = [product.ai_category || product.category, product.subcategory].filter(Boolean).join(' > ');
+
+    return [
+      product.title,
+      product.brand && `Brand: ${product.brand}`,
+      category && `Category: ${category}`,
+      product.ai_tags?.length && `Tags: ${product.ai_tags.join(', ')}`,
+      specs.length && `Specs: ${specs.join('; ')}`
+    ].filter(Boolean).join('\n');
+  }
+
+  contentHash(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+  }
+
+  // ========== INDEXING ==========
+
+  // Embed the given product rows (ProductEmbedding source columns) whose text changed.
+  // Returns { embedded, unchanged }.
+  async indexProducts(products) {
+    const model = await this.getModel();
+    const texts = new Map(products.map(p => [p.id, this.buildText(p)]));
+    const hashes = await ProductEmbedding.getHashes(products.map(p => p.id), model.name);
+
+    const changed = products.filter(p => hashes.get(p.id) !== this.contentHash(texts.get(p.id)));
+    const unchanged = products.filter(p => !changed.includes(p)).map(p => p.id);
+
+    const vectors = await this.embed(changed.map(p => texts.get(p.id)));
+    for (let i = 0; i < changed.length; i++) {
+      await ProductEmbedding.upsert(changed[i].id, {
+        model: model.name,
+        embedding: vectors[i],
+        contentHash: this.contentHash(texts.get(changed[i].id))
+      });
+    }
+    await ProductEmbedding.touch(unchanged);
+
+    return { embedded: changed.length, unchanged: unchanged.length };
+  }
+
+  async updateProduct(productId) {
+    const products = await ProductEmbedding.getSources([productId]);
+    if (products.length === 0) return null;
+    return this.indexProducts(products);
+  }
+
+  // Scraper hook after Product.upsert. A missing or disabled model only warns once, so it
+  // doesn't flood scrape logs or fail the scrape.
+  async onProductSaved(productId) {
+    if (!this.config.enabled || !this.config.update_on_scrape) return null;
+
+    try {
+      return await this.updateProduct(productId);
+    } catch (error) {
+      if (error.code !== 'EMBEDDINGS_UNAVAILABLE') throw error;
+      if (!this.warnedUnavailable) {
+        console.warn(`⚠️  ${error.message}; skipping embeddings for this run`);
+        this.warnedUnavailable = true;
+      }
+      return null;
+    }
+  }
+
+  // Embed products that have no embedding for the current model or changed since
+  async backfill(limit = 1000) {
+    const model = await this.getModel();
+    const stats = { checked: 0, embedded: 0, unchanged: 0, errors: 0 };
+
+    while (stats.checked < limit) {
+      const products = await ProductEmbedding.getStale(model.name, Math.min(this.config.batch_size, limit - stats.checked));
+      if (products.length === 0) break;
+
+      try {
+        const result = await this.indexProducts(products);
+        stats.embedded += result.embedded;
+        stats.unchanged += result.unchanged;
+      } catch (error) {
+        // The same rows would come back; stop instead of looping on them
+        stats.errors += products.length;
+        console.error(`❌ Embedding batch failed: ${error.message}`);
+        break;
+      }
+
+      stats.checked += products.length;
+      console.log(`   🧠 ${stats.checked} checked, ${stats.embedded} embedded`);
+    }
+
+    return stats;
+  }
+
+  // ========== QUERIES ==========
+
+  // Nearest products to a vector literal, with the shared /products filters
+  async nearest(vector, { limit, filters = {}, excludeProductId = null }) {
+    const built = buildProductFilters(filters, [vector, this.modelName]);
+    const conditions = [
+      'e.model = $2',
+      `1 - (e.embedding <=> $1::vector) >= ${Number(this.config.min_similarity)}`,
+      ...built.conditions
+    ];
+
+    const params = built.params;
+    if (excludeProductId) {
+      // The product itself and its listings on other platforms (same canonical product)
+      params.push(excludeProductId);
+      const idIndex = params.length;
+      conditions.push(`p.id <> $${idIndex}`);
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM product_matches a
+        JOIN product_matches b ON b.canonical_id = a.canonical_id
+        WHERE a.product_id = $${idIndex} AND b.product_id = p.id
+      )`);
+    }
+
+    params.push(Math.min(limit || this.config.default_limit, this.config.max_limit));
+    const result = await query(`
+      SELECT
+        p.id,
+        p.product_id,
+        pl.name as platform,
+        p.title,
+        p.brand,
+        p.category,
+        p.ai_category,
+        p.ai_tags,
+        p.current_price,
+        p.original_price,
+        p.discount_percent,
+        p.rating,
+        p.review_count,
+        p.image_url,
+        p.product_url,
+        ROUND((1 - (e.embedding <=> $1::vector))::numeric, 4) as similarity
+      FROM product_embeddings e
+      JOIN products p ON p.id = e.product_id
+      JOIN platforms pl ON p.platform_id = pl.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.embedding <=> $1::vector
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  // Products similar to one product; null when the product doesn't exist.
+  // A product scraped before the index existed is embedded on the spot.
+  async findSimilar(productId, { limit, filters } = {}) {
+    await this.getModel();
+
+    let vector = await ProductEmbedding.getVector(productId, this.modelName);
+    if (!vector) {
+      if (!await this.updateProduct(productId)) return null;
+      vector = await ProductEmbedding.getVector(productId, this.modelName);
+    }
+
+    return {
+      product_id: productId,
+      model: this.modelName,
+      products: await this.nearest(vector, { limit, filters, excludeProductId: productId })
+    };
+  }
+
+  // Natural-language query ("budget 5G phone with good camera")
+  async search(q, { limit, filters } = {}) {
+    const [vector] = await this.embed([q.trim().replace(/\s+/g, ' ')]);
+
+    return {
+      query: q,
+      model: this.modelName,
+      products: await this.nearest(toVectorLiteral(vector), { limit, filters })
+    };
+  }
+
+  async getStats() {
+    await this.checkTable();
+    return ProductEmbedding.getStats(this.modelName);
+  }
+}
+
+module.exports = new EmbeddingIndex(); // Singleton
+module.exports.EmbeddingIndex = EmbeddingIndex;
@@ -0,0 +1,135 @@
+// src/search/embedding-models.js
+// Local text embedding models for semantic search. Both run in-process, no API calls:
+//
+//   minilm   sentence-transformers/all-MiniLM-L6-v2 (ONNX, via @xenova/transformers).
+//            Downloaded once (~23 MB quantized) into the library's cache or settings.embeddings.cache_dir.
+//   hashing  Hashed word/character n-grams. No download and no dependency, but only lexical:
+//            "cheap" won't find "budget". Meant for tests and machines that can't run the ONNX model.
+//
+// embed(texts) returns one L2-normalised array of `dimensions` numbers per text, so cosine
+// similarity is a dot product and pgvector's <=> works directly.
+
+const settings = require('../config/settings');
+
+// ========== MINILM ==========
+
+class TransformersEmbeddingModel {
+  constructor({ name, repo, dimensions, cache_dir = null }) {
+    this.name = name;
+    this.repo = repo;
+    this.dimensions = dimensions;
+    this.cacheDir = cache_dir;
+    this.extractor = null;
+  }
+
+  async load() {
+    if (this.extractor) return;
+
+    let transformers;
+    try {
+      // ESM-only package; imported on first use so nothing loads unless semantic search is used
+      transformers = await import('@xenova/transformers');
+    } catch (error) {
+      throw new Error(`@xenova/transformers is not installed (${error.message}); run npm install or set settings.embeddings.model to "hashing"`);
+    }
+
+    if (this.cacheDir) transformers.env.cacheDir = this.cacheDir;
+
+    const startedAt = Date.now();
+    this.extractor = await transformers.pipeline('feature-extraction', this.repo, { quantized: true });
+    console.log(`🧠 Loaded embedding model ${this.repo} in ${Date.now() - startedAt}ms`);
+  }
+
+  async embed(texts) {
+    await this.load();
+    const output = await this.extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+// ========== HASHING ==========
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class HashingEmbeddingModel {
+  constructor({ name, dimensions }) {
+    this.name = name;
+    this.dimensions = dimensions;
+  }
+
+  async load() {}
+
+  // Words and word pairs, plus character trigrams of longer words so "smartwatch" still
+  // shares something with "smart watch"
+  features(text) {
+    const words = String(text).toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)?/g) || [];
+    const features = [];
+
+    words.forEach((word, i) => {
+      features.push([`w:${word}`, 1]);
+      if (i > 0) features.push([`b:${words[i - 1]} ${word}`, 0.5]);
+      if (word.length > 3) {
+        const padded = `#${word}#`;
+        for (let j = 0; j < padded.length - 2; j++) features.push([`c:${padded.slice(j, j + 3)}`, 0.25]);
+      }
+    });
+
+    return features;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const [feature, weight] of this.features(text)) {
+      const hash = fnv1a(feature);
+      // The sign bit keeps colliding features from only ever adding up
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => Math.round((v / norm) * 1e6) / 1e6) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+// ========== REGISTRY ==========
+
+const MODELS = {
+  minilm: {
+    dimensions: 384,
+    create: config => new TransformersEmbeddingModel({ ...config, name: 'minilm', repo: 'Xenova/all-MiniLM-L6-v2' })
+  },
+  hashing: {
+    create: config => new HashingEmbeddingModel({ ...config, name: 'hashing' })
+  }
+};
+
+function createEmbeddingModel(config = settings.embeddings) {
+  const entry = MODELS[config.model];
+  if (!entry) {
+    throw new Error(`Unknown embedding model "${config.model}" (expected one of: ${Object.keys(MODELS).join(', ')})`);
+  }
+  if (entry.dimensions && entry.dimensions !== config.dimensions) {
+    throw new Error(`Embedding model "${config.model}" produces ${entry.dimensions} dimensions but settings.embeddings.dimensions is ${config.dimensions}`);
+  }
+
+  return entry.create({ dimensions: config.dimensions, cache_dir: config.cache_dir });
+}
+
+module.exports = {
+  MODELS,
+  createEmbeddingModel,
+  TransformersEmbeddingModel,
+  HashingEmbeddingModel
+};
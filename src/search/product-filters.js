@@ -0,0 +1,119 @@
+// src/search/product-filters.js
+// Shared filter/sort layer for product listing routes. Every value goes through a
+// placeholder; only whitelisted column names are ever interpolated into SQL.
+
+const SORT_OPTIONS = {
+  price: { column: 'p.current_price', order: 'ASC' },
+  discount: { column: 'p.discount_percent', order: 'DESC' },
+  rating: { column: 'p.rating', order: 'DESC' },
+  review_count: { column: 'p.review_count', order: 'DESC' },
+  newest: { column: 'p.last_updated', order: 'DESC' }
+};
+
+const SPEC_KEY = /^[a-z_]{1,40}$/;
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? NaN : n;
+}
+
+// "ram:8GB,connectivity:5G" or { ram: '8GB', connectivity: '5G' } (spec[ram]=8GB)
+function parseSpecs(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object' && !Array.isArray(spec)) return spec;
+
+  const specs = {};
+  for (const pair of toList(spec)) {
+    const [key, ...rest] = pair.split(/[:=]/);
+    if (rest.length) specs[key.trim()] = rest.join(':').trim();
+  }
+  return specs;
+}
+
+// Build WHERE conditions and ORDER BY from request query params.
+// Values are appended to `params`, so callers can reserve earlier placeholders.
+function buildProductFilters(q = {}, params = []) {
+  const conditions = [];
+  const errors = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  // Availability: default to in-stock only, "all" disables the filter
+  if (q.available === undefined || q.available === 'true') {
+    conditions.push('p.is_available = true');
+  } else if (q.available === 'false') {
+    conditions.push('p.is_available = false');
+  } else if (q.available !== 'all') {
+    errors.push('available must be true, false or all');
+  }
+
+  if (q.platform) add('pl.name ILIKE ?', q.platform);
+  if (q.category) add('(p.category ILIKE ? OR p.ai_category ILIKE ?)', q.category);
+
+  const brands = toList(q.brand).map(b => b.toLowerCase());
+  if (brands.length) add('LOWER(p.brand) = ANY(?::text[])', brands);
+
+  const numeric = [
+    ['min_price', 'p.current_price >= ?'],
+    ['max_price', 'p.current_price <= ?'],
+    ['min_rating', 'p.rating >= ?'],
+    ['min_discount', 'p.discount_percent >= ?'],
+    ['min_true_discount', 'p.true_discount_90d >= ?']
+  ];
+  for (const [name, sql] of numeric) {
+    const value = toNumber(q[name]);
+    if (value === null) continue;
+    if (isNaN(value)) errors.push(`${name} must be a number`);
+    else add(sql, value);
+  }
+
+  if (q.ai_processed !== undefined) add('p.ai_processed = ?', q.ai_processed === 'true');
+  if (q.suspicious_discount !== undefined) add('p.suspicious_discount = ?', q.suspicious_discount === 'true');
+
+  for (const [key, value] of Object.entries(parseSpecs(q.spec))) {
+    if (!SPEC_KEY.test(key)) {
+      errors.push(`Invalid spec key '${key}'`);
+      continue;
+    }
+    params.push(key);
+    const keyIndex = params.length;
+    params.push(toList(value).map(v => v.toLowerCase()));
+    conditions.push(`LOWER(p.specifications->>$${keyIndex}) = ANY($${params.length}::text[])`);
+  }
+
+  // Sorting
+  const sortKey = q.sort || 'newest';
+  const sort = SORT_OPTIONS[sortKey];
+  let orderBy = null;
+
+  if (!sort) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  } else {
+    const order = q.order ? String(q.order).toUpperCase() : sort.order;
+    if (order !== 'ASC' && order !== 'DESC') {
+      errors.push('order must be asc or desc');
+    } else {
+      orderBy = `${sort.column} ${order} NULLS LAST, p.id`;
+    }
+  }
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    conditions,
+    params,
+    orderBy,
+    errors
+  };
+}
+
+module.exports = { buildProductFilters, SORT_OPTIONS };
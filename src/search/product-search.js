@@ -0,0 +1,174 @@
+// src/search/product-search.js
+const crypto = require('crypto');
+const settings = require('../config/settings');
+const { query } = require('../config/database');
+const { cache } = require('../config/redis');
+const { buildProductFilters } = require('./product-filters');
+
+class ProductSearch {
+  constructor(config = settings.search) {
+    this.config = config;
+  }
+
+  // ========== MATCH CLAUSES ==========
+
+  // Full-text first; trigram similarity on the title when full-text finds nothing (typos)
+  getMatchClause(mode) {
+    if (mode === 'fulltext') {
+      return {
+        where: `p.search_vector @@ websearch_to_tsquery('simple', $1)`,
+        rank: `ts_rank_cd(p.search_vector, websearch_to_tsquery('simple', $1))`
+      };
+    }
+    return {
+      where: `word_similarity($1, p.title) >= ${Number(this.config.trigram_threshold)}`,
+      rank: `word_similarity($1, p.title)`
+    };
+  }
+
+  // Match clause plus the shared /products filters (brand, price, specs...)
+  buildWhere(q, mode, filters) {
+    const match = this.getMatchClause(mode);
+    const built = buildProductFilters(filters, [q]);
+
+    return {
+      match,
+      params: built.params,
+      whereClause: `WHERE ${[match.where, ...built.conditions].join(' AND ')}`,
+      // Relevance unless the caller asked for an explicit sort
+      orderBy: filters.sort ? built.orderBy : 'relevance DESC, p.review_count DESC NULLS LAST'
+    };
+  }
+
+  // ========== SEARCH ==========
+
+  async search(q, { page = 1, limit = 20, filters = {} } = {}) {
+    const normalized = q.trim().replace(/\s+/g, ' ').toLowerCase();
+    limit = Math.min(limit, this.config.max_limit);
+
+    const cacheKey = 'search:' + crypto.createHash('md5')
+      .update(JSON.stringify({ q: normalized, page, limit, filters }))
+      .digest('hex');
+
+    const cached = await cache.get(cacheKey);
+    if (cached) return { ...cached, cached: true };
+
+    let mode = 'fulltext';
+    let result = await this.runSearch(normalized, mode, page, limit, filters);
+
+    if (result.total === 0) {
+      mode = 'trigram';
+      result = await this.runSearch(normalized, mode, page, limit, filters);
+    }
+
+    const response = {
+      query: q,
+      mode: mode,
+      products: result.products,
+      facets: result.total > 0 ? await this.getFacets(normalized, mode, filters) : null,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
+      }
+    };
+
+    await cache.set(cacheKey, response, this.config.cache_seconds);
+    return { ...response, cached: false };
+  }
+
+  async runSearch(q, mode, page, limit, filters) {
+    const { match, params, whereClause, orderBy } = this.buildWhere(q, mode, filters);
+
+    const countResult = await query(`
+      SELECT COUNT(*) FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      ${whereClause}
+    `, params);
+
+    const total = parseInt(countResult.rows[0].count);
+    if (total === 0) return { products: [], total };
+
+    params.push(limit, (page - 1) * limit);
+    const result = await query(`
+      SELECT
+        p.id,
+        p.product_id,
+        pl.name as platform,
+        p.title,
+        p.brand,
+        p.category,
+        p.ai_category,
+        p.ai_tags,
+        p.current_price,
+        p.original_price,
+        p.discount_percent,
+        p.rating,
+        p.review_count,
+        p.image_url,
+        p.product_url,
+        ROUND((${match.rank})::numeric, 4) as relevance
+      FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      ${whereClause}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return { products: result.rows, total };
+  }
+
+  // ========== FACETS ==========
+
+  async getFacets(q, mode, filters) {
+    const { params, whereClause } = this.buildWhere(q, mode, filters);
+    const from = `
+      FROM products p
+      JOIN platforms pl ON p.platform_id = pl.id
+      ${whereClause}
+    `;
+
+    const bands = this.config.price_bands;
+    const ratings = this.config.rating_facets;
+
+    const [brands, platforms, categories, prices, ratingCounts] = await Promise.all([
+      query(`
+        SELECT p.brand as value, COUNT(*) as count ${from}
+        GROUP BY p.brand ORDER BY count DESC LIMIT ${Number(this.config.brand_facet_size)}
+      `, params),
+      query(`SELECT pl.name as value, COUNT(*) as count ${from} GROUP BY pl.name ORDER BY count DESC`, params),
+      query(`SELECT p.category as value, COUNT(*) as count ${from} GROUP BY p.category ORDER BY count DESC`, params),
+      query(`
+        SELECT width_bucket(p.current_price, $${params.length + 1}::numeric[]) as bucket, COUNT(*) as count ${from}
+        GROUP BY bucket ORDER BY bucket
+      `, [...params, bands]),
+      query(`
+        SELECT ${ratings.map((r, i) => `COUNT(*) FILTER (WHERE p.rating >= ${Number(r)}) as r${i}`).join(', ')} ${from}
+      `, params)
+    ]);
+
+    const toFacet = rows => rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+
+    return {
+      brand: toFacet(brands.rows),
+      platform: toFacet(platforms.rows),
+      category: toFacet(categories.rows),
+      price: prices.rows.map(row => {
+        const bucket = parseInt(row.bucket);
+        return {
+          min: bands[bucket - 1] ?? 0,
+          max: bucket < bands.length ? bands[bucket] : null,
+          count: parseInt(row.count)
+        };
+      }),
+      rating: ratings.map((r, i) => ({
+        min: r,
+        label: `${r}★ & up`,
+        count: parseInt(ratingCounts.rows[0][`r${i}`])
+      }))
+    };
+  }
+}
+
+module.exports = new ProductSearch(); // Singleton